@@ -0,0 +1,3 @@
+import os from "node:os";
+
+export const environment = { supportPath: os.tmpdir() };
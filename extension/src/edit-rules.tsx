@@ -1,89 +1,292 @@
-import { Action, ActionPanel, Form, open, showHUD, showToast, Toast, useNavigation } from "@raycast/api";
-import fs from "node:fs";
-import path from "node:path";
-import { environment } from "@raycast/api";
+import { Action, ActionPanel, Alert, Color, confirmAlert, Form, Icon, List, open, showHUD, showToast, Toast, useNavigation } from "@raycast/api";
+import { useState } from "react";
+import { applyRules, Condition, getRulesPath, readRules, Rule, RuleHit, validatePattern, validateRule, writeRules } from "./lib/rules";
 
-type Rule = { test: string; projectName?: string; sectionName?: string; labels?: string[]; priority?: number; due_string?: string };
+const CATEGORIES = ["meetings", "ideas", "tasks", "personal", "support", "documentation", "misc"];
 
 export default function Command() {
-  const { push } = useNavigation();
-  return <RuleForm onDone={() => push(<DoneView />)} />;
+  const file = getRulesPath();
+  const [rules, setRules] = useState<Rule[]>(() => readRules(file).rules);
+
+  function save(next: Rule[]) {
+    writeRules(next, file);
+    setRules(next);
+  }
+
+  async function remove(index: number) {
+    const ok = await confirmAlert({
+      title: "Delete rule?",
+      message: ruleTitle(rules[index]),
+      primaryAction: { title: "Delete", style: Alert.ActionStyle.Destructive }
+    });
+    if (!ok) return;
+    save(rules.filter((_, i) => i !== index));
+    await showHUD("🗑️ Rule deleted");
+  }
+
+  function duplicate(index: number) {
+    const next = [...rules];
+    next.splice(index + 1, 0, JSON.parse(JSON.stringify(rules[index])));
+    save(next);
+  }
+
+  // Order matters: project and section are first-match-wins
+  function move(index: number, delta: number) {
+    const target = index + delta;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    save(next);
+  }
+
+  function upsert(rule: Rule, index?: number) {
+    const next = [...rules];
+    if (index === undefined) next.push(rule);
+    else next[index] = rule;
+    save(next);
+  }
+
+  const common = (
+    <>
+      <Action.Push title="Add Rule" icon={Icon.Plus} shortcut={{ modifiers: ["cmd"], key: "n" }} target={<RuleForm onSave={(r) => upsert(r)} />} />
+      <Action.Push title="Test Rules" icon={Icon.Play} shortcut={{ modifiers: ["cmd"], key: "t" }} target={<TestRulesForm rules={rules} />} />
+      <Action.Open title="Open Rules File" target={file} application="Finder" />
+      <Action title="Open in Default Editor" icon={Icon.Code} onAction={() => open(file)} />
+    </>
+  );
+
+  return (
+    <List searchBarPlaceholder="Filter rules…">
+      <List.EmptyView title="No rules yet" description={`Rules are saved to ${file}`} actions={<ActionPanel>{common}</ActionPanel>} />
+      {rules.map((r, i) => (
+        <List.Item
+          key={`${i}-${ruleTitle(r)}`}
+          title={ruleTitle(r)}
+          subtitle={[r.projectName, r.sectionName].filter(Boolean).join(" › ")}
+          icon={validateRule(r) ? { source: Icon.Warning, tintColor: Color.Red } : { source: Icon.Filter }}
+          keywords={[r.test, r.projectName, r.sectionName, ...(r.labels || [])].filter(Boolean) as string[]}
+          accessories={[
+            ...(r.mode === "override" ? [{ tag: { value: "override", color: Color.Orange } }] : []),
+            ...(r.stop ? [{ tag: { value: "stop", color: Color.Red } }] : []),
+            ...(r.labels || []).map((l) => ({ tag: l })),
+            ...(r.removeLabels || []).map((l) => ({ tag: { value: `−${l}`, color: Color.SecondaryText } })),
+            ...(r.priority ? [{ text: `p${r.priority}` }] : []),
+            ...(r.due_string ? [{ icon: Icon.Calendar, text: r.due_string }] : []),
+            { text: `#${i + 1}` }
+          ]}
+          actions={
+            <ActionPanel>
+              <Action.Push title="Edit Rule" icon={Icon.Pencil} target={<RuleForm rule={r} onSave={(next) => upsert(next, i)} />} />
+              <Action title="Duplicate Rule" icon={Icon.CopyClipboard} shortcut={{ modifiers: ["cmd"], key: "d" }} onAction={() => duplicate(i)} />
+              <Action title="Move Up" icon={Icon.ArrowUp} shortcut={{ modifiers: ["cmd", "opt"], key: "arrowUp" }} onAction={() => move(i, -1)} />
+              <Action title="Move Down" icon={Icon.ArrowDown} shortcut={{ modifiers: ["cmd", "opt"], key: "arrowDown" }} onAction={() => move(i, 1)} />
+              <Action title="Delete Rule" icon={Icon.Trash} style={Action.Style.Destructive} shortcut={{ modifiers: ["ctrl"], key: "x" }} onAction={() => remove(i)} />
+              {common}
+            </ActionPanel>
+          }
+        />
+      ))}
+    </List>
+  );
+}
+
+function ruleTitle(r: Rule) {
+  if (r.test && r.when) return `${r.test} + ${describeCondition(r.when)}`;
+  return r.test || (r.when ? describeCondition(r.when) : "(empty rule)");
 }
 
-function RuleForm({ onDone }: { onDone: () => void }) {
-  async function handleSubmit(values: { test: string; projectName?: string; sectionName?: string; labels?: string; priority?: string; due_string?: string }) {
+function describeCondition(c: Condition): string {
+  if ("all" in c) return c.all.map(describeCondition).join(" AND ");
+  if ("any" in c) return `(${c.any.map(describeCondition).join(" OR ")})`;
+  if ("not" in c) return `NOT ${describeCondition(c.not)}`;
+  const ops = Object.entries(c).filter(([k]) => k !== "field").map(([k, v]) => `${k} ${Array.isArray(v) ? v.join("|") : v}`);
+  return `${c.field} ${ops.join(" ")}`;
+}
+
+type RuleValues = {
+  test: string;
+  when?: string;
+  mode?: string;
+  projectName?: string;
+  sectionName?: string;
+  labels?: string;
+  removeLabels?: string;
+  priority?: string;
+  due_string?: string;
+  stop?: boolean;
+};
+
+// Like the other optional fields, an empty list is left out of the saved rule
+function optionalList(v?: string) {
+  const list = (v || "").split(",").map((s) => s.trim()).filter(Boolean);
+  return list.length ? list : undefined;
+}
+
+function RuleForm({ rule, onSave }: { rule?: Rule; onSave: (rule: Rule) => void }) {
+  const { pop } = useNavigation();
+  const [patternError, setPatternError] = useState<string | undefined>();
+  const [whenError, setWhenError] = useState<string | undefined>();
+
+  function parseWhen(text?: string): { when?: Condition; error?: string } {
+    if (!text?.trim()) return {};
+    try { return { when: JSON.parse(text) }; } catch (e: any) { return { error: `Invalid JSON: ${e?.message || e}` }; }
+  }
+
+  async function handleSubmit(values: RuleValues) {
+    const parsed = parseWhen(values.when);
+    if (parsed.error) {
+      setWhenError(parsed.error);
+      return;
+    }
+    const next: Rule = {
+      test: values.test.trim() || undefined,
+      when: parsed.when,
+      mode: values.mode === "override" ? "override" : undefined,
+      projectName: values.projectName?.trim() || undefined,
+      sectionName: values.sectionName?.trim() || undefined,
+      labels: optionalList(values.labels),
+      removeLabels: optionalList(values.removeLabels),
+      priority: values.priority ? Number(values.priority) : undefined,
+      due_string: values.due_string?.trim() || undefined,
+      stop: values.stop || undefined
+    };
+    const error = validateRule(next);
+    if (error) {
+      // Point at whichever field is at fault
+      if (next.test && validatePattern(next.test)) setPatternError(error);
+      else if (next.when) setWhenError(error);
+      else setPatternError(error);
+      return;
+    }
     try {
-      const file = getRulesPath();
-      const current = readRules(file);
-      const rule: Rule = {
-        test: values.test.trim(),
-        projectName: values.projectName?.trim() || undefined,
-        sectionName: values.sectionName?.trim() || undefined,
-        labels: (values.labels || "").split(",").map((s) => s.trim()).filter(Boolean),
-        priority: values.priority ? Number(values.priority) : undefined,
-        due_string: values.due_string?.trim() || undefined
-      };
-      if (!rule.test) throw new Error("Regex pattern is required");
-      current.rules = Array.isArray(current.rules) ? current.rules : [];
-      current.rules.push(rule);
-      fs.mkdirSync(path.dirname(file), { recursive: true });
-      fs.writeFileSync(file, JSON.stringify(current, null, 2), "utf8");
-      await showHUD("✅ Rule added");
-      onDone();
+      onSave(next);
+      await showHUD(rule ? "✅ Rule updated" : "✅ Rule added");
+      pop();
     } catch (e: any) {
-      await showToast(Toast.Style.Failure, "Failed to add rule", e?.message || String(e));
+      await showToast(Toast.Style.Failure, "Failed to save rule", e?.message || String(e));
     }
   }
 
-  const file = getRulesPath();
-  const existing = readRules(file).rules || [];
-  const hint = existing.slice(0, 3).map((r: Rule) => `• ${r.test}${r.sectionName ? ` → ${r.sectionName}` : ""}`).join("\n");
-
   return (
     <Form
+      navigationTitle={rule ? "Edit Rule" : "Add Rule"}
       actions={
         <ActionPanel>
-          <Action.SubmitForm title="Add Rule" onSubmit={handleSubmit} />
-          <Action.Open title="Open Rules File" target={file} application="Finder" />
-          <Action title="Open in Default Editor" onAction={() => open(file)} />
+          <Action.SubmitForm title={rule ? "Save Rule" : "Add Rule"} onSubmit={handleSubmit} />
         </ActionPanel>
       }
     >
-      <Form.Description title="Existing Rules" text={existing.length ? `${existing.length} rule(s)\n${hint}` : "No rules yet"} />
-      <Form.TextField id="test" title="Regex Pattern" placeholder="(?i)(bill|billing|invoice)" />
-      <Form.TextField id="projectName" title="Project Name" placeholder="Work" />
-      <Form.TextField id="sectionName" title="Section Name" placeholder="Upcoming bills" />
-      <Form.TextField id="labels" title="Labels (comma-separated)" placeholder="finance, recurring" />
-      <Form.Dropdown id="priority" title="Priority">
+      <Form.TextField
+        id="test"
+        title="Regex Pattern"
+        placeholder="(?i)(bill|billing|invoice)"
+        info="Matched against the title, description and transcript. A leading (?i), (?m) or (?s) sets regex flags."
+        defaultValue={rule?.test}
+        error={patternError}
+        onChange={() => patternError && setPatternError(undefined)}
+        onBlur={(e) => setPatternError(e.target.value ? validatePattern(e.target.value) : undefined)}
+      />
+      <Form.TextArea
+        id="when"
+        title="Conditions (JSON)"
+        placeholder={'{ "all": [{ "field": "category", "equals": "meetings" }] }'}
+        info="Optional. Match on category, projectName, sectionName, labels, priority, due_string, title, description or text with equals, in, matches, includes, gte, lte or empty. Combine with all / any / not."
+        defaultValue={rule?.when ? JSON.stringify(rule.when, null, 2) : undefined}
+        error={whenError}
+        onChange={() => whenError && setWhenError(undefined)}
+      />
+      <Form.Dropdown id="mode" title="Mode" defaultValue={rule?.mode || "fill"}>
+        <Form.Dropdown.Item value="fill" title="Fill — only set fields that are still empty" />
+        <Form.Dropdown.Item value="override" title="Override — replace what Claude or earlier rules chose" />
+      </Form.Dropdown>
+      <Form.Separator />
+      <Form.TextField id="projectName" title="Project Name" placeholder="Work" defaultValue={rule?.projectName} />
+      <Form.TextField id="sectionName" title="Section Name" placeholder="Upcoming bills" defaultValue={rule?.sectionName} />
+      <Form.TextField id="labels" title="Add Labels (comma-separated)" placeholder="finance, recurring" defaultValue={(rule?.labels || []).join(", ")} />
+      <Form.TextField id="removeLabels" title="Remove Labels (comma-separated)" placeholder="misc" defaultValue={(rule?.removeLabels || []).join(", ")} />
+      <Form.Dropdown id="priority" title="Priority" defaultValue={rule?.priority ? String(rule.priority) : ""}>
         <Form.Dropdown.Item value="" title="(none)" />
         <Form.Dropdown.Item value="1" title="1 (low)" />
         <Form.Dropdown.Item value="2" title="2" />
         <Form.Dropdown.Item value="3" title="3" />
         <Form.Dropdown.Item value="4" title="4 (high)" />
       </Form.Dropdown>
-      <Form.TextField id="due_string" title="Due String" placeholder="tomorrow 9am" />
+      <Form.TextField id="due_string" title="Due String" placeholder="tomorrow 9am" defaultValue={rule?.due_string} />
+      <Form.Checkbox id="stop" label="Stop processing rules after this one fires" defaultValue={!!rule?.stop} />
       <Form.Separator />
-      <Form.Description title="Where is it saved?" text={file} />
-      <Form.Description title="Tip" text="Open the JSON file to edit or delete rules." />
+      <Form.Description title="Where is it saved?" text={getRulesPath()} />
     </Form>
   );
 }
 
-function DoneView() {
-  return <Form.Description title="Rule saved" text="You can close this window." />;
+function TestRulesForm({ rules }: { rules: Rule[] }) {
+  const { push } = useNavigation();
+  return (
+    <Form
+      navigationTitle="Test Rules"
+      actions={
+        <ActionPanel>
+          <Action.SubmitForm
+            title="Run Rules"
+            icon={Icon.Play}
+            onSubmit={(values: { transcript: string; category: string }) =>
+              push(<TestResults transcript={values.transcript} category={values.category || undefined} rules={rules} />)
+            }
+          />
+        </ActionPanel>
+      }
+    >
+      <Form.TextArea id="transcript" title="Sample Transcript" placeholder="Send the Q3 invoice to Acme by Friday" />
+      <Form.Dropdown id="category" title="Category" defaultValue="">
+        <Form.Dropdown.Item value="" title="(none)" />
+        {CATEGORIES.map((c) => (
+          <Form.Dropdown.Item key={c} value={c} title={c} />
+        ))}
+      </Form.Dropdown>
+      <Form.Description text="Rules run in order against the transcript alone, as if Claude had picked this category and left every other field empty." />
+    </Form>
+  );
 }
 
-function getRulesPath() {
-  return path.join(environment.supportPath, "voice-note-rules.json");
+function TestResults({ transcript, category, rules }: { transcript: string; category?: string; rules: Rule[] }) {
+  const { enriched, hits } = applyRules({ transcription: transcript, enriched: { title: "", labels: [] }, rules, category });
+  const stoppedAt = hits.find((h) => h.stopped)?.index;
+  const fired = hits.filter((h) => h.matched);
+  const outcome = [
+    enriched.projectName && `project ${[enriched.projectName, enriched.sectionName].filter(Boolean).join(" › ")}`,
+    enriched.labels?.length && `labels ${enriched.labels.join(", ")}`,
+    enriched.priority && `p${enriched.priority}`,
+    enriched.due_string && `due ${enriched.due_string}`
+  ].filter(Boolean);
+
+  return (
+    <List navigationTitle="Rule Test Results">
+      <List.Section title={`${fired.length} of ${rules.length} rule(s) fired`} subtitle={outcome.join(" · ") || "nothing set"}>
+        {rules.map((r, i) => {
+          const h = hits[i];
+          return (
+            <List.Item
+              key={i}
+              title={ruleTitle(r)}
+              subtitle={!h ? "skipped — an earlier rule stopped processing" : h.error ? h.error : h.matched ? describeApplied(h) : "no match"}
+              icon={
+                h?.error
+                  ? { source: Icon.Warning, tintColor: Color.Red }
+                  : h?.matched
+                  ? { source: Icon.CheckCircle, tintColor: Color.Green }
+                  : { source: Icon.Circle, tintColor: Color.SecondaryText }
+              }
+              accessories={[...(stoppedAt === i ? [{ tag: { value: "stop", color: Color.Red } }] : []), { text: `#${i + 1}` }]}
+            />
+          );
+        })}
+      </List.Section>
+    </List>
+  );
 }
 
-function readRules(p: string): { rules: Rule[] } {
-  try {
-    const t = fs.readFileSync(p, "utf8");
-    const j = JSON.parse(t);
-    if (Array.isArray(j?.rules)) return { rules: j.rules };
-    return { rules: [] };
-  } catch {
-    return { rules: [] };
-  }
+function describeApplied(h: RuleHit) {
+  const parts = Object.entries(h.applied).map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join(", ") : v ?? "(cleared)"}`);
+  // A matching rule can set nothing when an earlier rule already claimed project/section/priority/due
+  return parts.length ? `sets ${parts.join(" · ")}` : "matched, but earlier rules already set its fields";
 }
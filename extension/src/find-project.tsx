@@ -1,5 +1,6 @@
 import { Action, ActionPanel, Clipboard, List, getPreferenceValues, showHUD, showToast, Toast } from "@raycast/api";
 import { useEffect, useState } from "react";
+import { todoistList } from "./lib/todoist";
 
 type Prefs = { todoistApiToken: string };
 
@@ -13,9 +14,7 @@ export default function Command() {
   useEffect(() => {
     (async () => {
       try {
-        const res = await fetch("https://api.todoist.com/rest/v2/projects", { headers: { Authorization: `Bearer ${prefs.todoistApiToken}` } });
-        if (!res.ok) throw new Error(`Projects ${res.status}`);
-        const data = (await res.json()) as any[];
+        const data = await todoistList(prefs.todoistApiToken, "/projects");
         setProjects(data.map((p) => ({ id: String(p.id), name: String(p.name) })));
       } catch (e: any) {
         await showToast(Toast.Style.Failure, "Failed to load projects", e?.message || String(e));
@@ -0,0 +1,17 @@
+import { getPreferenceValues, showHUD, showToast, Toast } from "@raycast/api";
+import { flushOutbox, Logger, Prefs } from "./record-voice-task";
+
+export default async function main() {
+  const prefs = getPreferenceValues<Prefs>();
+  const logger = new Logger();
+  try {
+    const { sent, failed, gaveUp } = await flushOutbox({ prefs, logger, force: true });
+    if (!sent && !failed && !gaveUp) return showHUD("📤 Outbox is empty");
+    const msg = `Delivered ${sent}, still failing ${failed}${gaveUp ? `, gave up on ${gaveUp}` : ""}`;
+    if (failed || gaveUp) await showToast(Toast.Style.Failure, "Voice Outbox", msg);
+    else await showHUD(`📤 ${msg}`);
+  } catch (e: any) {
+    logger.log(`❌ Outbox flush failed: ${e?.message || e}`);
+    await showToast(Toast.Style.Failure, "Voice Outbox", e?.message || String(e));
+  }
+}
@@ -0,0 +1,89 @@
+import { matchProject, MatchOptions, similarity, squash, wordOverlap, wordSet } from "./matching";
+import { taskUrl, todoistList, todoistRequest } from "./todoist";
+
+// Keep in sync with the actions on existing tasks in tools/voice-note-raycast.js
+
+export type Intent = "create" | "complete" | "update" | "comment";
+export type TaskAction = { target: string; projectName?: string; due_string?: string; priority?: number; comment?: string };
+export type Acted = { type: Exclude<Intent, "create">; task: { id: string; content: string; url?: string }; where: string; change: string };
+
+const ACTION_MIN_SCORE = 0.7;
+const ACTION_MIN_MARGIN = 0.1;
+const TARGET_STOPWORDS = new Set(["the", "a", "an", "task", "todo", "thing", "my", "to", "for", "of", "about", "on"]);
+export const ACTION_TITLES: Record<Acted["type"], string> = { complete: "✅ Task Completed", update: "📅 Task Updated", comment: "💬 Comment Added" };
+
+type Log = (m: string) => void;
+
+function targetWords(target: string) {
+  return [...wordSet(target)].filter((w) => !TARGET_STOPWORDS.has(w));
+}
+
+// Mostly how much of the spoken target a title covers: "acme invoice" → "Send Acme invoice for October"
+export function targetScore(target: string, content: string) {
+  const words = targetWords(target);
+  if (!words.length) return 0;
+  const have = wordSet(content);
+  const covered = words.filter((w) => have.has(w)).length / words.length;
+  return Math.max(0.9 * covered, wordOverlap(target, content), similarity(squash(target), squash(content)));
+}
+
+async function searchActiveTasks(token: string, target: string, projectId: string | undefined, log: Log) {
+  // Todoist's own search first. It needs every word to appear, so when it finds nothing in the named
+  // project every open task of that project is scored instead; never the whole account, which is slow
+  // and rate-limited on large ones
+  const filter = targetWords(target).map((w) => `search: ${w}`).join(" & ");
+  const found = filter ? await todoistList(token, "/tasks/filter", { query: filter }, log).catch(() => [] as any[]) : [];
+  if (!projectId) return found;
+  const inProject = found.filter((t) => String(t.project_id) === String(projectId));
+  return inProject.length ? inProject : todoistList(token, "/tasks", { project_id: projectId }, log);
+}
+
+async function findTargetTask(token: string, projects: any[], action: TaskAction, match: MatchOptions, log: Log): Promise<{ task?: any; score?: number; reason?: string }> {
+  const project = action.projectName ? matchProject(action.projectName, projects, match) : null;
+  const ranked = (await searchActiveTasks(token, action.target, project?.id, log))
+    .map((task) => ({ task, score: targetScore(action.target, task.content) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, next] = ranked;
+  if (!best || best.score < ACTION_MIN_SCORE) return { reason: `no open task matches "${action.target}"` };
+  if (next && best.score - next.score < ACTION_MIN_MARGIN) return { reason: `"${action.target}" could be "${best.task.content}" or "${next.task.content}"` };
+  return best;
+}
+
+/**
+ * Carries out a complete/update/comment intent on the one open task it clearly refers to.
+ * Returns null when the target can't be found or is ambiguous so the caller creates a task instead.
+ */
+export async function actOnExistingTask({ token, projects, intent, action, requestId, match, log }: { token: string; projects: any[]; intent: Acted["type"]; action: TaskAction; requestId: string; match: MatchOptions; log: Log }): Promise<Acted | null> {
+  let found: { task?: any; score?: number; reason?: string };
+  try { found = await findTargetTask(token, projects, action, match, log); } catch (e: any) { log(`⚠️ Task search failed: ${e?.message || e}`); return null; }
+  if (!found.task) { log(`🤷 Not acting on an existing task: ${found.reason}; creating one instead`); return null; }
+  const t = found.task;
+  log(`🔎 ${intent} → task ${t.id} "${t.content}" (${(found.score || 0).toFixed(2)})`);
+
+  let path = `/tasks/${t.id}/close`;
+  let body: Record<string, unknown> | undefined;
+  let change = "completed";
+  if (intent === "update") {
+    const priority = action.priority ? Math.min(4, Math.max(1, Number(action.priority) || 1)) : undefined;
+    body = { ...(action.due_string ? { due_string: action.due_string } : {}), ...(priority ? { priority } : {}) };
+    path = `/tasks/${t.id}`;
+    change = [action.due_string ? `due ${action.due_string}` : "", priority ? `priority ${priority}` : ""].filter(Boolean).join(", ");
+  } else if (intent === "comment") {
+    body = { task_id: t.id, content: action.comment };
+    path = "/comments";
+    change = "comment added";
+  }
+
+  await todoistRequest(token, path, { method: "POST", body, requestId, log });
+  log(`✏️ Existing task ${t.id} ${change}`);
+  const where = projects.find((p) => String(p.id) === String(t.project_id))?.name || "Todoist";
+  return { type: intent, task: { id: String(t.id), content: t.content, url: t.url || taskUrl(t.id) }, where, change };
+}
+
+// 'Completed "Acme invoice" (Work)', 'Updated "Dentist" (Personal): due friday'
+export function summarizeAction(a: Acted) {
+  const name = `"${a.task.content}" (${a.where})`;
+  if (a.type === "complete") return `Completed ${name}`;
+  if (a.type === "comment") return `Commented on ${name}`;
+  return `Updated ${name}: ${a.change}`;
+}
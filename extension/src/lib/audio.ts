@@ -0,0 +1,103 @@
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { promisify } from "node:util";
+import { stableRequestId } from "./outbox";
+import { todoistRequest, todoistUpload } from "./todoist";
+
+// Attaches the SuperWhisper recording to the created tasks, so a garbled transcript can be checked
+// against what was actually said. Keep in sync with the recording attachment in tools/voice-note-raycast.js
+
+type Log = (m: string) => void;
+export type AttachMode = "off" | "always" | "uncertain";
+
+const AUDIO_TYPES: Record<string, string> = {
+  ".wav": "audio/wav",
+  ".m4a": "audio/mp4",
+  ".mp3": "audio/mpeg",
+  ".caf": "audio/x-caf",
+  ".aac": "audio/aac",
+  ".ogg": "audio/ogg",
+  ".flac": "audio/flac"
+};
+// "uncertain" attaches below either of these; confidence only counts when SuperWhisper reports one
+export const SHORT_TRANSCRIPT_WORDS = 6;
+export const LOW_CONFIDENCE = 0.6;
+export const DEFAULT_AUDIO_MAX_MB = 10;
+
+export function parseMaxMb(v?: string) {
+  const n = Number.parseFloat(v || "");
+  return n > 0 ? n : DEFAULT_AUDIO_MAX_MB;
+}
+
+// SuperWhisper saves the audio as output.wav; any other audio file in the folder will do
+export function findRecordingAudio(folder: string): string | null {
+  let names: string[] = [];
+  try { names = fs.readdirSync(folder).sort(); } catch { return null; }
+  const audio = names.filter((n) => AUDIO_TYPES[path.extname(n).toLowerCase()]);
+  const pick = audio.find((n) => n.toLowerCase().startsWith("output.")) || audio[0];
+  return pick ? path.join(folder, pick) : null;
+}
+
+// 0–1 from meta.json: an explicit `confidence`, or Whisper's per-segment avg_logprob averaged and
+// turned back into a probability. null when the recording doesn't say.
+export function recordingConfidence(folder: string): number | null {
+  let meta: any;
+  try { meta = JSON.parse(fs.readFileSync(path.join(folder, "meta.json"), "utf8")); } catch { return null; }
+  if (typeof meta?.confidence === "number") return meta.confidence;
+  const logprobs = (Array.isArray(meta?.segments) ? meta.segments : []).map((s: any) => s?.avg_logprob).filter((v: unknown): v is number => typeof v === "number");
+  return logprobs.length ? Math.exp(logprobs.reduce((a: number, b: number) => a + b, 0) / logprobs.length) : null;
+}
+
+// Why the recording should be attached, or null to leave it out
+export function attachReason(mode: AttachMode | undefined, transcription: string, folder: string): string | null {
+  if (mode === "always") return "always";
+  if (mode !== "uncertain") return null;
+  const words = transcription.trim().split(/\s+/).filter(Boolean).length;
+  if (words < SHORT_TRANSCRIPT_WORDS) return `short transcript, ${words} ${words === 1 ? "word" : "words"}`;
+  const confidence = recordingConfidence(folder);
+  if (confidence !== null && confidence < LOW_CONFIDENCE) return `low confidence, ${Math.round(confidence * 100)}%`;
+  return null;
+}
+
+// AAC in an .m4a is a fraction of SuperWhisper's WAV; afconvert ships with macOS
+async function transcode(file: string, log: Log): Promise<string | null> {
+  const out = path.join(os.tmpdir(), `voice-note-${process.pid}-${Date.now()}.m4a`);
+  try {
+    await promisify(execFile)("afconvert", ["-f", "m4af", "-d", "aac", file, out], { timeout: 60_000 });
+    return out;
+  } catch (e: any) {
+    log(`⚠️ Couldn't transcode ${path.basename(file)}; uploading the original (${e?.message || e})`);
+    try { fs.unlinkSync(out); } catch {}
+    return null;
+  }
+}
+
+/**
+ * Uploads the recording once and adds it as a comment on each task. Returns a warning instead of
+ * throwing, so a failed attachment never fails a capture whose tasks are already created.
+ */
+export async function attachRecording({ token, captureId, folder, taskIds, reason, maxMb, transcodeFirst, log }: { token: string; captureId: string; folder: string; taskIds: string[]; reason: string; maxMb: number; transcodeFirst?: boolean; log: Log }): Promise<string | null> {
+  const original = findRecordingAudio(folder);
+  if (!original) return "recording not attached: no audio file in the recording folder";
+  const converted = transcodeFirst ? await transcode(original, log) : null;
+  const file = converted || original;
+  try {
+    const mb = fs.statSync(file).size / 1024 / 1024;
+    if (mb > maxMb) return `recording not attached: ${mb.toFixed(1)} MB is over the ${maxMb} MB limit`;
+    const name = path.basename(file);
+    const attachment = await todoistUpload(token, { name, type: AUDIO_TYPES[path.extname(name).toLowerCase()], data: fs.readFileSync(file) }, log);
+    const content = `🎙️ Original recording${reason === "always" ? "" : ` (${reason})`}`;
+    for (const id of taskIds) {
+      await todoistRequest(token, "/comments", { method: "POST", body: { task_id: id, content, attachment }, requestId: stableRequestId(captureId, `audio.${id}`), log });
+    }
+    log(`🎙️ Attached ${name} (${mb.toFixed(1)} MB) to ${taskIds.length} ${taskIds.length === 1 ? "task" : "tasks"}`);
+    return null;
+  } catch (e: any) {
+    log(`⚠️ Failed to attach the recording: ${e?.message || e}`);
+    return `recording not attached: ${e?.status ? `Todoist error ${e.status}` : e?.message || e}`;
+  } finally {
+    if (converted) try { fs.unlinkSync(converted); } catch {}
+  }
+}
@@ -0,0 +1,54 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Shared with tools/voice-note-raycast.js, which reads it for the same prompt hints
+export const CORRECTIONS_FILE = path.join(os.homedir(), "Documents", "Voice Notes", ".corrections.jsonl");
+
+export const CORRECTED_FIELDS = ["title", "description", "projectName", "sectionName", "labels", "priority", "due_string", "assignee"] as const;
+type Field = (typeof CORRECTED_FIELDS)[number];
+
+export type Correction = { at: string; transcript: string; changed: Partial<Record<Field, { from: unknown; to: unknown }>> };
+
+function same(a: unknown, b: unknown) {
+  const norm = (v: unknown) => (Array.isArray(v) ? v.map((x) => String(x).toLowerCase()).sort().join("|") : String(v ?? "").trim().toLowerCase());
+  return norm(a) === norm(b);
+}
+
+/** Appends what the user changed in the review form; returns the entry, or null when nothing changed. */
+export function recordCorrection(transcript: string, original: Record<string, any>, corrected: Record<string, any>) {
+  const changed: Correction["changed"] = {};
+  for (const f of CORRECTED_FIELDS) if (!same(original[f], corrected[f])) changed[f] = { from: original[f] ?? null, to: corrected[f] ?? null };
+  if (!Object.keys(changed).length) return null;
+  const entry: Correction = { at: new Date().toISOString(), transcript, changed };
+  fs.mkdirSync(path.dirname(CORRECTIONS_FILE), { recursive: true });
+  fs.appendFileSync(CORRECTIONS_FILE, `${JSON.stringify(entry)}\n`, "utf8");
+  return entry;
+}
+
+export function readCorrections(limit = 8): Correction[] {
+  try {
+    const lines = fs.readFileSync(CORRECTIONS_FILE, "utf8").split("\n").filter(Boolean);
+    return lines.slice(-limit).map((l) => JSON.parse(l));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The most recent routing corrections as prompt lines, e.g.
+ * `- "call acme about the invoice…": projectName "Work" → "Acme"`. Title and description edits are
+ * left out; they're specific to one note and would only add noise.
+ */
+export function correctionsDoc(limit = 8) {
+  const out: string[] = [];
+  for (const c of readCorrections(limit)) {
+    const parts = Object.entries(c.changed || {})
+      .filter(([f]) => f !== "title" && f !== "description")
+      .map(([f, v]) => `${f} ${JSON.stringify(v?.from)} → ${JSON.stringify(v?.to)}`);
+    if (!parts.length) continue;
+    const snippet = String(c.transcript || "").replace(/\s+/g, " ").slice(0, 80);
+    out.push(`- "${snippet}${String(c.transcript || "").length > 80 ? "…" : ""}": ${parts.join("; ")}`);
+  }
+  return out.join("\n");
+}
@@ -0,0 +1,67 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { DUPLICATE_THRESHOLD, findDuplicate, taskSimilarity } from "./duplicates";
+
+const projects = [
+  { id: "inbox", name: "Inbox", is_inbox_project: true },
+  { id: "work", name: "Work" }
+];
+
+// Answers every task list with `tasks`, and records which project was asked for
+function stubTasks(tasks: any[]) {
+  const asked: (string | null)[] = [];
+  vi.stubGlobal(
+    "fetch",
+    vi.fn(async (url: string) => {
+      asked.push(new URL(url).searchParams.get("project_id"));
+      return new Response(JSON.stringify({ results: tasks, next_cursor: null }), { status: 200 });
+    })
+  );
+  return asked;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("taskSimilarity", () => {
+  it("scores re-dictations of the same task at or above the threshold", () => {
+    expect(taskSimilarity({ title: "Renew the domain" }, { content: "renew the domain" })).toBe(1);
+    expect(taskSimilarity({ title: "Email Sam the contract" }, { content: "Email Sam the contracts" })).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+  });
+
+  it("keeps different tasks below the threshold", () => {
+    expect(taskSimilarity({ title: "Email Sam the contract" }, { content: "Email Alex the invoice" })).toBeLessThan(DUPLICATE_THRESHOLD);
+    expect(taskSimilarity({ title: "Book flights" }, { content: "Book hotel" })).toBeLessThan(DUPLICATE_THRESHOLD);
+  });
+
+  it("lets matching descriptions lift a borderline title but never sink a good one", () => {
+    const item = { title: "Fix checkout bug", description: "Stripe webhook fails on refunds" };
+    const lifted = taskSimilarity(item, { content: "Fix the checkout bugs", description: "Stripe webhook fails on refunds" });
+    expect(lifted).toBeGreaterThan(taskSimilarity({ title: item.title }, { content: "Fix the checkout bugs" }));
+    expect(taskSimilarity(item, { content: "Fix checkout bug", description: "Something else entirely" })).toBe(1);
+  });
+});
+
+describe("findDuplicate", () => {
+  it("returns the best open task at or above the threshold", async () => {
+    stubTasks([
+      { id: "a", content: "Book hotel" },
+      { id: "b", content: "Renew the domain" }
+    ]);
+    const hit = await findDuplicate({ token: "t", projects, projectId: "work", item: { title: "renew the domain" } });
+    expect(hit?.task.id).toBe("b");
+    expect(hit?.score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+  });
+
+  it("returns null when nothing is close enough", async () => {
+    stubTasks([{ id: "a", content: "Book hotel" }]);
+    expect(await findDuplicate({ token: "t", projects, projectId: "personal", item: { title: "Renew the domain" } })).toBeNull();
+  });
+
+  it("looks in the Inbox for a task without a project", async () => {
+    const asked = stubTasks([{ id: "c", content: "Buy milk" }]);
+    const hit = await findDuplicate({ token: "t", projects, projectId: null, item: { title: "Buy milk" } });
+    expect(asked).toEqual(["inbox"]);
+    expect(hit?.task.id).toBe("c");
+  });
+});
@@ -0,0 +1,82 @@
+import { similarity, squash, wordOverlap } from "./matching";
+import { taskUrl, todoistList, todoistRequest } from "./todoist";
+
+// Keep in sync with the duplicate detection in tools/voice-note-raycast.js
+
+// comment: add the new transcript to the existing task; bump: raise its priority / move its due
+// date; create: post a new task anyway (the match is still logged); off: don't look at all
+export type DuplicatePolicy = "comment" | "bump" | "create" | "off";
+
+export const DUPLICATE_THRESHOLD = 0.85;
+
+type Log = (m: string) => void;
+type Candidate = { title: string; description?: string | null; priority?: number | null; due_string?: string | null };
+export type Merged = { task: { id: string; content: string; url?: string }; where: string; merged: "comment" | "bump" };
+
+export function taskSimilarity(item: Candidate, existing: any) {
+  const title = Math.max(similarity(squash(item.title), squash(existing.content)), wordOverlap(item.title, existing.content));
+  if (!item.description || !existing.description) return title;
+  // Matching descriptions can lift a borderline title, never sink a good one
+  return Math.max(title, 0.75 * title + 0.25 * wordOverlap(item.description, existing.description));
+}
+
+// Open tasks per project, fetched once per capture; a flush runs several, so each starts with clearOpenTasks()
+const openTasksCache = new Map<string, any[]>();
+
+export function clearOpenTasks() {
+  openTasksCache.clear();
+}
+
+async function getOpenTasks(token: string, projectId: string, log?: Log) {
+  const cached = openTasksCache.get(projectId);
+  if (cached) return cached;
+  const tasks = await todoistList(token, "/tasks", { project_id: projectId }, log);
+  openTasksCache.set(projectId, tasks);
+  return tasks;
+}
+
+export async function findDuplicate({ token, projects, projectId, item, log }: { token: string; projects: any[]; projectId: string | null; item: Candidate; log?: Log }) {
+  // Tasks without a project land in the Inbox, so that's where a duplicate would be
+  const pid = projectId || projects.find((p) => p.is_inbox_project)?.id;
+  if (!pid || !item.title) return null;
+  let best: { task: any; score: number } | null = null;
+  for (const t of await getOpenTasks(token, String(pid), log)) {
+    const score = taskSimilarity(item, t);
+    if (!best || score > best.score) best = { task: t, score };
+  }
+  return best && best.score >= DUPLICATE_THRESHOLD ? best : null;
+}
+
+/**
+ * Applies the duplicate policy to an existing task instead of creating a new one. Returns null to
+ * create anyway. A bump with nothing to raise falls back to a comment so the re-dictation isn't lost.
+ */
+export async function mergeIntoDuplicate({ token, projects, projectId, item, transcription, single, where, requestId, policy = "comment", log }: { token: string; projects: any[]; projectId: string | null; item: Candidate; transcription: string; single: boolean; where: string; requestId: string; policy?: DuplicatePolicy; log: Log }): Promise<Merged | null> {
+  if (policy === "off") return null;
+  let dup: { task: any; score: number } | null = null;
+  try { dup = await findDuplicate({ token, projects, projectId, item, log }); } catch (e: any) { log(`⚠️ Duplicate check failed: ${e?.message || e}`); }
+  if (!dup) return null;
+  const existing = dup.task;
+  log(`👯 "${item.title}" looks like existing task ${existing.id} "${existing.content}" (${dup.score.toFixed(2)})`);
+  if (policy === "create") return null;
+
+  let merged: Merged["merged"] = "comment";
+  let path = "/comments";
+  let body: Record<string, unknown> = { task_id: existing.id, content: `🎙️ Dictated again:\n${(single && transcription) || [item.title, item.description].filter(Boolean).join("\n\n")}` };
+  if (policy === "bump") {
+    const priority = item.priority ? Math.min(4, Math.max(1, Number(item.priority) || 1)) : 0;
+    const update = {
+      ...(priority > (existing.priority || 1) ? { priority } : {}),
+      ...(item.due_string && item.due_string !== existing.due?.string ? { due_string: item.due_string } : {})
+    };
+    if (Object.keys(update).length) {
+      merged = "bump";
+      path = `/tasks/${existing.id}`;
+      body = update;
+    }
+  }
+
+  await todoistRequest(token, path, { method: "POST", body, requestId, log });
+  log(`🔁 Merged into existing task ${existing.id} (${merged === "bump" ? `updated ${Object.keys(body).join(", ")}` : "comment added"})`);
+  return { task: { id: String(existing.id), content: existing.content, url: existing.url || taskUrl(existing.id) }, where, merged };
+}
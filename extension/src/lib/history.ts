@@ -0,0 +1,117 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import type { Acted } from "./actions";
+import { noteTranscript } from "./notes";
+import type { Capture } from "./outbox";
+import { todoistList, todoistRequest, TodoistNotFoundError } from "./todoist";
+
+// Shared with tools/voice-note-raycast.js, which writes the same entries for its own captures
+export const HISTORY_DIR = path.join(os.homedir(), "Documents", "Voice Notes", ".history");
+
+type Log = (m: string) => void;
+export type CreatedLabel = { id: string; name: string };
+
+// One per posted task or subtask; `key` is the capture key ("0", "0.1"), `body` the POST /tasks request body
+export type HistoryTask = { key: string; id: string; content: string; url?: string; where: string; merged?: "comment" | "bump"; body?: any; createdLabels?: CreatedLabel[] };
+
+export type HistoryEntry = {
+  id: string;
+  createdAt: string;
+  source: "extension" | "script";
+  transcriptPath?: string;
+  transcription: string;
+  enriched: any;
+  tasks: HistoryTask[];
+  acted?: Acted;
+  undoneAt?: string;
+  reprocessOf?: string;
+  reprocessedAs?: string;
+};
+
+function entryFile(id: string) {
+  return path.join(HISTORY_DIR, `${id}.json`);
+}
+
+export function recordHistory(capture: Capture, log: Log) {
+  const entry: HistoryEntry = {
+    id: capture.id,
+    createdAt: capture.createdAt,
+    source: "extension",
+    ...(capture.notePath ? { transcriptPath: capture.notePath } : {}),
+    transcription: capture.transcription,
+    enriched: capture.analysis,
+    tasks: Object.entries(capture.posted || {}).map(([key, p]) => ({ key, ...p.task, where: p.where, ...(p.merged ? { merged: p.merged } : {}), ...(p.body ? { body: p.body } : {}), ...(p.createdLabels?.length ? { createdLabels: p.createdLabels } : {}) })),
+    ...(capture.acted ? { acted: capture.acted } : {})
+  };
+  try {
+    fs.mkdirSync(HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(entryFile(entry.id), JSON.stringify(entry, null, 2));
+  } catch (e: any) {
+    log(`⚠️ Failed to write history entry ${entry.id}: ${e?.message || e}`);
+  }
+  return entry;
+}
+
+// Newest first
+export function readHistory(): HistoryEntry[] {
+  let names: string[] = [];
+  try { names = fs.readdirSync(HISTORY_DIR).filter((n) => n.endsWith(".json")); } catch {}
+  return names
+    .map((n) => { try { return JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, n), "utf8")) as HistoryEntry; } catch { return null; } })
+    .filter((e): e is HistoryEntry => !!e && !!e.id && Array.isArray(e.tasks))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+export function updateHistory(id: string, patch: Partial<HistoryEntry>) {
+  const file = entryFile(id);
+  const entry = { ...(JSON.parse(fs.readFileSync(file, "utf8")) as HistoryEntry), ...patch };
+  fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+// The saved transcript file wins over the copy in the entry, so edits to the note are picked up
+export function readTranscript(entry: HistoryEntry) {
+  try { if (entry.transcriptPath) return noteTranscript(fs.readFileSync(entry.transcriptPath, "utf8")); } catch {}
+  return entry.transcription;
+}
+
+// Tasks Undo would delete: everything it created. Subtasks go with their parent, except those
+// added under an existing task that a duplicate was merged into.
+function tasksToDelete(entry: HistoryEntry) {
+  const merged = new Set(entry.tasks.filter((t) => t.merged).map((t) => t.key));
+  return entry.tasks.filter((t) => !t.merged && (!t.key.includes(".") || merged.has(t.key.split(".")[0])));
+}
+
+export function canUndo(entry: HistoryEntry) {
+  return !entry.undoneAt && tasksToDelete(entry).length > 0;
+}
+
+/**
+ * Deletes the tasks a capture created, then the labels ensureLabels created for them. A label that
+ * other active tasks have picked up since is kept. Merges and actions on existing tasks aren't undone.
+ * Returns the ids of the deleted labels so callers can drop them from their caches.
+ */
+export async function undoHistoryEntry({ token, entry, log }: { token: string; entry: HistoryEntry; log: Log }) {
+  const tasks = tasksToDelete(entry);
+  for (const t of tasks) {
+    // Not found: already deleted in Todoist
+    try { await todoistRequest(token, `/tasks/${encodeURIComponent(t.id)}`, { method: "DELETE", log }); } catch (e) { if (!(e instanceof TodoistNotFoundError)) throw e; }
+    log(`↩️ Deleted task ${t.id} "${t.content}"`);
+  }
+
+  const deletedLabels: string[] = [];
+  for (const label of entry.tasks.flatMap((t) => t.createdLabels || [])) {
+    let used: any[];
+    try { used = await todoistList(token, "/tasks", { label: label.name }, log); } catch (e: any) { log(`⚠️ Kept label ${label.name}: could not check its use (${e?.status || e?.message || e})`); continue; }
+    if (used.length) { log(`🏷️ Kept label ${label.name}: other tasks use it`); continue; }
+    try { await todoistRequest(token, `/labels/${encodeURIComponent(label.id)}`, { method: "DELETE", log }); } catch (e: any) {
+      if (!(e instanceof TodoistNotFoundError)) { log(`⚠️ Failed to delete label ${label.name}: ${e?.status || e?.message || e}`); continue; }
+    }
+    deletedLabels.push(label.id);
+    log(`↩️ Deleted label ${label.name}`);
+  }
+
+  updateHistory(entry.id, { undoneAt: new Date().toISOString() });
+  return { tasks: tasks.length, labels: deletedLabels };
+}
@@ -0,0 +1,94 @@
+// Chat providers for transcript analysis. Mirrors LLM_PROVIDERS in tools/voice-note-raycast.js.
+
+export type LlmProviderName = "anthropic" | "openai";
+export type LlmUsage = { input_tokens: number; output_tokens: number };
+export type LlmRequest = { baseUrl: string; apiKey?: string; model: string; system: string; user: string; maxTokens: number; schema?: object };
+/** `truncated`: the reply stopped at `maxTokens`, when the server says so. */
+export type LlmReply = { text: string; usage: LlmUsage; truncated?: boolean };
+export type LlmConfig = { name: LlmProviderName; apiKey?: string; model: string; baseUrl: string };
+
+type Provider = { defaultBaseUrl: string; defaultModel: string; keyRequired: boolean; complete: (req: LlmRequest) => Promise<LlmReply> };
+
+export const LLM_PROVIDERS: Record<LlmProviderName, Provider> = {
+  anthropic: {
+    defaultBaseUrl: "https://api.anthropic.com/v1",
+    defaultModel: "claude-3-5-haiku-latest",
+    keyRequired: true,
+    // With a schema, the model is forced to call a single tool whose input is the result
+    async complete({ baseUrl, apiKey, model, system, user, maxTokens, schema }) {
+      const tools = schema ? { tools: [{ name: "record_result", description: "Record the structured result.", input_schema: schema }], tool_choice: { type: "tool", name: "record_result" } } : {};
+      const res = await fetch(`${baseUrl}/messages`, {
+        method: "POST",
+        headers: { "x-api-key": apiKey || "", "anthropic-version": "2023-06-01", "content-type": "application/json" },
+        body: JSON.stringify({ model, max_tokens: maxTokens, system, messages: [{ role: "user", content: user }], temperature: 0, ...tools })
+      });
+      if (!res.ok) throw new LlmHttpError(`Anthropic error ${res.status}: ${await res.text().catch(() => "")}`, res.status);
+      const resp = (await res.json()) as any;
+      const toolUse = (resp.content || []).find((c: any) => c.type === "tool_use");
+      return {
+        text: toolUse ? JSON.stringify(toolUse.input) : (resp.content || []).filter((c: any) => c.type === "text" || c.text).map((c: any) => c.text).join(""),
+        usage: { input_tokens: resp.usage?.input_tokens || 0, output_tokens: resp.usage?.output_tokens || 0 },
+        truncated: resp.stop_reason === "max_tokens"
+      };
+    }
+  },
+  // Any OpenAI-compatible chat-completions server: OpenAI, Ollama, LM Studio, llama.cpp server
+  openai: {
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "gpt-4o-mini",
+    keyRequired: false,
+    async complete({ baseUrl, apiKey, model, system, user, maxTokens, schema }) {
+      const format = schema ? { response_format: { type: "json_schema", json_schema: { name: "result", schema } } } : {};
+      const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({ model, max_tokens: maxTokens, temperature: 0, messages: [{ role: "system", content: system }, { role: "user", content: user }], ...format })
+      });
+      if (!res.ok) throw new LlmHttpError(`LLM error ${res.status} from ${baseUrl}: ${await res.text().catch(() => "")}`, res.status);
+      const resp = (await res.json()) as any;
+      return {
+        text: resp.choices?.[0]?.message?.content || "",
+        usage: { input_tokens: resp.usage?.prompt_tokens || 0, output_tokens: resp.usage?.completion_tokens || 0 },
+        truncated: resp.choices?.[0]?.finish_reason === "length"
+      };
+    }
+  }
+};
+
+export function resolveLlm(prefs: { provider?: string; baseUrl?: string; model?: string; anthropicApiKey?: string; llmApiKey?: string }): LlmConfig {
+  const name = (prefs.provider || "anthropic") as LlmProviderName;
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown provider '${name}'`);
+  const apiKey = name === "anthropic" ? prefs.anthropicApiKey || prefs.llmApiKey : prefs.llmApiKey;
+  if (provider.keyRequired && !apiKey) throw new Error("Anthropic API Key is not set in preferences");
+  return {
+    name,
+    apiKey,
+    model: prefs.model?.trim() || provider.defaultModel,
+    baseUrl: String(prefs.baseUrl?.trim() || provider.defaultBaseUrl).replace(/\/+$/, "")
+  };
+}
+
+export class LlmHttpError extends Error {
+  constructor(message: string, readonly status: number) {
+    super(message);
+    this.name = "LlmHttpError";
+  }
+}
+
+/**
+ * Asks for structured output when a schema is given. Servers that reject the schema/tool
+ * parameters (HTTP 400/422) are retried once with the plain prompt, which still spells out the JSON.
+ */
+export async function completeWith(llm: LlmConfig, req: { system: string; user: string; maxTokens: number; schema?: object }, log?: (msg: string) => void) {
+  const provider = LLM_PROVIDERS[llm.name];
+  const base = { system: req.system, user: req.user, maxTokens: req.maxTokens, baseUrl: llm.baseUrl, apiKey: llm.apiKey, model: llm.model };
+  if (!req.schema) return provider.complete(base);
+  try {
+    return await provider.complete({ ...base, schema: req.schema });
+  } catch (e) {
+    if (!(e instanceof LlmHttpError) || (e.status !== 400 && e.status !== 422)) throw e;
+    log?.(`⚠️ ${llm.name} rejected structured output (${e.status}); retrying with a plain JSON prompt`);
+    return provider.complete(base);
+  }
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { matchProject, matchSectionId, parseThreshold } from "./matching";
+
+const projects = [
+  { id: "1", name: "Inbox", is_inbox_project: true },
+  { id: "2", name: "Work" },
+  { id: "3", name: "Clients", parent_id: "2" },
+  { id: "4", name: "Acme", parent_id: "3" },
+  { id: "5", name: "Personal" },
+  { id: "6", name: "Acme", parent_id: "5" },
+  { id: "7", name: "WPFusion 🔌" },
+  { id: "8", name: "Marketing" }
+];
+
+describe("matchProject", () => {
+  it("matches names exactly, ignoring case", () => {
+    expect(matchProject("marketing", projects)).toMatchObject({ id: "8", score: 1, via: "exact" });
+  });
+
+  it("ignores emoji and punctuation", () => {
+    expect(matchProject("WP Fusion", projects)).toMatchObject({ id: "7", score: 0.95, via: "punctuation" });
+  });
+
+  it("tolerates small transcription slips", () => {
+    expect(matchProject("Marketting", projects)).toMatchObject({ id: "8", via: "similarity" });
+  });
+
+  it("resolves parent/child paths and their tails", () => {
+    expect(matchProject("Work/Clients/Acme", projects)?.id).toBe("4");
+    expect(matchProject("Personal › Acme", projects)?.id).toBe("6");
+    expect(matchProject("Clients/Acme", projects)).toMatchObject({ id: "4", path: ["Work", "Clients", "Acme"] });
+  });
+
+  it("finds a sub-project from the spoken words of its path", () => {
+    expect(matchProject("client work", projects)).toMatchObject({ id: "3", score: 0.9, via: "path words" });
+  });
+
+  it("prefers the shallower project on a tie", () => {
+    const flat = [...projects, { id: "9", name: "Clients" }];
+    expect(matchProject("Clients", flat)?.id).toBe("9");
+  });
+
+  it("uses aliases before anything else", () => {
+    expect(matchProject("the plugin", projects, { aliases: { "The Plugin": "WPFusion 🔌" } })).toMatchObject({ id: "7", score: 1, via: 'alias "The Plugin"' });
+  });
+
+  it("returns null below the threshold", () => {
+    expect(matchProject("Groceries", projects)).toBeNull();
+    expect(matchProject("Marketting", projects, { threshold: 0.95 })).toBeNull();
+    expect(matchProject("", projects)).toBeNull();
+    expect(matchProject("Work", [])).toBeNull();
+  });
+});
+
+describe("matchSectionId", () => {
+  const sections = { "2": [{ id: "20", name: "Admin" }, { id: "21", name: "Hiring" }] };
+
+  it("matches within the given project only", () => {
+    expect(matchSectionId("hiring", "2", sections)).toBe("21");
+    expect(matchSectionId("hiring", "5", sections)).toBeUndefined();
+  });
+});
+
+describe("parseThreshold", () => {
+  it("falls back to the default outside (0, 1]", () => {
+    expect(parseThreshold("0.6")).toBe(0.6);
+    expect(parseThreshold("0")).toBe(0.8);
+    expect(parseThreshold("1.5")).toBe(0.8);
+    expect(parseThreshold(undefined)).toBe(0.8);
+  });
+});
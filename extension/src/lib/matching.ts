@@ -0,0 +1,176 @@
+// Keep in sync with the project & section matching in tools/voice-note-raycast.js
+
+export const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+export type MatchOptions = { aliases?: Record<string, string>; threshold?: number };
+export type ProjectMatch = { id: string; name: string; path: string[]; score: number; via: string };
+
+/** Parses the "Match Threshold" preference; anything outside (0, 1] falls back to the default. */
+export function parseThreshold(value?: string | number) {
+  const n = Number.parseFloat(String(value ?? ""));
+  return Number.isFinite(n) && n > 0 && n <= 1 ? n : DEFAULT_MATCH_THRESHOLD;
+}
+
+export function normalize(s: string) { return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim(); }
+export function squash(s: string) { return normalize(s).replace(/ /g, ""); }
+
+// Word set with a naive plural strip so "client" finds "Clients"
+export function wordSet(s: string) {
+  return new Set(normalize(s).split(" ").filter(Boolean).map((w) => (w.length > 3 ? w.replace(/s$/, "") : w)));
+}
+
+// Word overlap (Dice) so reordered phrasings still count: "renew domain" vs "domain renewal"
+export function wordOverlap(a: string, b: string) {
+  const A = wordSet(a);
+  const B = wordSet(b);
+  if (!A.size || !B.size) return 0;
+  let shared = 0;
+  for (const w of A) if (B.has(w)) shared++;
+  return (2 * shared) / (A.size + B.size);
+}
+
+function levenshtein(a: string, b: string) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+export function similarity(a: string, b: string) {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+// Scores one spoken name against one Todoist name, ignoring case, emoji and punctuation
+function nameScore(query: string, name: string) {
+  const q = normalize(query);
+  const n = normalize(name);
+  if (!q || !n) return { score: String(query).trim().toLowerCase() === String(name).trim().toLowerCase() ? 1 : 0, via: "exact" };
+  if (q === n) return { score: 1, via: "exact" };
+  if (squash(query) === squash(name)) return { score: 0.95, via: "punctuation" };
+  return { score: similarity(squash(query), squash(name)), via: "similarity" };
+}
+
+function splitProjectPath(name: string) {
+  return String(name || "").split(/\s*(?:\/|›|>)\s*/).map((s) => s.trim()).filter(Boolean);
+}
+
+/** Full parent/child name chain for every project, e.g. ["Work", "Clients", "Acme"]. */
+export function projectPaths(projects: any[] = []) {
+  const byId = new Map(projects.map((p) => [String(p.id), p]));
+  const chain = (p: any) => {
+    const out: string[] = [p.name];
+    const seen = new Set([String(p.id)]);
+    let parent = p.parent_id ? byId.get(String(p.parent_id)) : null;
+    while (parent && !seen.has(String(parent.id))) {
+      out.unshift(parent.name);
+      seen.add(String(parent.id));
+      parent = parent.parent_id ? byId.get(String(parent.parent_id)) : null;
+    }
+    return out;
+  };
+  return projects.map((p) => ({ project: p, path: chain(p) }));
+}
+
+function scoreProjectPath(parts: string[], chain: string[]) {
+  // "Work/Clients/Acme" or just its tail "Clients/Acme": every segment has to line up
+  if (parts.length > 1) {
+    if (parts.length > chain.length) return { score: 0, via: "path" };
+    const tail = chain.slice(-parts.length);
+    return { score: Math.min(...parts.map((q, i) => nameScore(q, tail[i]).score)), via: "path" };
+  }
+  const own = nameScore(parts[0], chain[chain.length - 1]);
+  // "client work" → Work › Clients: every spoken word is somewhere in the path, including the leaf
+  if (chain.length > 1 && own.score < 0.9) {
+    const words = wordSet(parts[0]);
+    const pathWords = wordSet(chain.join(" "));
+    const leaf = wordSet(chain[chain.length - 1]);
+    if (words.size > 1 && [...words].every((w) => pathWords.has(w)) && [...leaf].every((w) => words.has(w))) return { score: 0.9, via: "path words" };
+  }
+  return own;
+}
+
+/**
+ * Finds the Todoist project a spoken or model-suggested name refers to. Tries aliases first,
+ * then exact names, names without emoji/punctuation, parent/child paths and finally edit-distance
+ * similarity. Returns null below the threshold; ties go to the shallower project.
+ */
+export function matchProject(name: string | null | undefined, projects: any[], { aliases = {}, threshold = DEFAULT_MATCH_THRESHOLD }: MatchOptions = {}): ProjectMatch | null {
+  if (!name || !Array.isArray(projects) || !projects.length) return null;
+  const query = String(name).trim();
+  const alias = Object.keys(aliases).find((k) => normalize(k) && normalize(k) === normalize(query));
+  if (alias) {
+    const hit = matchProject(aliases[alias], projects, { aliases: {}, threshold });
+    if (hit) return { ...hit, score: 1, via: `alias "${alias}"` };
+  }
+  const parts = splitProjectPath(query);
+  if (!parts.length) return null;
+  let best: ProjectMatch | null = null;
+  for (const { project, path } of projectPaths(projects)) {
+    const { score, via } = scoreProjectPath(parts, path);
+    if (!best || score > best.score || (score === best.score && path.length < best.path.length)) {
+      best = { id: String(project.id), name: project.name, path, score, via };
+    }
+  }
+  return best && best.score >= threshold ? best : null;
+}
+
+export function matchSectionId(name: string | null | undefined, projectId: string, sectionsByProject: Record<string, any[]>, threshold = DEFAULT_MATCH_THRESHOLD) {
+  if (!name || !projectId) return undefined;
+  let best: { id: string; score: number } | null = null;
+  for (const s of sectionsByProject[projectId] || []) {
+    const { score } = nameScore(name, s.name || "");
+    if (!best || score > best.score) best = { id: String(s.id), score };
+  }
+  return best && best.score >= threshold ? best.id : undefined;
+}
+
+/**
+ * Collaborators whose full name, first name or email (before the @) is close to a spoken name,
+ * best first. Callers treat two hits with nearly the same score as ambiguous.
+ */
+export function matchPeople(name: string | null | undefined, people: any[], threshold = DEFAULT_MATCH_THRESHOLD) {
+  if (!name) return [];
+  return people
+    .map((person) => {
+      const full = String(person.full_name || person.name || "");
+      const names = [full, full.split(" ")[0], String(person.email || "").split("@")[0]].filter(Boolean);
+      return { person, score: Math.max(0, ...names.map((n) => nameScore(name, n).score)) };
+    })
+    .filter((m) => m.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+/** Name the model should use for a matched project: the plain name, or the path when it is ambiguous. */
+export function projectLabel(hit: ProjectMatch, projects: any[]) {
+  const dupes = (projects || []).filter((p) => normalize(p.name) === normalize(hit.name)).length;
+  return dupes > 1 ? hit.path.join("/") : hit.name;
+}
+
+export function describeMatch(name: string, hit: ProjectMatch | null, threshold = DEFAULT_MATCH_THRESHOLD) {
+  return hit ? `🎯 Project "${name}" → ${hit.path.join("/")} (${hit.score.toFixed(2)}, ${hit.via})` : `🎯 Project "${name}" → no match above ${threshold}`;
+}
+
+/** Projects as an indented tree so the model sees (and can name) sub-projects. */
+export function buildProjectsDoc(projects: any[] = [], maxLines = 300) {
+  const ids = new Set(projects.map((p) => String(p.id)));
+  const children = new Map<string, any[]>();
+  for (const p of projects) {
+    const key = p.parent_id && ids.has(String(p.parent_id)) ? String(p.parent_id) : "";
+    if (!children.has(key)) children.set(key, []);
+    children.get(key)!.push(p);
+  }
+  const out: string[] = [];
+  const walk = (key: string, depth: number) => {
+    for (const p of children.get(key) || []) {
+      if (out.length >= maxLines) return;
+      out.push(`${"  ".repeat(depth)}- ${p.name}`);
+      if (depth < 8) walk(String(p.id), depth + 1);
+    }
+  };
+  walk("", 0);
+  return out.join("\n");
+}
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { chunkTranscript } from "./meeting";
+
+describe("chunkTranscript", () => {
+  it("keeps a short transcript in one piece", () => {
+    expect(chunkTranscript("  Quick sync about the launch.  ", 100)).toEqual(["Quick sync about the launch."]);
+  });
+
+  it("splits at paragraph breaks first, then sentence ends", () => {
+    const text = "First topic. Still first.\n\nSecond topic is here. And it goes on for a while longer.";
+    expect(chunkTranscript(text, 30)).toEqual(["First topic. Still first.", "Second topic is here. And it", "goes on for a while longer."]);
+  });
+
+  it("packs small pieces together up to the limit", () => {
+    const chunks = chunkTranscript("One. Two. Three. Four. Five. Six.", 12);
+    expect(chunks).toEqual(["One. Two.", "Three. Four.", "Five. Six."]);
+  });
+
+  it("never returns a chunk over the limit and loses no words", () => {
+    const words = Array.from({ length: 500 }, (_, i) => `word${i}`);
+    const text = words.join(" ").replace(/(word\d*9) /g, "$1. ");
+    const chunks = chunkTranscript(text, 200);
+    expect(chunks.every((c) => c.length <= 200)).toBe(true);
+    expect(chunks.join(" ").replace(/\./g, "").split(/\s+/)).toEqual(words);
+  });
+
+  it("only cuts a single word longer than the limit", () => {
+    expect(chunkTranscript(`ok ${"x".repeat(25)} done`, 10)).toEqual(["ok", "xxxxxxxxxx", "xxxxxxxxxx", "xxxxx done"]);
+  });
+});
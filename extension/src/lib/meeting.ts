@@ -0,0 +1,159 @@
+import { pathToFileURL } from "node:url";
+import { completeWith, LlmConfig } from "./llm";
+import type { Capture } from "./outbox";
+import { parseModelJson } from "./schema";
+import { addUsage, emptyUsage } from "./stats";
+
+// Meeting mode: minutes (attendees, decisions, open questions) plus one task per action item.
+// Keep in sync with the meeting mode in tools/voice-note-raycast.js
+
+type Log = (m: string) => void;
+export type Minutes = { title: string; summary: string; attendees: string[]; decisions: string[]; questions: string[] };
+export type ActionItem = { title: string; description: string | null; owner: string | null; due_string: string | null; projectName: string | null };
+
+// Roughly 3,000 tokens of transcript per request, so a long recap is never cut off
+export const MEETING_CHUNK_CHARS = 12_000;
+const MEETING_MAX_TOKENS = 4096;
+export const TRANSCRIPT_HEADING = "## Transcript";
+
+const STRINGS = { type: "array", items: { type: "string" } };
+export const MEETING_SCHEMA = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+    summary: { type: "string" },
+    attendees: STRINGS,
+    decisions: STRINGS,
+    open_questions: STRINGS,
+    action_items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          description: { type: ["string", "null"] },
+          owner: { type: ["string", "null"] },
+          due_string: { type: ["string", "null"] },
+          projectName: { type: ["string", "null"] }
+        },
+        required: ["title"]
+      }
+    }
+  },
+  required: ["title", "summary", "attendees", "decisions", "open_questions", "action_items"]
+};
+
+/**
+ * Splits a transcript into pieces of at most `max` characters, at paragraph breaks, then sentence
+ * ends, then spaces. Only a single word longer than `max` is ever cut.
+ */
+export function chunkTranscript(text: string, max = MEETING_CHUNK_CHARS): string[] {
+  const pieces = (s: string, seps: RegExp[]): string[] => {
+    if (s.length <= max) return [s];
+    if (!seps.length) return s.match(new RegExp(`[\\s\\S]{1,${max}}`, "g")) || [];
+    return s.split(seps[0]).flatMap((p) => pieces(p, seps.slice(1)));
+  };
+  const chunks: string[] = [];
+  let cur = "";
+  for (const p of pieces(text.trim(), [/\s*\n\s*\n\s*/, /(?<=[.!?])\s+/, /\s+/])) {
+    if (cur && cur.length + p.length + 1 > max) { chunks.push(cur); cur = ""; }
+    cur = cur ? `${cur} ${p}` : p;
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+const strings = (v: unknown) => (Array.isArray(v) ? v : []).map((x) => String(x ?? "").trim()).filter(Boolean);
+const text = (v: unknown) => (typeof v === "string" && v.trim() ? v.trim() : null);
+
+// Keeps the first of each entry, ignoring case and spacing
+function unique(list: string[]) {
+  const seen = new Set<string>();
+  return list.filter((s) => {
+    const key = s.toLowerCase().replace(/\s+/g, " ");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function meetingPrompt(projectsDoc: string, part: number, parts: number, earlier: Minutes | null) {
+  return [
+    "You write meeting minutes from a dictated meeting recap or a meeting transcript.",
+    "Return strict JSON only. Do not include extra text.",
+    `Today is ${new Date().toLocaleDateString("en-CA")} (${new Date().toLocaleDateString("en-US", { weekday: "long" })}).`,
+    'title: a short name for the meeting. summary: two to four sentences. attendees: the people who took part, names as spoken. decisions: what was agreed. open_questions: what was left unresolved.',
+    'action_items: one per concrete follow-up, with a short imperative title. owner is the person responsible, as spoken, or null when none was stated or it is the speaker ("I\'ll send…"). due_string only when a date or time was stated, in Todoist\'s natural language ("Friday", "next Tuesday 3pm"). Never invent owners or dates.',
+    projectsDoc ? `Projects (indented under their parent):\n${projectsDoc}` : "",
+    projectsDoc ? "Set an action item's projectName only when it clearly belongs to a listed project, exactly as listed; otherwise null." : "",
+    parts > 1 ? `This is part ${part} of ${parts} of a long transcript. Extract only what is in this part; don't repeat what earlier parts already recorded.` : "",
+    earlier ? `Earlier parts so far: ${earlier.summary}${earlier.attendees.length ? `\nAttendees so far: ${earlier.attendees.join(", ")}` : ""}` : ""
+  ].filter(Boolean).join("\n");
+}
+
+const MEETING_JSON_SHAPE = `{\n  "title": string,\n  "summary": string,\n  "attendees": string[],\n  "decisions": string[],\n  "open_questions": string[],\n  "action_items": [{ "title": string, "description": string | null, "owner": string | null, "due_string": string | null, "projectName": string | null }]\n}`;
+
+/**
+ * Runs the transcript through the model one chunk at a time and merges the parts, adding up the
+ * tokens. A part without usable JSON throws, so the capture is retried from the outbox rather than
+ * saved with a gap.
+ */
+export async function extractMinutes(llm: LlmConfig, transcription: string, { projectsDoc = "", log }: { projectsDoc?: string; log: Log }) {
+  const chunks = chunkTranscript(transcription);
+  const minutes: Minutes = { title: "", summary: "", attendees: [], decisions: [], questions: [] };
+  const actionItems: ActionItem[] = [];
+  const usage = emptyUsage();
+  for (let i = 0; i < chunks.length; i++) {
+    const user = `Transcript${chunks.length > 1 ? ` (part ${i + 1} of ${chunks.length})` : ""}:\n${chunks[i]}\n\nRespond with JSON exactly matching this schema:\n${MEETING_JSON_SHAPE}`;
+    const { text: out, usage: partUsage } = await completeWith(llm, { system: meetingPrompt(projectsDoc, i + 1, chunks.length, i ? minutes : null), user, maxTokens: MEETING_MAX_TOKENS, schema: MEETING_SCHEMA }, log);
+    addUsage(usage, partUsage);
+    const json = parseModelJson(out);
+    if (!json || typeof json !== "object") throw new Error(`Meeting minutes: no usable JSON for part ${i + 1} of ${chunks.length}`);
+    minutes.title ||= text(json.title) || "";
+    minutes.summary = [minutes.summary, text(json.summary)].filter(Boolean).join("\n\n");
+    minutes.attendees = unique([...minutes.attendees, ...strings(json.attendees)]);
+    minutes.decisions = unique([...minutes.decisions, ...strings(json.decisions)]);
+    minutes.questions = unique([...minutes.questions, ...strings(json.open_questions)]);
+    for (const a of Array.isArray(json.action_items) ? json.action_items : []) {
+      const title = text(a?.title);
+      if (!title || actionItems.some((x) => x.title.toLowerCase() === title.toLowerCase())) continue;
+      actionItems.push({ title, description: text(a.description), owner: text(a.owner), due_string: text(a.due_string), projectName: text(a.projectName) });
+    }
+  }
+  minutes.title ||= "Meeting";
+  log(`📋 Minutes "${minutes.title}" from ${chunks.length} ${chunks.length === 1 ? "part" : "parts"}: ${actionItems.length} action ${actionItems.length === 1 ? "item" : "items"}`);
+  return { minutes, actionItems, usage };
+}
+
+// The enriched task for an action item; the owner stays in the description in case they can't be assigned
+export function actionItemTask(a: ActionItem) {
+  const description = [a.description, a.owner ? `Owner: ${a.owner}` : null].filter(Boolean).join("\n");
+  return { title: a.title, description: description || null, projectName: a.projectName, sectionName: null, labels: [], priority: null, due_string: a.due_string, urls: [], assignee: a.owner, subtasks: [] };
+}
+
+/** Adds a link to the minutes file to each action item's description; already-linked tasks are left alone. */
+export function linkToMinutes(tasks: { description?: string | null }[], file: string, title: string) {
+  const link = `📋 Minutes: [${title.replace(/[[\]]/g, "")}](${pathToFileURL(file).href})`;
+  for (const t of tasks) if (!String(t.description || "").includes(link)) t.description = [t.description, link].filter(Boolean).join("\n\n");
+}
+
+// The note body for a meeting: minutes first, then the transcript under its own heading
+export function minutesMarkdown(capture: Capture) {
+  const m: Minutes = capture.analysis.meeting;
+  const list = (items: string[]) => (items.length ? items.map((s) => `- ${s}`).join("\n") : "_None_");
+  const actions = (capture.analysis.tasks || []).map((t: any, i: number) => {
+    const posted = capture.posted?.[String(i)];
+    const details = [t.assignee, t.due_string ? `due ${t.due_string}` : null, posted?.merged ? "merged into an existing task" : null].filter(Boolean).join(" · ");
+    const title = posted?.task.url ? `[${t.title}](${posted.task.url})` : t.title;
+    return `- [ ] ${title}${details ? ` (${details})` : ""}`;
+  });
+  return [
+    `# ${m.title}`,
+    m.summary,
+    `## Attendees\n${list(m.attendees)}`,
+    `## Decisions\n${list(m.decisions)}`,
+    `## Open Questions\n${list(m.questions)}`,
+    `## Action Items\n${actions.length ? actions.join("\n") : "_None_"}`,
+    `${TRANSCRIPT_HEADING}\n${capture.transcription.trim()}`
+  ].filter(Boolean).join("\n\n");
+}
@@ -0,0 +1,55 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { listNotes, notesConfig, writeNote } from "./notes";
+import type { Capture } from "./outbox";
+
+function capture(createdAt: string, title: string): Capture {
+  return { id: title, createdAt, stage: "analyzed", transcription: `${title}, please`, analysis: { category: "tasks", tasks: [{ title, labels: [] }] }, posted: {}, attempts: 0 };
+}
+
+describe("listNotes", () => {
+  let root: string;
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "voice-notes-"));
+  });
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("lists the archive's notes newest first", async () => {
+    const config = notesConfig(root, "{Category}/{YYYY}");
+    writeNote(capture("2025-03-14T09:30:00.000Z", "Renew the domain"), config);
+    writeNote(capture("2025-03-15T10:00:00.000Z", "Call Sam"), config);
+    const notes = await listNotes(config);
+    expect(notes.map((n) => [n.title, n.data.category])).toEqual([
+      ["Call Sam", "tasks"],
+      ["Renew the domain", "tasks"]
+    ]);
+  });
+
+  it("leaves the rest of a vault alone", async () => {
+    const config = notesConfig(root);
+    writeNote(capture("2025-03-14T09:30:00.000Z", "Renew the domain"), config);
+    fs.mkdirSync(path.join(root, "Journal"), { recursive: true });
+    fs.writeFileSync(path.join(root, "Journal", "Diary.md"), '---\ncreated: "2025-03-14"\ncategory: "personal"\n---\nDear diary');
+    // Named like a note, but not written by the archive
+    fs.writeFileSync(path.join(root, "Journal", "2025-03-16T08-00-00.md"), "---\ntitle: Morning pages\n---\nPrivate");
+    fs.mkdirSync(path.join(root, ".outbox"));
+    fs.writeFileSync(path.join(root, ".outbox", "2025-03-16T08-00-00.md"), '---\ncreated: "2025-03-16"\ncategory: "tasks"\n---\nqueued');
+    expect((await listNotes(config)).map((n) => n.title)).toEqual(["Renew the domain"]);
+  });
+
+  it("still lists the bare transcripts older versions saved", async () => {
+    const config = notesConfig(root);
+    fs.mkdirSync(path.join(root, "Ideas"));
+    fs.writeFileSync(path.join(root, "Ideas", "2024-11-02T18-00-00.txt"), "A podcast about voice capture");
+    fs.writeFileSync(path.join(root, "2024-11-02T18-00-00.txt"), "Not in a category folder");
+    expect((await listNotes(config)).map((n) => n.title)).toEqual(["A podcast about voice capture"]);
+  });
+
+  it("returns nothing for a missing folder", async () => {
+    expect(await listNotes(notesConfig(path.join(root, "missing")))).toEqual([]);
+  });
+});
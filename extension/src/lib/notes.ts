@@ -0,0 +1,203 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { minutesMarkdown, TRANSCRIPT_HEADING } from "./meeting";
+import type { Capture } from "./outbox";
+import { CATEGORIES } from "./schema";
+
+// Keep in sync with the notes archive in tools/voice-note-raycast.js
+
+export const DEFAULT_NOTES_DIR = path.join(os.homedir(), "Documents", "Voice Notes");
+export const DEFAULT_FOLDER_TEMPLATE = "{Category}";
+
+export type NotesConfig = { root: string; folderTemplate: string };
+export type Note = { path: string; data: Record<string, any>; body: string; title: string; createdAt: string };
+
+export function notesConfig(root?: string, folderTemplate?: string): NotesConfig {
+  const dir = String(root || "").trim().replace(/^~(?=$|\/)/, os.homedir());
+  return { root: dir ? path.resolve(dir) : DEFAULT_NOTES_DIR, folderTemplate: String(folderTemplate || "").trim() || DEFAULT_FOLDER_TEMPLATE };
+}
+
+// Path segment safe on macOS and in Obsidian links
+function segment(s: string) {
+  return String(s || "").replace(/[\\/:*?"<>|#^[\]]+/g, " ").replace(/\s+/g, " ").replace(/^\.+/, "").trim();
+}
+
+/**
+ * Expands a folder template such as "Inbox/{YYYY}/{MM}" or "{project}/{Category}". Placeholders:
+ * {Category}, {category}, {project}, {YYYY}, {MM}, {DD}. Empty and ".." segments are dropped so a
+ * note always stays inside the notes folder.
+ */
+export function renderFolder(template: string, { category, project, date }: { category: string; project?: string | null; date: Date }) {
+  const pad = (n: number) => String(n).padStart(2, "0");
+  const values: Record<string, string> = {
+    Category: category.replace(/^./, (c) => c.toUpperCase()),
+    category,
+    project: project || "Inbox",
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate())
+  };
+  return template
+    .split("/")
+    .map((part) => segment(part.replace(/\{(\w+)\}/g, (m, key) => (key in values ? values[key] : m))))
+    .filter((part) => part && part !== "..")
+    .join(path.sep);
+}
+
+// Flat frontmatter: strings are written JSON-quoted (valid YAML) and lists as flow sequences
+export function toFrontmatter(data: Record<string, unknown>) {
+  const lines = Object.entries(data).map(([k, v]) => `${k}: ${Array.isArray(v) ? `[${v.map((x) => JSON.stringify(x)).join(", ")}]` : JSON.stringify(v)}`);
+  return `---\n${lines.join("\n")}\n---\n`;
+}
+
+function parseScalar(raw: string): any {
+  const v = raw.trim();
+  if (!v) return "";
+  try { if (/^["[{]|^-?\d|^(true|false|null)$/.test(v)) return JSON.parse(v); } catch {}
+  if (v.startsWith("[") && v.endsWith("]")) return v.slice(1, -1).split(",").map((x) => parseScalar(x)).filter((x) => x !== "");
+  return v.replace(/^'(.*)'$/, "$1");
+}
+
+/** Splits a note into frontmatter fields and body. Also reads block lists as rewritten by Obsidian. */
+export function parseNote(text: string): { data: Record<string, any>; body: string } {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!m) return { data: {}, body: text };
+  const data: Record<string, any> = {};
+  let listKey: string | null = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) { data[listKey].push(parseScalar(item[1])); continue; }
+    const kv = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!kv) continue;
+    listKey = kv[2].trim() ? null : kv[1];
+    data[kv[1]] = listKey ? [] : parseScalar(kv[2]);
+  }
+  return { data, body: text.slice(m[0].length).replace(/^\r?\n/, "") };
+}
+
+// The transcript of a note written by either implementation (or a plain .txt from older versions).
+// Meeting minutes keep it under their last heading.
+export function noteTranscript(text: string) {
+  const { data, body } = parseNote(text);
+  const at = data.minutes ? body.lastIndexOf(`\n${TRANSCRIPT_HEADING}\n`) : -1;
+  return (at >= 0 ? body.slice(at + TRANSCRIPT_HEADING.length + 2) : body).trim();
+}
+
+export function isArchiveNote(file: string, config: NotesConfig) {
+  return file.endsWith(".md") && path.resolve(file).startsWith(config.root + path.sep);
+}
+
+const one = <T>(list: T[]) => (list.length === 1 ? list[0] : list);
+
+// Before posting the note knows what the model suggested; afterwards it carries where the tasks went
+export function noteData(capture: Capture) {
+  const tasks: any[] = capture.analysis?.tasks || [];
+  const meeting = capture.analysis?.meeting;
+  const posted = Object.entries(capture.posted || {}).filter(([key]) => !key.includes(".")).map(([, p]) => p);
+  const targets = capture.acted ? [capture.acted] : posted;
+  const [project, section] = targets.length ? String(targets[0].where).split(" › ") : [tasks[0]?.projectName, tasks[0]?.sectionName];
+  const data: Record<string, unknown> = {
+    created: capture.createdAt,
+    category: capture.analysis?.category || "misc",
+    title: capture.acted?.task.content || meeting?.title || tasks[0]?.title,
+    minutes: meeting ? true : undefined,
+    attendees: meeting?.attendees,
+    labels: Array.from(new Set(tasks.flatMap((t) => t.labels || []))),
+    project,
+    section,
+    due: capture.acted || meeting ? undefined : tasks[0]?.due_string,
+    action: capture.acted?.type,
+    todoist_id: targets.length ? one(targets.map((t) => String(t.task.id))) : undefined,
+    todoist_url: targets.some((t) => t.task.url) ? one(targets.map((t) => t.task.url || "")) : undefined,
+    model: capture.model,
+    recording: capture.recording
+  };
+  return Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined && v !== null && v !== "" && !(Array.isArray(v) && !v.length)));
+}
+
+/**
+ * Writes the capture's Markdown note: a new one under the folder template, or an update of the
+ * archive note it already has. Transcript files passed in from elsewhere are never rewritten;
+ * meeting minutes for one go into a new archive note.
+ */
+export function writeNote(capture: Capture, config: NotesConfig) {
+  const meeting = !!capture.analysis?.meeting;
+  let file = capture.notePath;
+  if (file && !isArchiveNote(file, config)) {
+    if (!meeting) return file;
+    file = undefined;
+  }
+  if (!file) {
+    const category = String(capture.analysis?.category || "misc").toLowerCase();
+    const project = capture.analysis?.tasks?.[0]?.projectName;
+    const created = new Date(capture.createdAt);
+    const dir = path.join(config.root, renderFolder(config.folderTemplate, { category, project, date: created }));
+    fs.mkdirSync(dir, { recursive: true });
+    // Captures in the same second each get their own note
+    const stamp = created.toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    file = path.join(dir, `${stamp}.md`);
+    for (let n = 2; fs.existsSync(file); n++) file = path.join(dir, `${stamp}-${n}.md`);
+  }
+  fs.writeFileSync(file, `${toFrontmatter(noteData(capture))}\n${meeting ? minutesMarkdown(capture) : capture.transcription.trim()}\n`);
+  return file;
+}
+
+// Archive notes are named after the capture time: 2025-03-14T09-30-00.md, or …-2.md for the same second
+const NOTE_FILE = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(-\d+)?\.(md|txt)$/;
+
+/**
+ * Every note the archive wrote under the notes folder, newest first. The folder may be an Obsidian
+ * vault, so only files named like archive notes are read: .md notes whose frontmatter has `created`
+ * and `category`, and the bare .txt transcripts older versions wrote to <root>/<Category>/. Dot
+ * folders (outbox, history) are skipped.
+ */
+export async function listNotes(config: NotesConfig, max = 5000): Promise<Note[]> {
+  const notes: Note[] = [];
+  const walk = async (dir: string, depth: number) => {
+    let entries: fs.Dirent[] = [];
+    try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      if (notes.length >= max || e.name.startsWith(".")) continue;
+      const file = path.join(dir, e.name);
+      if (e.isDirectory()) { if (depth < 6) await walk(file, depth + 1); continue; }
+      if (!NOTE_FILE.test(e.name)) continue;
+      const legacy = e.name.endsWith(".txt");
+      if (legacy && (depth !== 1 || !CATEGORIES.includes(path.basename(dir).toLowerCase()))) continue;
+      try {
+        const { data, body } = parseNote(await fs.promises.readFile(file, "utf8"));
+        if (!legacy && (!data.created || !data.category)) continue;
+        const createdAt = String(data.created || (await fs.promises.stat(file)).mtime.toISOString());
+        notes.push({ path: file, data, body: body.trim(), title: String(data.title || body.trim().split("\n")[0] || e.name).slice(0, 120), createdAt });
+      } catch {}
+    }
+  };
+  await walk(config.root, 0);
+  return notes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+const FIELD_ALIASES: Record<string, string> = { label: "labels", tag: "labels", id: "todoist_id" };
+
+/**
+ * Parses a search such as `invoice project:work label:finance "due:next week"`. `field:value`
+ * filters one frontmatter field (substring, any list item); everything else must appear somewhere
+ * in the title, body or fields.
+ */
+export function parseQuery(query: string) {
+  const terms: string[] = [];
+  const fields: [string, string][] = [];
+  for (const m of String(query || "").matchAll(/"([^"]*)"|(\S+)/g)) {
+    const token = (m[1] ?? m[2]).trim();
+    const kv = /^([a-z_]+):(.+)$/i.exec(token);
+    if (kv) fields.push([FIELD_ALIASES[kv[1].toLowerCase()] || kv[1].toLowerCase(), kv[2].toLowerCase()]);
+    else if (token) terms.push(token.toLowerCase());
+  }
+  return { terms, fields };
+}
+
+export function matchesNote(note: Note, { terms, fields }: ReturnType<typeof parseQuery>) {
+  const values = (v: unknown) => (Array.isArray(v) ? v : v === undefined ? [] : [v]).map((x) => String(x).toLowerCase());
+  if (!fields.every(([k, v]) => values(note.data[k]).some((x) => x.includes(v)))) return false;
+  const hay = [note.title, note.body, ...Object.values(note.data).flatMap(values)].join("\n").toLowerCase();
+  return terms.every((t) => hay.includes(t));
+}
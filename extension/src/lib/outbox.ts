@@ -0,0 +1,94 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import type { Acted } from "./actions";
+import type { CreatedLabel } from "./history";
+import type { LlmUsage } from "./llm";
+import type { StatsTimings } from "./stats";
+
+// Shared with tools/voice-note-raycast.js: either implementation can replay the other's items.
+export const OUTBOX_DIR = path.join(os.homedir(), "Documents", "Voice Notes", ".outbox");
+const MAX_ATTEMPTS = 10;
+
+export type CaptureStage = "transcribed" | "analyzed" | "posted";
+// `body` and `createdLabels` are kept for the history, so Undo knows what to remove; `warnings` so a
+// retried capture still reports what couldn't be applied
+export type PostedTask = { task: { id: string; content: string; url?: string }; where: string; merged?: "comment" | "bump"; body?: any; createdLabels?: CreatedLabel[]; warnings?: string[] };
+
+export type Capture = {
+  id: string;
+  createdAt: string;
+  stage: CaptureStage;
+  transcription: string;
+  analysis: any | null;
+  notePath?: string;
+  // For the note's frontmatter: "provider/model" that analyzed it and the SuperWhisper recording folder
+  model?: string;
+  recording?: string;
+  // Recorded with Voice Meeting Notes: analyzed as a meeting whatever the category
+  meeting?: boolean;
+  // The recording went up as a comment, so a replay doesn't attach it twice
+  audioAttached?: boolean;
+  // Tokens, cost and stage times not yet written to the stats file
+  stats?: { usage?: LlmUsage; cost?: number | null; timings: StatsTimings };
+  posted: Record<string, PostedTask>;
+  acted?: Acted;
+  attempts: number;
+  lastError?: string;
+  nextAttemptAt?: string;
+};
+
+export function newCapture(transcription: string): Capture {
+  return { id: crypto.randomUUID(), createdAt: new Date().toISOString(), stage: "transcribed", transcription, analysis: null, posted: {}, attempts: 0 };
+}
+
+// Same capture + task key always yields the same UUID, so Todoist can drop a replayed POST
+export function stableRequestId(captureId: string, key: string) {
+  const h = crypto.createHash("sha1").update(`${captureId}:${key}`).digest("hex");
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20, 32)}`;
+}
+
+function backoffMs(attempts: number) {
+  return Math.min(60_000 * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60_000); // 1m, 2m, 4m … capped at 6h
+}
+
+export function queueOutboxItem(capture: Capture, err: unknown, log: (msg: string) => void): "queued" | "gave-up" {
+  capture.attempts = (capture.attempts || 0) + 1;
+  capture.lastError = (err as any)?.message || String(err);
+  capture.nextAttemptAt = new Date(Date.now() + backoffMs(capture.attempts)).toISOString();
+  const file = path.join(OUTBOX_DIR, `${capture.id}.json`);
+  try {
+    if (capture.attempts >= MAX_ATTEMPTS) {
+      const failedDir = path.join(OUTBOX_DIR, "failed");
+      fs.mkdirSync(failedDir, { recursive: true });
+      fs.writeFileSync(path.join(failedDir, `${capture.id}.json`), JSON.stringify(capture, null, 2));
+      try { fs.unlinkSync(file); } catch {}
+      log(`🗑️ Outbox gave up on ${capture.id} after ${capture.attempts} attempts: ${capture.lastError}`);
+      return "gave-up";
+    }
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(capture, null, 2));
+    log(`📥 Queued ${capture.id} in outbox (stage ${capture.stage}, attempt ${capture.attempts}, next ${capture.nextAttemptAt})`);
+  } catch (e: any) {
+    log(`⚠️ Failed to write outbox item ${capture.id}: ${e?.message || e}`);
+  }
+  return "queued";
+}
+
+export function readOutboxItems(): Capture[] {
+  let names: string[] = [];
+  try { names = fs.readdirSync(OUTBOX_DIR).filter((n) => n.endsWith(".json")); } catch {}
+  return names
+    .map((n) => { try { return JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, n), "utf8")) as Capture; } catch { return null; } })
+    .filter((item): item is Capture => !!item && !!item.id && !!item.transcription)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+export function removeOutboxItem(id: string) {
+  try { fs.unlinkSync(path.join(OUTBOX_DIR, `${id}.json`)); } catch {}
+}
+
+export function isDue(capture: Capture) {
+  return !capture.nextAttemptAt || Date.parse(capture.nextAttemptAt) <= Date.now();
+}
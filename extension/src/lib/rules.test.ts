@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { applyRules, applyRulesToTasks, evaluateCondition, Rule, validateRule } from "./rules";
+
+describe("applyRules", () => {
+  const task = { title: "Fix checkout bug", description: null, labels: ["bug"] };
+
+  it("fills empty fields, so the first matching rule wins", () => {
+    const rules: Rule[] = [
+      { test: "checkout", projectName: "WPFusion", labels: ["urgent"], priority: 4 },
+      { test: "bug", projectName: "Support", priority: 2 }
+    ];
+    const { enriched, hits } = applyRules({ transcription: "the checkout is broken", enriched: task, rules });
+    expect(enriched).toMatchObject({ projectName: "WPFusion", labels: ["bug", "urgent"], priority: 4 });
+    expect(hits.map((h) => [h.matched, h.applied])).toEqual([
+      [true, { projectName: "WPFusion", labels: ["urgent"], priority: 4 }],
+      [true, {}]
+    ]);
+  });
+
+  it("replaces fields in override mode and clears a section chosen for another project", () => {
+    const rules: Rule[] = [{ test: "checkout", mode: "override", projectName: "Support", labels: ["triage"] }];
+    const { enriched } = applyRules({ transcription: "", enriched: { ...task, projectName: "Work", sectionName: "Admin" }, rules });
+    expect(enriched).toMatchObject({ projectName: "Support", sectionName: null, labels: ["triage"] });
+  });
+
+  it("stops after a rule with stop fires", () => {
+    const rules: Rule[] = [{ test: "bug", labels: ["a"], stop: true }, { test: "bug", labels: ["b"] }];
+    const { enriched, hits } = applyRules({ transcription: "", enriched: task, rules });
+    expect(enriched.labels).toEqual(["bug", "a"]);
+    expect(hits).toHaveLength(1);
+    expect(hits[0].stopped).toBe(true);
+  });
+
+  it("checks when conditions against the task as enriched so far", () => {
+    const rules: Rule[] = [
+      { test: "checkout", projectName: "WPFusion" },
+      { when: { all: [{ field: "projectName", equals: "wpfusion" }, { field: "labels", includes: "bug" }] }, removeLabels: ["bug"], labels: ["wpf-bug"] },
+      { when: { field: "category", in: ["ideas"] }, priority: 1 }
+    ];
+    const { enriched, hits } = applyRules({ transcription: "", enriched: task, rules, category: "tasks" });
+    expect(enriched.labels).toEqual(["wpf-bug"]);
+    expect(enriched.priority).toBeUndefined();
+    expect(hits.map((h) => h.matched)).toEqual([true, true, false]);
+  });
+
+  it("records a bad pattern on its hit instead of throwing", () => {
+    const { hits } = applyRules({ transcription: "", enriched: task, rules: [{ test: "(", labels: ["x"] }] });
+    expect(hits[0]).toMatchObject({ matched: false, error: expect.any(String) });
+  });
+});
+
+describe("applyRulesToTasks", () => {
+  const rules: Rule[] = [{ test: "invoice", projectName: "Finance", labels: ["billing"], priority: 3 }];
+  const transcription = "call the accountant, then send the Q3 invoice to Acme, and remind me to renew the domain";
+
+  it("matches each of several tasks on its own text, not the shared transcript", () => {
+    const tasks = [
+      { title: "Call the accountant", labels: [], subtasks: [{ title: "Find the tax forms", labels: [] }] },
+      { title: "Send the Q3 invoice to Acme", labels: [] },
+      { title: "Renew the domain", labels: [] }
+    ];
+    const { tasks: out } = applyRulesToTasks(tasks, { transcription, rules });
+    expect(out.map((t) => [t.title, (t as any).projectName, t.labels])).toEqual([
+      ["Call the accountant", undefined, []],
+      ["Send the Q3 invoice to Acme", "Finance", ["billing"]],
+      ["Renew the domain", undefined, []]
+    ]);
+    expect(out[0].subtasks).toEqual([{ title: "Find the tax forms", labels: [] }]);
+  });
+
+  it("still reads the transcript when the capture made a single task", () => {
+    const { tasks: out } = applyRulesToTasks([{ title: "Send it to Acme", labels: [], subtasks: [{ title: "Attach the PDF", labels: [] }] }], { transcription, rules });
+    expect(out[0]).toMatchObject({ projectName: "Finance", priority: 3 });
+    expect((out[0].subtasks[0] as any).projectName).toBeUndefined();
+  });
+});
+
+describe("evaluateCondition", () => {
+  it("combines all, any and not", () => {
+    const ctx = { priority: 3, labels: [], title: "Call Sam" };
+    expect(evaluateCondition({ any: [{ field: "priority", gte: 4 }, { not: { field: "labels", empty: false } }] }, ctx)).toBe(true);
+    expect(evaluateCondition({ all: [{ field: "priority", lte: 2 }, { field: "title", matches: "sam" }] }, ctx)).toBe(false);
+  });
+});
+
+describe("validateRule", () => {
+  it("flags rules without a pattern or conditions, or with malformed ones", () => {
+    expect(validateRule({ labels: ["x"] })).toBe("A rule needs a regex pattern, conditions, or both");
+    expect(validateRule({ test: "(", labels: ["x"] })).toBeTruthy();
+    expect(validateRule({ when: { field: "priority" } as any, labels: ["x"] })).toMatch(/^when needs one of/);
+    expect(validateRule({ test: "invoice", projectName: "Finance" })).toBeUndefined();
+  });
+});
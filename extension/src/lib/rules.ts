@@ -0,0 +1,227 @@
+import { environment } from "@raycast/api";
+import fs from "node:fs";
+import path from "node:path";
+
+// Keep in sync with the rules engine in tools/voice-note-raycast.js
+
+export const CONDITION_FIELDS = ["category", "projectName", "sectionName", "labels", "priority", "due_string", "title", "description", "text"] as const;
+export type ConditionField = (typeof CONDITION_FIELDS)[number];
+
+export type ConditionLeaf = {
+  field: ConditionField;
+  equals?: string | number;
+  in?: (string | number)[];
+  matches?: string;
+  includes?: string;
+  gte?: number;
+  lte?: number;
+  empty?: boolean;
+};
+export type Condition = { all: Condition[] } | { any: Condition[] } | { not: Condition } | ConditionLeaf;
+
+export type Rule = {
+  test?: string;
+  when?: Condition;
+  mode?: "fill" | "override";
+  projectName?: string;
+  sectionName?: string;
+  labels?: string[];
+  removeLabels?: string[];
+  priority?: number;
+  due_string?: string;
+  stop?: boolean;
+};
+
+// Fields a rule can set, in the order they are shown and applied
+export const RULE_FIELDS = ["projectName", "sectionName", "labels", "removeLabels", "priority", "due_string"] as const;
+export type RuleField = (typeof RULE_FIELDS)[number];
+
+export type RuleHit = { index: number; rule: Rule; matched: boolean; stopped?: boolean; error?: string; applied: Partial<Record<RuleField, unknown>> };
+
+const LEAF_OPS = ["equals", "in", "matches", "includes", "gte", "lte", "empty"] as const;
+
+export function getRulesPath() {
+  return path.join(environment.supportPath, "voice-note-rules.json");
+}
+
+// `projectAliases` maps spoken names to Todoist projects, e.g. { "client work": "Work/Clients" }
+export type RulesFile = { rules: Rule[]; projectAliases?: Record<string, string> };
+
+export function readRules(file = getRulesPath()): RulesFile {
+  try {
+    const j = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { ...j, rules: Array.isArray(j?.rules) ? j.rules : [] };
+  } catch {
+    return { rules: [] };
+  }
+}
+
+// Keeps any other top-level keys in the file untouched
+export function writeRules(rules: Rule[], file = getRulesPath()) {
+  const current = readRules(file);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ ...current, rules }, null, 2), "utf8");
+}
+
+/**
+ * Compiles a rule pattern. A leading PCRE-style inline flag group such as `(?i)` or `(?is)` is
+ * turned into JavaScript RegExp flags, since JavaScript rejects the inline form.
+ */
+export function compilePattern(pattern: string): RegExp {
+  const m = /^\(\?([a-zA-Z]+)\)/.exec(pattern);
+  if (!m) return new RegExp(pattern);
+  const bad = m[1].split("").filter((f) => !"ims".includes(f));
+  if (bad.length) throw new Error(`Unsupported inline flag(s) ${bad.join("")}; use i, m or s`);
+  return new RegExp(pattern.slice(m[0].length), Array.from(new Set(m[1])).join(""));
+}
+
+/** Returns a human-readable problem with the pattern, or undefined when it compiles. */
+export function validatePattern(pattern: string): string | undefined {
+  const p = String(pattern || "").trim();
+  if (!p) return "Regex pattern is required";
+  try { compilePattern(p); } catch (e: any) { return e?.message || "Invalid regular expression"; }
+  return undefined;
+}
+
+/** Returns the first structural problem in a condition tree, or undefined when it is valid. */
+export function validateCondition(cond: any, where = "when"): string | undefined {
+  if (!cond || typeof cond !== "object" || Array.isArray(cond)) return `${where} must be an object`;
+  if ("all" in cond || "any" in cond) {
+    const key = "all" in cond ? "all" : "any";
+    if (!Array.isArray(cond[key]) || !cond[key].length) return `${where}.${key} must be a non-empty list`;
+    for (let i = 0; i < cond[key].length; i++) {
+      const err = validateCondition(cond[key][i], `${where}.${key}[${i}]`);
+      if (err) return err;
+    }
+    return undefined;
+  }
+  if ("not" in cond) return validateCondition(cond.not, `${where}.not`);
+  if (!CONDITION_FIELDS.includes(cond.field)) return `${where}.field must be one of ${CONDITION_FIELDS.join(", ")}`;
+  const ops = LEAF_OPS.filter((op) => op in cond);
+  if (!ops.length) return `${where} needs one of ${LEAF_OPS.join(", ")}`;
+  if ("matches" in cond) {
+    const err = validatePattern(cond.matches);
+    if (err) return `${where}.matches: ${err}`;
+  }
+  if ("in" in cond && !Array.isArray(cond.in)) return `${where}.in must be a list`;
+  return undefined;
+}
+
+/** Validates a whole rule: it needs a pattern, a condition, or both, and both must be well-formed. */
+export function validateRule(rule: Rule): string | undefined {
+  const hasTest = !!String(rule.test || "").trim();
+  if (!hasTest && !rule.when) return "A rule needs a regex pattern, conditions, or both";
+  if (hasTest) {
+    const err = validatePattern(rule.test || "");
+    if (err) return err;
+  }
+  if (rule.when) {
+    const err = validateCondition(rule.when);
+    if (err) return err;
+  }
+  if (rule.mode && rule.mode !== "fill" && rule.mode !== "override") return `mode must be "fill" or "override"`;
+  return undefined;
+}
+
+function isEmpty(v: unknown) {
+  return v === undefined || v === null || v === "" || (Array.isArray(v) && v.length === 0);
+}
+
+function sameText(a: unknown, b: unknown) {
+  return String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+}
+
+function evaluateLeaf(c: ConditionLeaf, ctx: Record<string, any>) {
+  const v = ctx[c.field];
+  const list: unknown[] = Array.isArray(v) ? v : [v];
+  if ("equals" in c && !list.some((x) => sameText(x, c.equals))) return false;
+  if ("in" in c && !list.some((x) => (c.in || []).some((y) => sameText(x, y)))) return false;
+  if ("includes" in c) {
+    const ok = Array.isArray(v) ? v.some((x) => sameText(x, c.includes)) : String(v ?? "").toLowerCase().includes(String(c.includes).toLowerCase());
+    if (!ok) return false;
+  }
+  if ("matches" in c && !compilePattern(String(c.matches)).test(list.filter((x) => !isEmpty(x)).join("\n"))) return false;
+  if ("gte" in c && !(Number(v) >= Number(c.gte))) return false;
+  if ("lte" in c && !(Number(v) <= Number(c.lte))) return false;
+  if ("empty" in c && isEmpty(v) !== !!c.empty) return false;
+  return true;
+}
+
+export function evaluateCondition(cond: Condition, ctx: Record<string, any>): boolean {
+  if ("all" in cond) return cond.all.every((c) => evaluateCondition(c, ctx));
+  if ("any" in cond) return cond.any.some((c) => evaluateCondition(c, ctx));
+  if ("not" in cond) return !evaluateCondition(cond.not, ctx);
+  return evaluateLeaf(cond, ctx);
+}
+
+/**
+ * Runs rules in order against one task. A rule fires when its `test` pattern matches the task's
+ * title/description (plus `transcription`, if given) and its `when` conditions hold for the task as enriched so far.
+ * In "fill" mode (the default) project, section, priority and due only fill empty fields, so the
+ * first matching rule wins; "override" replaces them. `stop` ends processing after a rule fires.
+ * `hits` records every rule and what it set.
+ */
+export function applyRules({ transcription, enriched, rules, category }: { transcription: string; enriched: any; rules: Rule[]; category?: string }) {
+  const hay = `${enriched?.title || ""}\n${enriched?.description || ""}\n${transcription || ""}`;
+  const next = { ...enriched, labels: [...(enriched?.labels || [])] };
+  const hits: RuleHit[] = [];
+  for (let index = 0; index < rules.length; index++) {
+    const r = rules[index];
+    const hit: RuleHit = { index, rule: r, matched: false, applied: {} };
+    hits.push(hit);
+    const pat = String(r.test || "").trim();
+    if (!pat && !r.when) continue;
+    try {
+      if (pat && !compilePattern(pat).test(hay)) continue;
+      if (r.when && !evaluateCondition(r.when, { ...next, category: next.category ?? category, text: hay })) continue;
+    } catch (e: any) {
+      hit.error = e?.message || String(e);
+      continue;
+    }
+    hit.matched = true;
+    const override = r.mode === "override";
+
+    if (r.projectName && (override || !next.projectName)) {
+      // A new project invalidates a section chosen for the old one unless this rule sets its own
+      if (override && next.sectionName && !r.sectionName && !sameText(next.projectName, r.projectName)) next.sectionName = hit.applied.sectionName = null;
+      next.projectName = hit.applied.projectName = r.projectName;
+    }
+    if (r.sectionName && (override || !next.sectionName)) next.sectionName = hit.applied.sectionName = r.sectionName;
+    if (Array.isArray(r.labels) && r.labels.length) {
+      const before = next.labels.map((l: string) => String(l).toLowerCase());
+      next.labels = override ? [...r.labels] : Array.from(new Set([...next.labels, ...r.labels]));
+      const added = r.labels.filter((l) => !before.includes(String(l).toLowerCase()));
+      if (added.length || override) hit.applied.labels = override ? r.labels : added;
+    }
+    if (Array.isArray(r.removeLabels) && r.removeLabels.length) {
+      const drop = new Set(r.removeLabels.map((l) => String(l).toLowerCase()));
+      const removed = next.labels.filter((l: string) => drop.has(String(l).toLowerCase()));
+      next.labels = next.labels.filter((l: string) => !drop.has(String(l).toLowerCase()));
+      if (removed.length) hit.applied.removeLabels = removed;
+    }
+    if (r.priority && (override || !next.priority)) next.priority = hit.applied.priority = r.priority;
+    if (r.due_string && (override || !next.due_string)) next.due_string = hit.applied.due_string = r.due_string;
+    if (r.stop) {
+      hit.stopped = true;
+      break;
+    }
+  }
+  return { enriched: next, hits };
+}
+
+/**
+ * Runs the rules over every task a capture produced and their subtasks. Each is matched on its
+ * own title and description; the transcript only counts for a lone task, since with several a
+ * pattern in it would fire on all of them. `hits` collects every task's hits.
+ */
+export function applyRulesToTasks<T extends { subtasks?: any[] }>(tasks: T[], { transcription, rules, category }: { transcription: string; rules: Rule[]; category?: string }) {
+  const hits: RuleHit[] = [];
+  const apply = (enriched: any, text = "") => {
+    const res = applyRules({ transcription: text, enriched, rules, category });
+    hits.push(...res.hits);
+    return res.enriched;
+  };
+  const shared = tasks.length === 1 ? transcription : "";
+  const out: T[] = tasks.map((t) => ({ ...apply(t, shared), subtasks: (t.subtasks || []).map((st) => apply(st)) }));
+  return { tasks: out, hits };
+}
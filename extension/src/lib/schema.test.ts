@@ -0,0 +1,102 @@
+import { describe, expect, it } from "vitest";
+import { matchProject } from "./matching";
+import { parseModelJson, RefLookup, validateEnriched } from "./schema";
+
+const projects = [
+  { id: "1", name: "Inbox", is_inbox_project: true },
+  { id: "2", name: "Work" },
+  { id: "3", name: "Clients", parent_id: "2" },
+  { id: "4", name: "WPFusion 🔌" }
+];
+const sections: Record<string, { id: string; name: string }[]> = { "2": [{ id: "20", name: "Admin" }] };
+
+const lookup: RefLookup = {
+  project: (name) => {
+    const match = matchProject(name, projects);
+    return match ? { id: match.id, name: match.name, match } : null;
+  },
+  sectionsKnown: (projectId) => projectId in sections,
+  section: (name, projectId) => sections[projectId]?.find((s) => s.name.toLowerCase() === name.toLowerCase())
+};
+
+describe("parseModelJson", () => {
+  it("reads JSON wrapped in prose or a code fence", () => {
+    expect(parseModelJson('Here you go:\n```json\n{"category":"tasks"}\n```')).toEqual({ category: "tasks" });
+  });
+
+  it("returns null when there is no object", () => {
+    expect(parseModelJson("sorry, I can't help")).toBeNull();
+  });
+});
+
+describe("validateEnriched", () => {
+  it("rejects anything that isn't an object", () => {
+    const checked = validateEnriched(["not", "an", "object"]);
+    expect(checked.parsed).toBe(false);
+    expect(checked.errors).toEqual(["response was not a JSON object"]);
+  });
+
+  it("keeps a valid result as is", () => {
+    const checked = validateEnriched({ category: "Tasks", tasks: [{ title: " Renew the domain ", priority: 3, labels: ["admin"], due_string: "Friday" }] }, lookup);
+    expect(checked.errors).toEqual([]);
+    expect(checked.value).toEqual({ category: "tasks", intent: "create", tasks: [{ title: "Renew the domain", priority: 3, labels: ["admin"], due_string: "Friday", urls: [], subtasks: [] }] });
+  });
+
+  it("drops invalid fields with a reason for the repair prompt instead of guessing", () => {
+    const checked = validateEnriched({
+      category: "chores",
+      tasks: [{ title: "Call Sam", priority: 7, labels: ["ok", ""], urls: ["ftp://x", "https://example.com"], deadline: "2025-02-30", duration_minutes: 30 }]
+    });
+    expect(checked.errors).toEqual([
+      "category: must be one of meetings, ideas, tasks, personal, support, documentation, misc",
+      "tasks[0].priority: must be an integer from 1 to 4",
+      "tasks[0].labels[1]: must be a non-empty string",
+      "tasks[0].urls[0]: not an http(s) URL",
+      "tasks[0].duration_minutes: needs a due_string to place the time block",
+      "tasks[0].deadline: must be a date as YYYY-MM-DD"
+    ]);
+    expect(checked.dropped.map((d) => d.path)).toContain("tasks[0].priority");
+    expect(checked.value.tasks[0]).toMatchObject({ title: "Call Sam", labels: ["ok"], urls: ["https://example.com"] });
+    expect(checked.value.tasks[0].priority).toBeUndefined();
+  });
+
+  it("rewrites loosely matched projects and drops unknown projects and sections", () => {
+    const checked = validateEnriched(
+      {
+        category: "tasks",
+        tasks: [
+          { title: "Ship the release", projectName: "wpfusion" },
+          { title: "File the invoice", projectName: "Work", sectionName: "Billing" },
+          { title: "Plan the offsite", projectName: "Holidays", sectionName: "Admin" }
+        ]
+      },
+      lookup
+    );
+    expect(checked.value.tasks.map((t: any) => [t.projectName, t.sectionName])).toEqual([
+      ["WPFusion 🔌", undefined],
+      ["Work", undefined],
+      [undefined, undefined]
+    ]);
+    expect(checked.matches).toEqual([expect.objectContaining({ path: "tasks[0].projectName", value: "wpfusion" }), expect.objectContaining({ path: "tasks[1].projectName", value: "Work" })]);
+    expect(checked.errors).toEqual(["tasks[1].sectionName: not a section of Work", "tasks[2].projectName: not a Todoist project", "tasks[2].sectionName: needs a valid projectName"]);
+  });
+
+  it("falls back to creating a task when an action is incomplete", () => {
+    const checked = validateEnriched({ category: "tasks", intent: "update", action: { target: "renew domain" }, tasks: [{ title: "Renew domain" }] });
+    expect(checked.value.intent).toBe("create");
+    expect(checked.value.action).toBeUndefined();
+    expect(checked.errors).toEqual(['action: intent "update" needs due_string or priority']);
+  });
+
+  it("accepts a single task at the top level", () => {
+    const checked = validateEnriched({ category: "ideas", title: "Podcast about voice capture" });
+    expect(checked.value.tasks).toHaveLength(1);
+    expect(checked.errors).toEqual([]);
+  });
+
+  it("reports when no task is left to create", () => {
+    const checked = validateEnriched({ category: "tasks", tasks: [{ title: "  " }] });
+    expect(checked.value.tasks).toEqual([]);
+    expect(checked.errors).toEqual(["tasks[0]: task needs a non-empty title", "tasks: no valid task left"]);
+  });
+});
@@ -0,0 +1,235 @@
+// Schema and validation for the model's enriched result. Mirrors the "Result validation"
+// section of tools/voice-note-raycast.js.
+
+import type { ProjectMatch } from "./matching";
+
+export const CATEGORIES = ["meetings", "ideas", "tasks", "personal", "support", "documentation", "misc"];
+export const INTENTS = ["create", "complete", "update", "comment"];
+
+const SUBTASK_PROPERTIES = {
+  title: { type: "string" },
+  description: { type: ["string", "null"] },
+  labels: { type: "array", items: { type: "string" } },
+  priority: { type: ["integer", "null"], minimum: 1, maximum: 4 },
+  due_string: { type: ["string", "null"] }
+};
+
+export const ENRICHED_SCHEMA = {
+  type: "object",
+  properties: {
+    category: { type: "string", enum: CATEGORIES },
+    intent: { type: "string", enum: INTENTS },
+    action: {
+      type: ["object", "null"],
+      properties: {
+        target: { type: "string" },
+        projectName: { type: ["string", "null"] },
+        due_string: { type: ["string", "null"] },
+        priority: { type: ["integer", "null"], minimum: 1, maximum: 4 },
+        comment: { type: ["string", "null"] }
+      },
+      required: ["target"]
+    },
+    tasks: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          ...SUBTASK_PROPERTIES,
+          projectName: { type: ["string", "null"] },
+          sectionName: { type: ["string", "null"] },
+          urls: { type: "array", items: { type: "string" } },
+          assignee: { type: ["string", "null"] },
+          duration_minutes: { type: ["integer", "null"], minimum: 1, maximum: 1440 },
+          deadline: { type: ["string", "null"] },
+          reminders: { type: "array", items: { type: "object", properties: { minutes_before: { type: ["integer", "null"], minimum: 0 }, at: { type: ["string", "null"] } } } },
+          subtasks: { type: "array", items: { type: "object", properties: SUBTASK_PROPERTIES, required: ["title"] } }
+        },
+        required: ["title"]
+      }
+    }
+  },
+  required: ["category", "tasks"]
+};
+
+export type Dropped = { path: string; value: unknown; reason: string };
+export type Matched = { path: string; value: string; match: ProjectMatch };
+export type Checked = { parsed: boolean; value: any; errors: string[]; dropped: Dropped[]; matches: Matched[] };
+
+/** Lookups into the cached Todoist refs; omit to skip project/section existence checks. */
+export type RefLookup = {
+  project: (name: string) => { id: string; name: string; match: ProjectMatch } | null;
+  sectionsKnown: (projectId: string) => boolean;
+  section: (name: string, projectId: string) => { id: string; name: string } | undefined;
+};
+
+function isIsoDate(v: unknown) {
+  if (typeof v !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+export function parseModelJson(text: string): any {
+  try { return JSON.parse(text || ""); } catch {}
+  try { const m = String(text || "").match(/\{[\s\S]*\}/); if (m) return JSON.parse(m[0]); } catch {}
+  return null;
+}
+
+/**
+ * Checks the model output against ENRICHED_SCHEMA plus what only we know: project and section
+ * names must exist in Todoist, urls must parse as http(s). Invalid fields are dropped (never
+ * guessed); `errors` feed the repair prompt, `dropped` is what ends up in the log. Loosely matched
+ * project names are rewritten to the real name and listed in `matches`.
+ */
+export function validateEnriched(json: any, lookup?: RefLookup): Checked {
+  const errors: string[] = [];
+  const dropped: Dropped[] = [];
+  const matches: Matched[] = [];
+  const drop = (path: string, value: unknown, reason: string) => {
+    errors.push(`${path}: ${reason}`);
+    dropped.push({ path, value, reason });
+  };
+  if (!json || typeof json !== "object" || Array.isArray(json)) return { parsed: false, value: {}, errors: ["response was not a JSON object"], dropped: [], matches: [] };
+
+  const out: any = {};
+  if (CATEGORIES.includes(String(json.category || "").toLowerCase())) out.category = String(json.category).toLowerCase();
+  else drop("category", json.category, `must be one of ${CATEGORIES.join(", ")}`);
+
+  // Anything but a well-formed complete/update/comment falls back to creating tasks
+  out.intent = "create";
+  const intent = String(json.intent || "create").toLowerCase();
+  if (!INTENTS.includes(intent)) drop("intent", json.intent, `must be one of ${INTENTS.join(", ")}`);
+  else if (intent !== "create") {
+    const a = json.action && typeof json.action === "object" ? json.action : {};
+    const action: any = {};
+    // An unknown project only narrows the search, so it doesn't cancel the action
+    if (a.projectName) {
+      const hit = lookup ? lookup.project(String(a.projectName)) : null;
+      if (!lookup || hit) action.projectName = hit ? hit.name : a.projectName;
+      else drop("action.projectName", a.projectName, "not a Todoist project");
+    }
+    const before = errors.length;
+    if (typeof a.target === "string" && a.target.trim()) action.target = a.target.trim();
+    else drop("action.target", a.target, `is required for intent "${intent}"`);
+    if (intent === "update") {
+      if (typeof a.due_string === "string" && a.due_string.trim()) action.due_string = a.due_string.trim();
+      const n = Number(a.priority);
+      if (Number.isInteger(n) && n >= 1 && n <= 4) action.priority = n;
+      if (!action.due_string && !action.priority) drop("action", undefined, 'intent "update" needs due_string or priority');
+    }
+    if (intent === "comment") {
+      if (typeof a.comment === "string" && a.comment.trim()) action.comment = a.comment.trim();
+      else drop("action.comment", a.comment, 'is required for intent "comment"');
+    }
+    if (errors.length === before) {
+      out.intent = intent;
+      out.action = action;
+    }
+  }
+
+  const rawTasks: any[] | null = Array.isArray(json.tasks) ? json.tasks : json.title ? [json] : null;
+  out.tasks = [];
+  if (!rawTasks || !rawTasks.length) {
+    errors.push("tasks: must be a non-empty list");
+    return { parsed: true, value: out, errors, dropped, matches };
+  }
+
+  const checkCommon = (t: any, p: string, into: any) => {
+    if (t.description !== undefined && t.description !== null && typeof t.description !== "string") drop(`${p}.description`, t.description, "must be a string or null");
+    else if (t.description) into.description = t.description;
+    if (t.priority !== undefined && t.priority !== null) {
+      const n = Number(t.priority);
+      if (Number.isInteger(n) && n >= 1 && n <= 4) into.priority = n;
+      else drop(`${p}.priority`, t.priority, "must be an integer from 1 to 4");
+    }
+    if (t.due_string !== undefined && t.due_string !== null && typeof t.due_string !== "string") drop(`${p}.due_string`, t.due_string, "must be a string or null");
+    else if (t.due_string) into.due_string = t.due_string;
+    into.labels = [];
+    if (t.labels !== undefined && t.labels !== null && !Array.isArray(t.labels)) drop(`${p}.labels`, t.labels, "must be a list of strings");
+    else (t.labels || []).forEach((l: unknown, i: number) => {
+      if (typeof l === "string" && l.trim()) into.labels.push(l.trim());
+      else drop(`${p}.labels[${i}]`, l, "must be a non-empty string");
+    });
+  };
+
+  // Top-level tasks only. The assignee is just a name here; it is resolved against the project's
+  // collaborators when posting, and reported there if nobody matches.
+  const checkExtras = (t: any, p: string, into: any) => {
+    if (t.assignee !== undefined && t.assignee !== null) {
+      if (typeof t.assignee === "string" && t.assignee.trim()) into.assignee = t.assignee.trim();
+      else drop(`${p}.assignee`, t.assignee, "must be a name or null");
+    }
+    if (t.duration_minutes !== undefined && t.duration_minutes !== null) {
+      const n = Number(t.duration_minutes);
+      if (!Number.isInteger(n) || n < 1 || n > 1440) drop(`${p}.duration_minutes`, t.duration_minutes, "must be whole minutes from 1 to 1440");
+      else if (!into.due_string) drop(`${p}.duration_minutes`, t.duration_minutes, "needs a due_string to place the time block");
+      else into.duration_minutes = n;
+    }
+    if (t.deadline !== undefined && t.deadline !== null) {
+      if (isIsoDate(t.deadline)) into.deadline = t.deadline;
+      else drop(`${p}.deadline`, t.deadline, "must be a date as YYYY-MM-DD");
+    }
+    const reminders: any[] = [];
+    (Array.isArray(t.reminders) ? t.reminders : []).forEach((r: any, j: number) => {
+      const rp = `${p}.reminders[${j}]`;
+      const n = Number(r?.minutes_before);
+      if (r?.minutes_before !== undefined && r?.minutes_before !== null) {
+        if (!Number.isInteger(n) || n < 0) drop(rp, r, "minutes_before must be whole minutes");
+        else if (!into.due_string) drop(rp, r, "a reminder before the task needs a due_string");
+        else reminders.push({ minutes_before: n });
+      } else if (typeof r?.at === "string" && r.at.trim()) reminders.push({ at: r.at.trim() });
+      else drop(rp, r, "needs minutes_before or at");
+    });
+    if (reminders.length) into.reminders = reminders;
+  };
+
+  rawTasks.forEach((t, i) => {
+    const p = `tasks[${i}]`;
+    if (!t || typeof t !== "object" || typeof t.title !== "string" || !t.title.trim()) return drop(p, t?.title, "task needs a non-empty title");
+    const task: any = { title: t.title.trim() };
+    checkCommon(t, p, task);
+
+    // Fuzzy hits are rewritten to the real project/section name so rules and later lookups see it
+    let projectId: string | null = null;
+    if (t.projectName) {
+      const hit = lookup ? lookup.project(String(t.projectName)) : null;
+      projectId = hit ? hit.id : null;
+      if (!lookup) task.projectName = t.projectName;
+      else if (hit) {
+        task.projectName = hit.name;
+        matches.push({ path: `${p}.projectName`, value: String(t.projectName), match: hit.match });
+      }
+      else drop(`${p}.projectName`, t.projectName, "not a Todoist project");
+    }
+    if (t.sectionName) {
+      const section = lookup && projectId && lookup.sectionsKnown(projectId) ? lookup.section(String(t.sectionName), projectId) : null;
+      if (!task.projectName) drop(`${p}.sectionName`, t.sectionName, "needs a valid projectName");
+      else if (section === null) task.sectionName = t.sectionName;
+      else if (section) task.sectionName = section.name;
+      else drop(`${p}.sectionName`, t.sectionName, `not a section of ${task.projectName}`);
+    }
+
+    task.urls = [];
+    (Array.isArray(t.urls) ? t.urls : []).forEach((u: unknown, j: number) => {
+      let ok = false;
+      try { ok = ["http:", "https:"].includes(new URL(String(u)).protocol); } catch {}
+      if (ok) task.urls.push(String(u));
+      else drop(`${p}.urls[${j}]`, u, "not an http(s) URL");
+    });
+
+    checkExtras(t, p, task);
+
+    task.subtasks = [];
+    (Array.isArray(t.subtasks) ? t.subtasks : []).forEach((st: any, j: number) => {
+      const sp = `${p}.subtasks[${j}]`;
+      if (!st || typeof st !== "object" || typeof st.title !== "string" || !st.title.trim()) return drop(sp, st?.title, "subtask needs a non-empty title");
+      const sub: any = { title: st.title.trim() };
+      checkCommon(st, sp, sub);
+      task.subtasks.push(sub);
+    });
+    out.tasks.push(task);
+  });
+  if (!out.tasks.length) errors.push("tasks: no valid task left");
+  return { parsed: true, value: out, errors, dropped, matches };
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import type { LlmConfig } from "./llm";
+import { budgetWarning, monthSpend, priceOverride, StatsEntry, unpricedWarning, usageCost } from "./stats";
+
+const llm = (model: string, baseUrl = "https://api.anthropic.com/v1"): LlmConfig => ({ name: "anthropic", model, baseUrl });
+const million = { input_tokens: 1_000_000, output_tokens: 1_000_000 };
+
+describe("usageCost", () => {
+  it("uses the price list", () => {
+    expect(usageCost(llm("claude-3-5-haiku-latest"), million)).toBe(4.8);
+  });
+
+  it("is unknown, not free, for a model without a price", () => {
+    expect(usageCost(llm("mistral-large"), million)).toBeNull();
+  });
+
+  it("doesn't treat a server on this machine as free", () => {
+    expect(usageCost(llm("claude-3-5-haiku-latest", "http://localhost:8080/v1"), million)).toBe(4.8);
+    expect(usageCost(llm("llama3", "http://127.0.0.1:11434/v1"), million)).toBeNull();
+    expect(usageCost(llm("llama3", "http://127.0.0.1:11434/v1"), million, "llama3=0,0")).toBe(0);
+  });
+
+  it("lets the user's price override the list", () => {
+    expect(usageCost(llm("claude-3-5-haiku-latest"), million, "1,5")).toBe(6);
+    expect(usageCost(llm("mistral-large"), million, "gpt-4o=9,9; mistral=2,6")).toBe(8);
+  });
+});
+
+describe("priceOverride", () => {
+  it("takes the first entry that matches the model", () => {
+    expect(priceOverride("claude-3-5-haiku-latest", "claude-3-5-haiku=0.8,4; claude=3,15")).toEqual([0.8, 4]);
+    expect(priceOverride("claude-sonnet-4", "claude-3-5-haiku=0.8,4; claude=3,15")).toEqual([3, 15]);
+    expect(priceOverride("llama3", "claude=3,15")).toBeNull();
+    expect(priceOverride("llama3", "free")).toBeNull();
+  });
+});
+
+describe("budget", () => {
+  const now = new Date();
+  const entry = (cost: number | null, model = "anthropic/claude-3-5-haiku-latest"): StatsEntry => ({ at: now.toISOString(), id: String(Math.random()), source: "script", model, usage: { input_tokens: 1, output_tokens: 1 }, cost, timings: {}, outcome: "created" });
+
+  it("leaves unpriced captures out of the month's spend and counts them", () => {
+    expect(monthSpend([entry(1.5), entry(null, "openai/llama3"), entry(2)], now)).toEqual({ cost: 3.5, unpriced: 1 });
+  });
+
+  it("warns when the month passes 80% and on every capture over budget", () => {
+    expect(budgetWarning(3, 3.5, 5)).toBeNull();
+    expect(budgetWarning(3.5, 4.1, 5)).toBe("82% used: $4.10 of the $5 monthly budget");
+    expect(budgetWarning(5.2, 5.3, 5, 2)).toBe("over budget: $5.30 of the $5 monthly budget (+ 2 captures of unknown cost)");
+  });
+
+  it("says once a month per model that an unpriced model isn't counted", () => {
+    expect(unpricedWarning("openai/llama3", [entry(1)], "Model Price")).toBe("no price for openai/llama3, so it isn't counted toward the budget; set Model Price");
+    expect(unpricedWarning("openai/llama3", [entry(null, "openai/llama3")], "Model Price")).toBeNull();
+  });
+});
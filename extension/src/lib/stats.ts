@@ -0,0 +1,220 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import type { LlmConfig, LlmUsage } from "./llm";
+
+// One line per processed capture: tokens, cost, time per stage and how it ended.
+// Shared with tools/voice-note-raycast.js, which appends its own captures and prints the same summary.
+export const STATS_FILE = path.join(os.homedir(), "Documents", "Voice Notes", ".stats.jsonl");
+
+type Log = (m: string) => void;
+// "dry-run" is only written by the script's --dry-run, which still spends tokens
+export type StatsOutcome = "created" | "merged" | "acted" | "noted" | "dry-run" | "failed" | "discarded";
+export type StatsTimings = { capture_ms?: number; analysis_ms?: number; todoist_ms?: number };
+export type StatsEntry = {
+  at: string;
+  id: string;
+  source: "extension" | "script";
+  model?: string;
+  usage?: LlmUsage;
+  // US dollars; null when the model's price isn't known
+  cost?: number | null;
+  timings: StatsTimings;
+  outcome: StatsOutcome;
+  category?: string;
+  // The project of each top-level task (or of the task acted on)
+  projects?: string[];
+  stage?: string;
+  error?: string;
+};
+
+// USD per million input / output tokens, most specific first. Keep in sync with MODEL_PRICES in tools/voice-note-raycast.js
+const MODEL_PRICES: [RegExp, number, number][] = [
+  [/claude-3-5-haiku/, 0.8, 4],
+  [/claude-3-haiku/, 0.25, 1.25],
+  [/claude-(haiku-4|4-haiku)/, 1, 5],
+  [/claude-(opus-4-5|4-5-opus)/, 5, 25],
+  [/claude-.*opus/, 15, 75],
+  [/claude-.*sonnet/, 3, 15],
+  [/gpt-4o-mini/, 0.15, 0.6],
+  [/gpt-4o/, 2.5, 10],
+  [/gpt-4\.1-nano/, 0.1, 0.4],
+  [/gpt-4\.1-mini/, 0.4, 1.6],
+  [/gpt-4\.1/, 2, 8]
+];
+// Warn once when the month's spend passes this share of the budget, and on every capture over it
+const BUDGET_WARN_RATIO = 0.8;
+
+export function emptyUsage(): LlmUsage {
+  return { input_tokens: 0, output_tokens: 0 };
+}
+
+export function addUsage(total: LlmUsage, usage: LlmUsage) {
+  total.input_tokens += usage.input_tokens;
+  total.output_tokens += usage.output_tokens;
+  return total;
+}
+
+// "input,output" in USD per million tokens, e.g. "0.8,4"
+function parsePrice(v?: string): [number, number] | null {
+  const [input, output] = String(v || "").split(",").map((s) => Number.parseFloat(s));
+  return input >= 0 && output >= 0 ? [input, output] : null;
+}
+
+/**
+ * The user's price for `model` from the "Model Price" preference (VOICE_NOTE_MODEL_PRICE in the
+ * script): "0.8,4" for whatever model is configured, or per model, "claude-3-5-haiku=1,5; llama3=0,0"
+ * where an entry applies to every model whose name contains it. The first matching entry wins.
+ */
+export function priceOverride(model: string, setting?: string): [number, number] | null {
+  for (const entry of String(setting || "").split(";").map((s) => s.trim()).filter(Boolean)) {
+    const eq = entry.indexOf("=");
+    if (eq < 0 || String(model).toLowerCase().includes(entry.slice(0, eq).trim().toLowerCase())) {
+      const price = parsePrice(eq < 0 ? entry : entry.slice(eq + 1));
+      if (price) return price;
+    }
+  }
+  return null;
+}
+
+/**
+ * What a call's tokens cost in USD: the user's price, else the price list, else null (unknown). The
+ * host doesn't matter: a local proxy to a paid API costs the same, and a free local model needs "0,0".
+ */
+export function usageCost(llm: LlmConfig, usage: LlmUsage, prices?: string): number | null {
+  const listed = MODEL_PRICES.find(([re]) => re.test(llm.model));
+  const price = priceOverride(llm.model, prices) || (listed ? [listed[1], listed[2]] : null);
+  return price ? (usage.input_tokens * price[0] + usage.output_tokens * price[1]) / 1_000_000 : null;
+}
+
+export function parseBudget(v?: string): number | null {
+  const n = Number.parseFloat(String(v || "").replace(/^\$/, ""));
+  return n > 0 ? n : null;
+}
+
+export function recordStats(entry: StatsEntry, log: Log) {
+  try {
+    fs.mkdirSync(path.dirname(STATS_FILE), { recursive: true });
+    fs.appendFileSync(STATS_FILE, `${JSON.stringify(entry)}\n`, "utf8");
+  } catch (e: any) {
+    log(`⚠️ Failed to write stats for ${entry.id}: ${e?.message || e}`);
+  }
+}
+
+// Oldest first; unreadable lines are skipped
+export function readStats(): StatsEntry[] {
+  let lines: string[] = [];
+  try { lines = fs.readFileSync(STATS_FILE, "utf8").split("\n").filter(Boolean); } catch {}
+  return lines.map((l) => { try { return JSON.parse(l) as StatsEntry; } catch { return null; } }).filter((e): e is StatsEntry => !!e && !!e.at && !!e.outcome);
+}
+
+// Local calendar day and month, so "today" matches the user's clock
+export const dayKey = (d: Date) => d.toLocaleDateString("en-CA");
+export const monthKey = (d: Date) => dayKey(d).slice(0, 7);
+
+export function monthEntries(entries: StatsEntry[], now = new Date()) {
+  const month = monthKey(now);
+  return entries.filter((e) => monthKey(new Date(e.at)) === month);
+}
+
+/** The month's known spend, and how many captures it leaves out because their model had no price. */
+export function monthSpend(entries: StatsEntry[], now = new Date()) {
+  const { cost, unpriced } = totals(monthEntries(entries, now));
+  return { cost, unpriced };
+}
+
+/** A warning for the summary when this capture's cost took the month near or past the budget. */
+export function budgetWarning(spentBefore: number, spentAfter: number, budget: number | null, unpriced = 0) {
+  if (!budget || spentAfter <= spentBefore) return null;
+  const spend = `$${spentAfter.toFixed(2)} of the $${budget} monthly budget${unpriced ? ` (+ ${unpriced} ${unpriced === 1 ? "capture" : "captures"} of unknown cost)` : ""}`;
+  if (spentAfter >= budget) return `over budget: ${spend}`;
+  if (spentBefore < budget * BUDGET_WARN_RATIO && spentAfter >= budget * BUDGET_WARN_RATIO) return `${Math.round((spentAfter / budget) * 100)}% used: ${spend}`;
+  return null;
+}
+
+/**
+ * The warning for a capture whose model has no price: its spend can't count toward the budget, which
+ * is said once a month per model rather than treating it as free. `earlier` is the month so far.
+ */
+export function unpricedWarning(model: string | undefined, earlier: StatsEntry[], setting: string) {
+  if (earlier.some((e) => e.model === model && e.usage && typeof e.cost !== "number")) return null;
+  return `no price for ${model}, so it isn't counted toward the budget; set ${setting}`;
+}
+
+// A capture retried from the outbox has one entry per run, so `runs` can be more than `captures`
+export type StatsTotals = {
+  captures: number;
+  runs: number;
+  failed: number;
+  input_tokens: number;
+  output_tokens: number;
+  cost: number;
+  // Captures whose model had no known price, so `cost` leaves them out
+  unpriced: number;
+};
+export type StatsSummary = StatsTotals & {
+  failureRate: number;
+  avgMs: StatsTimings;
+  byModel: (StatsTotals & { model: string })[];
+  byProject: { project: string; tasks: number }[];
+  byOutcome: Partial<Record<StatsOutcome, number>>;
+};
+
+function totals(entries: StatsEntry[]): StatsTotals {
+  const t: StatsTotals = { captures: new Set(entries.map((e) => e.id)).size, runs: 0, failed: 0, input_tokens: 0, output_tokens: 0, cost: 0, unpriced: 0 };
+  for (const e of entries) {
+    t.runs++;
+    if (e.outcome === "failed") t.failed++;
+    t.input_tokens += e.usage?.input_tokens || 0;
+    t.output_tokens += e.usage?.output_tokens || 0;
+    if (typeof e.cost === "number") t.cost += e.cost;
+    else if (e.usage && e.model) t.unpriced++;
+  }
+  return t;
+}
+
+function average(values: (number | undefined)[]) {
+  const v = values.filter((x): x is number => typeof x === "number");
+  return v.length ? Math.round(v.reduce((a, b) => a + b, 0) / v.length) : undefined;
+}
+
+const byCount = <T>(map: Map<string, T[]>) => [...map].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+
+/** Counts, spend, failure rate, average stage times and the model and project breakdowns of `entries`. */
+export function summarizeStats(entries: StatsEntry[]): StatsSummary {
+  const models = new Map<string, StatsEntry[]>();
+  const projects = new Map<string, string[]>();
+  const byOutcome: StatsSummary["byOutcome"] = {};
+  for (const e of entries) {
+    if (e.model && e.usage) models.set(e.model, [...(models.get(e.model) || []), e]);
+    for (const p of e.projects || []) projects.set(p, [...(projects.get(p) || []), e.id]);
+    byOutcome[e.outcome] = (byOutcome[e.outcome] || 0) + 1;
+  }
+  const t = totals(entries);
+  return {
+    ...t,
+    failureRate: t.runs ? t.failed / t.runs : 0,
+    avgMs: {
+      capture_ms: average(entries.map((e) => e.timings?.capture_ms)),
+      analysis_ms: average(entries.map((e) => e.timings?.analysis_ms)),
+      todoist_ms: average(entries.map((e) => e.timings?.todoist_ms))
+    },
+    byModel: byCount(models).map(([model, list]) => ({ model, ...totals(list) })),
+    byProject: byCount(projects).map(([project, ids]) => ({ project, tasks: ids.length })),
+    byOutcome
+  };
+}
+
+/** Entries grouped by `key` (dayKey or monthKey), newest first, with the totals of each. */
+export function statsBy(entries: StatsEntry[], key: (d: Date) => string): (StatsTotals & { period: string })[] {
+  const groups = new Map<string, StatsEntry[]>();
+  for (const e of entries) {
+    const k = key(new Date(e.at));
+    groups.set(k, [...(groups.get(k) || []), e]);
+  }
+  return [...groups].sort((a, b) => b[0].localeCompare(a[0])).map(([period, list]) => ({ period, ...totals(list) }));
+}
+
+export function formatCost(usd: number) {
+  return usd > 0 && usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
@@ -0,0 +1,141 @@
+// Client for Todoist's unified API v1. Mirrors the Todoist client in tools/voice-note-raycast.js.
+
+export const TODOIST_API = "https://api.todoist.com/api/v1";
+const PAGE_LIMIT = 200;
+const RATE_LIMIT_RETRIES = 3;
+const MAX_RETRY_AFTER_MS = 60_000;
+
+type Log = (m: string) => void;
+type Query = Record<string, string | number | null | undefined>;
+export type TodoistRequest = {
+  method?: "GET" | "POST" | "DELETE";
+  query?: Query;
+  // JSON body; `form` sends application/x-www-form-urlencoded instead (the sync endpoint)
+  body?: unknown;
+  form?: Record<string, string>;
+  // multipart/form-data, for file uploads; fetch sets the boundary itself
+  multipart?: FormData;
+  // Todoist drops a second request with the same id, so a retried POST can't create twice
+  requestId?: string;
+  log?: Log;
+};
+
+export class TodoistError extends Error {
+  constructor(message: string, readonly status: number, readonly path: string) {
+    super(message);
+    this.name = "TodoistError";
+  }
+}
+
+// 401/403: the API token is missing, wrong or revoked
+export class TodoistAuthError extends TodoistError {
+  constructor(message: string, status: number, path: string) {
+    super(message, status, path);
+    this.name = "TodoistAuthError";
+  }
+}
+
+export class TodoistNotFoundError extends TodoistError {
+  constructor(message: string, status: number, path: string) {
+    super(message, status, path);
+    this.name = "TodoistNotFoundError";
+  }
+}
+
+// Still rate limited after the retries; `retryAfterMs` is how long Todoist asked to wait
+export class TodoistRateLimitError extends TodoistError {
+  constructor(message: string, status: number, path: string, readonly retryAfterMs: number) {
+    super(message, status, path);
+    this.name = "TodoistRateLimitError";
+  }
+}
+
+// v1 tasks no longer carry a url
+export function taskUrl(id: string | number) {
+  return `https://app.todoist.com/app/task/${id}`;
+}
+
+// Retry-After is either seconds or an HTTP date; without one, back off 1 s, 2 s, 4 s
+function retryAfterMs(res: Response, attempt: number) {
+  const header = res.headers.get("retry-after");
+  const secs = Number(header);
+  const ms = header && Number.isFinite(secs) ? secs * 1000 : header ? Date.parse(header) - Date.now() : NaN;
+  return Math.min(Math.max(Number.isFinite(ms) ? ms : 1000 * 2 ** attempt, 0), MAX_RETRY_AFTER_MS);
+}
+
+function errorFor(status: number, path: string, text: string, waitMs: number) {
+  const message = `Todoist error ${status} on ${path}${text ? `: ${text.slice(0, 300)}` : ""}`;
+  if (status === 401 || status === 403) return new TodoistAuthError(`${message} (check the Todoist API token)`, status, path);
+  if (status === 404) return new TodoistNotFoundError(message, status, path);
+  if (status === 429) return new TodoistRateLimitError(message, status, path, waitMs);
+  return new TodoistError(message, status, path);
+}
+
+/**
+ * One request against the v1 API. A 429 is retried after Retry-After (up to three times, at most a
+ * minute each); any other non-2xx response throws the matching TodoistError subclass. Empty
+ * responses (close, delete) resolve to null.
+ */
+export async function todoistRequest<T = any>(token: string, path: string, { method = "GET", query, body, form, multipart, requestId, log }: TodoistRequest = {}): Promise<T> {
+  const params = new URLSearchParams();
+  for (const [k, v] of Object.entries(query || {})) if (v !== undefined && v !== null && v !== "") params.set(k, String(v));
+  const qs = params.toString();
+  const url = `${TODOIST_API}${path}${qs ? `?${qs}` : ""}`;
+  const headers: Record<string, string> = { Authorization: `Bearer ${token}` };
+  if (requestId) headers["X-Request-Id"] = requestId;
+  if (form) headers["Content-Type"] = "application/x-www-form-urlencoded";
+  else if (body !== undefined && !multipart) headers["Content-Type"] = "application/json";
+  const payload = multipart || (form ? new URLSearchParams(form).toString() : body !== undefined ? JSON.stringify(body) : undefined);
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(url, { method, headers, ...(payload !== undefined ? { body: payload } : {}) });
+    if (res.ok) {
+      const text = await res.text();
+      return (text ? JSON.parse(text) : null) as T;
+    }
+    const wait = res.status === 429 ? retryAfterMs(res, attempt) : 0;
+    if (res.status === 429 && attempt < RATE_LIMIT_RETRIES) {
+      log?.(`⏳ Todoist rate limit on ${path}; retrying in ${Math.ceil(wait / 1000)}s`);
+      await new Promise((r) => setTimeout(r, wait));
+      continue;
+    }
+    throw errorFor(res.status, path, await res.text().catch(() => ""), wait);
+  }
+}
+
+// Follows next_cursor through every page of a list endpoint
+export async function todoistList<T = any>(token: string, path: string, query: Query = {}, log?: Log): Promise<T[]> {
+  const out: T[] = [];
+  let cursor: string | null = null;
+  do {
+    const page: any = await todoistRequest(token, path, { query: { ...query, limit: PAGE_LIMIT, cursor }, log });
+    out.push(...(Array.isArray(page) ? page : page?.results || []));
+    cursor = Array.isArray(page) ? null : page?.next_cursor || null;
+  } while (cursor);
+  return out;
+}
+
+// Incremental sync: pass "*" for everything, or the last sync_token for what changed since
+export function todoistSync(token: string, syncToken: string, resourceTypes: readonly string[], log?: Log) {
+  return todoistRequest(token, "/sync", { method: "POST", form: { sync_token: syncToken, resource_types: JSON.stringify(resourceTypes) }, log });
+}
+
+/**
+ * Runs sync commands such as reminder_add. Each needs a `uuid`, which Todoist uses to ignore a
+ * replay. Returns one entry per command: null when it was applied, otherwise Todoist's error.
+ */
+export async function todoistCommands(token: string, commands: { type: string; uuid: string; args: Record<string, unknown> }[], log?: Log) {
+  const data = await todoistRequest(token, "/sync", { method: "POST", form: { commands: JSON.stringify(commands) }, log });
+  return commands.map((c) => {
+    const status = data?.sync_status?.[c.uuid];
+    return status === "ok" ? null : String(status?.error || "not applied");
+  });
+}
+
+// Uploads a file; the returned object goes into a comment's `attachment`
+export function todoistUpload(token: string, file: { name: string; type?: string; data: Uint8Array }, log?: Log) {
+  const multipart = new FormData();
+  multipart.set("file_name", file.name);
+  multipart.set("file", new Blob([new Uint8Array(file.data)], { type: file.type || "application/octet-stream" }), file.name);
+  return todoistRequest(token, "/uploads", { method: "POST", multipart, log });
+}
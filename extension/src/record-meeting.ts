@@ -0,0 +1,5 @@
+import { runCapture } from "./record-voice-task";
+
+export default async function main() {
+  await runCapture({ meeting: true });
+}
@@ -1,55 +1,254 @@
 import { Clipboard, getPreferenceValues, open, showHUD, showToast, Toast, environment } from "@raycast/api";
+import crypto from "node:crypto";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
-
-type Prefs = {
-  anthropicApiKey: string;
+import { completeWith, LlmConfig, LlmUsage, resolveLlm } from "./lib/llm";
+import { applyRulesToTasks, readRules } from "./lib/rules";
+import { buildProjectsDoc, describeMatch, matchPeople, matchProject, MatchOptions, matchSectionId, normalize, parseThreshold, projectLabel } from "./lib/matching";
+import { ENRICHED_SCHEMA, parseModelJson, validateEnriched } from "./lib/schema";
+import { attachReason, AttachMode, attachRecording, parseMaxMb } from "./lib/audio";
+import { Acted, ACTION_TITLES, actOnExistingTask, Intent, summarizeAction, TaskAction } from "./lib/actions";
+import { correctionsDoc } from "./lib/corrections";
+import { clearOpenTasks, DuplicatePolicy, mergeIntoDuplicate } from "./lib/duplicates";
+import { CreatedLabel, recordHistory } from "./lib/history";
+import { actionItemTask, extractMinutes, linkToMinutes } from "./lib/meeting";
+import { isArchiveNote, notesConfig, writeNote } from "./lib/notes";
+import { Capture, isDue, newCapture, PostedTask, queueOutboxItem, readOutboxItems, removeOutboxItem, stableRequestId } from "./lib/outbox";
+import { addUsage, budgetWarning, emptyUsage, monthEntries, monthSpend, parseBudget, readStats, recordStats, StatsOutcome, unpricedWarning, usageCost } from "./lib/stats";
+import { taskUrl, todoistCommands, todoistList, todoistRequest, todoistSync } from "./lib/todoist";
+
+export type Prefs = {
+  provider?: "anthropic" | "openai";
+  baseUrl?: string;
+  llmApiKey?: string;
+  anthropicApiKey?: string;
   todoistApiToken: string;
   defaultProjectId?: string;
   defaultProjectName?: string;
   model?: string;
   sectionsPrefetch?: number;
+  cacheMinutes?: string;
   enableRules?: boolean;
+  captureSource?: "clipboard" | "recording";
+  matchThreshold?: string;
+  duplicatePolicy?: DuplicatePolicy;
+  notesFolder?: string;
+  folderTemplate?: string;
+  attachAudio?: AttachMode;
+  audioMaxMb?: string;
+  transcodeAudio?: boolean;
+  meetingMinutes?: boolean;
+  monthlyBudget?: string;
+  modelPrice?: string;
 };
 
+// Aliases live next to the rules so both can be edited in one file
+export function matchOptions(prefs: Prefs): MatchOptions {
+  return { aliases: readRules().projectAliases || {}, threshold: parseThreshold(prefs.matchThreshold) };
+}
+
 export default async function main() {
+  await runCapture();
+}
+
+// `meeting` comes from the Voice Meeting Notes command: minutes and action items whatever the category
+export async function runCapture({ meeting = false }: { meeting?: boolean } = {}) {
   const prefs = getPreferenceValues<Prefs>();
   const logger = new Logger();
+  let capture: Capture | null = null;
 
   try {
-    const sentinel = `__VOICE_NOTE_WAIT_${Math.random().toString(36).slice(2)}_${Date.now()}__`;
-    const original = (await Clipboard.readText()) || "";
-    await Clipboard.copy(sentinel);
+    const started = Date.now();
+    const { text: transcription, recording } = await captureTranscription(prefs, logger);
+    if (!transcription) throw new Error("No transcription detected");
 
-    await open("raycast://extensions/nchudleigh/superwhisper/toggle-record");
-    await showToast({ style: Toast.Style.Animated, title: "Recording…", message: "Press ESC to stop" });
+    capture = newCapture(transcription);
+    capture.stats = { timings: { capture_ms: Date.now() - started } };
+    if (recording) capture.recording = recording;
+    if (meeting) capture.meeting = true;
+    const { created, summary, acted } = await processCapture(capture, prefs, logger);
+    const merged = created.length === 1 && created[0].merged ? created[0] : null;
+    if (capture.analysis?.meeting) await showHUD(`📋 ${summary}`);
+    else if (acted) await showHUD(`${ACTION_TITLES[acted.type]} → ${summary}`);
+    else if (merged) {
+      const url = merged.task.url;
+      await showToast({
+        style: Toast.Style.Success,
+        title: "🔁 Merged into existing task",
+        message: summary,
+        ...(url ? { primaryAction: { title: "Open Task", onAction: () => open(url) } } : {})
+      });
+    } else await showHUD(`✅ ${created.length === 1 ? "Task" : "Tasks"} Added → ${summary}`);
+  } catch (e: any) {
+    logger.log(`❌ ${e?.message || e}`);
+    if (capture) queueOutboxItem(capture, e, (m) => logger.log(m));
+    await showToast(Toast.Style.Failure, "Voice to Todoist", `${e?.message || String(e)}${capture ? " (saved to outbox for retry)" : ""}`);
+  }
 
-    await waitForSuperwhisperStop(logger);
-    const transcription = await waitForClipboardChangeFromSentinel(sentinel, 20_000);
-    await Clipboard.copy(original);
+  // Retry anything left over from earlier runs whose backoff has elapsed
+  await flushOutbox({ prefs, logger, skipId: capture?.id });
+}
 
-    if (!transcription) throw new Error("No transcription detected");
+// Moves a fresh capture to the "analyzed" stage; the review form edits `capture.analysis` before posting
+export async function analyzeCapture(capture: Capture, prefs: Prefs, logger: Logger) {
+  const started = Date.now();
+  const analysis = await analyzeTranscription({ transcription: capture.transcription, prefs, logger, meeting: capture.meeting });
+  capture.analysis = analysis.enriched;
+  capture.model = analysis.model;
+  capture.stats = { usage: analysis.usage, cost: analysis.cost, timings: { ...capture.stats?.timings, analysis_ms: Date.now() - started } };
+  capture.stage = "analyzed";
+  return analysis.refs;
+}
 
-    const analysis = await analyzeTranscription({ transcription, prefs, logger });
-    const { category, enriched } = analysis;
+// Runs a capture from whatever stage it reached; mutates `capture` so a failure can be queued as-is.
+// Every run, failed or not, adds a line to the stats.
+export async function processCapture(capture: Capture, prefs: Prefs, logger: Logger) {
+  clearOpenTasks();
+  try {
+    const result = await runStages(capture, prefs, logger);
+    const warning = recordCaptureStats(capture, prefs, logger, { result });
+    if (warning) result.summary += ` ⚠️ ${warning}`;
+    return result;
+  } catch (e) {
+    recordCaptureStats(capture, prefs, logger, { error: e });
+    throw e;
+  }
+}
 
-    const baseDir = path.join(os.homedir(), "Documents", "Voice Notes");
-    const catCap = (category || "misc").replace(/^./, (c) => c.toUpperCase());
-    const dir = path.join(baseDir, catCap);
-    fs.mkdirSync(dir, { recursive: true });
-    const ts = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
-    fs.writeFileSync(path.join(dir, `${ts}.txt`), transcription);
+async function runStages(capture: Capture, prefs: Prefs, logger: Logger) {
+  const { transcription } = capture;
+  let refs: TodoistRefs | undefined;
+  if (capture.stage === "transcribed") refs = await analyzeCapture(capture, prefs, logger);
+  const category: string = capture.analysis?.category || "misc";
+
+  // The note is saved before posting so the transcript survives a Todoist failure
+  const notes = notesConfig(prefs.notesFolder, prefs.folderTemplate);
+  const meeting = capture.analysis?.meeting;
+  // Minutes always go to the archive, even for a transcript that came from elsewhere
+  if (!capture.notePath || (meeting && !isArchiveNote(capture.notePath, notes))) {
+    try {
+      capture.notePath = writeNote(capture, notes);
+      logger.log(`✅ Saved to: ${path.relative(notes.root, capture.notePath)}`);
+    } catch (e: any) {
+      logger.log(`⚠️ Failed to save note: ${e?.message || e}`);
+    }
+  }
+  if (meeting && capture.notePath) linkToMinutes(capture.analysis.tasks || [], capture.notePath, meeting.title);
+
+  const posting = Date.now();
+  refs = refs || (await getTodoistRefs(prefs.todoistApiToken, logger, { maxAgeMs: syncMaxAgeMs(prefs) }));
+  const result = await maybeAddToTodoist({ transcription, analysis: { enriched: capture.analysis, category, refs }, prefs, logger, capture });
+  capture.stage = "posted";
+  if (meeting) result.summary = `Minutes "${meeting.title}"${result.created.length ? ` + ${result.summary}` : ", no action items"}`;
+  await maybeAttachRecording(capture, result, prefs, logger);
+  capture.stats = { ...capture.stats, timings: { ...capture.stats?.timings, todoist_ms: Date.now() - posting } };
+  // Now the frontmatter can link the note to its tasks
+  try { if (capture.notePath) writeNote(capture, notes); } catch (e: any) { logger.log(`⚠️ Failed to update note ${capture.notePath}: ${e?.message || e}`); }
+  recordHistory(capture, (m) => logger.log(m));
+  return result;
+}
 
-    const { where } = await maybeAddToTodoist({ transcription, analysis, prefs, logger });
-    await showHUD(`✅ Task Added → ${where}`);
-  } catch (e: any) {
-    logger.log(`❌ ${e?.message || e}`);
-    await showToast(Toast.Style.Failure, "Voice to Todoist", e?.message || String(e));
+/**
+ * Appends this run of the capture to the stats file. The analysis' tokens and timings are only counted
+ * by the first run that reports them, so a retry from the outbox doesn't bill them twice. Returns a
+ * warning when the month's spend just passed 80% of the budget, or is over it.
+ */
+export function recordCaptureStats(capture: Capture, prefs: Prefs, logger: Logger, { result, error, discarded }: { result?: AddResult; error?: unknown; discarded?: boolean }) {
+  const pending = capture.stats;
+  delete capture.stats;
+  const budget = parseBudget(prefs.monthlyBudget);
+  const cost = pending?.usage ? pending.cost ?? null : null;
+  const earlier = budget && pending?.usage ? monthEntries(readStats()) : [];
+  const top = Object.entries(capture.posted || {}).filter(([key]) => !key.includes(".")).map(([, p]) => p);
+  const outcome: StatsOutcome = error ? "failed" : discarded ? "discarded" : result?.acted ? "acted" : !result?.created.length ? "noted" : result.created.every((c) => c.merged) ? "merged" : "created";
+  recordStats(
+    {
+      at: new Date().toISOString(),
+      id: capture.id,
+      source: "extension",
+      ...(pending?.usage ? { model: capture.model, usage: pending.usage, cost } : {}),
+      timings: pending?.timings || {},
+      outcome,
+      ...(capture.analysis?.category ? { category: capture.analysis.category } : {}),
+      ...(result ? { projects: (capture.acted ? [capture.acted] : top).map((t) => String(t.where).split(" › ")[0]) } : {}),
+      ...(error ? { stage: capture.stage, error: (error as any)?.message || String(error) } : {})
+    },
+    (m) => logger.log(m)
+  );
+  if (!budget || !pending?.usage) return null;
+  if (cost === null) return unpricedWarning(capture.model, earlier, "Model Price");
+  const spent = monthSpend(earlier);
+  return budgetWarning(spent.cost, spent.cost + cost, budget, spent.unpriced);
+}
+
+// Only tasks this capture created get the recording; not merges or actions on existing tasks
+async function maybeAttachRecording(capture: Capture, result: AddResult, prefs: Prefs, logger: Logger) {
+  if (!capture.recording || capture.audioAttached || result.acted) return;
+  const reason = attachReason(prefs.attachAudio, capture.transcription, capture.recording);
+  const taskIds = result.created.filter((c) => !c.merged).map((c) => String(c.task.id));
+  if (!reason || !taskIds.length) return;
+  const warning = await attachRecording({
+    token: prefs.todoistApiToken,
+    captureId: capture.id,
+    folder: capture.recording,
+    taskIds,
+    reason,
+    maxMb: parseMaxMb(prefs.audioMaxMb),
+    transcodeFirst: prefs.transcodeAudio,
+    log: (m) => logger.log(m)
+  });
+  if (warning) result.summary += ` ⚠️ ${warning}`;
+  else capture.audioAttached = true;
+}
+
+export async function flushOutbox({ prefs, logger, force = false, skipId }: { prefs: Prefs; logger: Logger; force?: boolean; skipId?: string }) {
+  const stats = { sent: 0, failed: 0, gaveUp: 0, pending: 0 };
+  for (const item of readOutboxItems()) {
+    if (item.id === skipId) continue;
+    if (!force && !isDue(item)) { stats.pending++; continue; }
+    try {
+      const { summary } = await processCapture(item, prefs, logger);
+      removeOutboxItem(item.id);
+      logger.log(`📤 Outbox delivered ${item.id}: ${summary}`);
+      stats.sent++;
+    } catch (e) {
+      if (queueOutboxItem(item, e, (m) => logger.log(m)) === "gave-up") stats.gaveUp++; else stats.failed++;
+    }
   }
+  return stats;
+}
+
+// `recording` is the SuperWhisper recording folder, when one was detected
+export function captureTranscription(prefs: Prefs, logger: Logger): Promise<{ text: string; recording: string | null }> {
+  return prefs.captureSource === "recording" ? captureFromRecording(logger) : captureFromClipboard(logger);
+}
+
+async function captureFromClipboard(logger: Logger) {
+  const sentinel = `__VOICE_NOTE_WAIT_${Math.random().toString(36).slice(2)}_${Date.now()}__`;
+  const original = (await Clipboard.readText()) || "";
+  await Clipboard.copy(sentinel);
+
+  await open("raycast://extensions/nchudleigh/superwhisper/toggle-record");
+  await showToast({ style: Toast.Style.Animated, title: "Recording…", message: "Press ESC to stop" });
+
+  const recording = await waitForSuperwhisperStop(logger);
+  const text = await waitForClipboardChangeFromSentinel(sentinel, 20_000);
+  await Clipboard.copy(original);
+  return { text, recording };
+}
+
+// Reads the transcript SuperWhisper writes next to the audio, so the clipboard is never touched
+async function captureFromRecording(logger: Logger) {
+  await open("raycast://extensions/nchudleigh/superwhisper/toggle-record");
+  await showToast({ style: Toast.Style.Animated, title: "Recording…", message: "Press ESC to stop" });
+
+  const folder = await waitForSuperwhisperStop(logger);
+  if (!folder) throw new Error("No SuperWhisper recording detected");
+  return { text: await waitForRecordingTranscript(folder, 20_000), recording: folder };
 }
 
-class Logger {
+export class Logger {
   private file: string;
   constructor() {
     const dir = path.join(os.homedir(), "Documents", "Voice Notes");
@@ -61,11 +260,11 @@ class Logger {
   }
 }
 
-async function waitForSuperwhisperStop(logger: Logger, timeoutMs = 10 * 60_000) {
+async function waitForSuperwhisperStop(logger: Logger, timeoutMs = 10 * 60_000): Promise<string | null> {
   const base = path.join(os.homedir(), "Documents", "SuperWhisper", "recordings");
   if (!fs.existsSync(base)) {
     logger.log("ℹ️ No recordings dir; skipping stop detection");
-    return;
+    return null;
   }
   const baseline = new Set<string>(listDirNamesSafe(base));
   const start = Date.now();
@@ -75,11 +274,27 @@ async function waitForSuperwhisperStop(logger: Logger, timeoutMs = 10 * 60_000)
     if (added) {
       logger.log(`Detected SuperWhisper recording: ${added}`);
       await sleep(500);
-      return;
+      return path.join(base, added);
     }
     await sleep(200);
   }
   logger.log("⚠️ Timeout waiting for SuperWhisper stop");
+  return null;
+}
+
+// SuperWhisper writes meta.json into the recording folder once transcription finishes.
+// `result` is the final (mode-processed) text; the others are fallbacks for older versions.
+async function waitForRecordingTranscript(folder: string, timeoutMs = 20_000) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    try {
+      const meta = JSON.parse(fs.readFileSync(path.join(folder, "meta.json"), "utf8"));
+      const text = [meta.result, meta.llmResult, meta.rawResult].find((t) => typeof t === "string" && t.trim());
+      if (text) return String(text).trim();
+    } catch {}
+    await sleep(250);
+  }
+  return "";
 }
 
 function listDirNamesSafe(dir: string) {
@@ -104,140 +319,430 @@ async function waitForClipboardChangeFromSentinel(sentinel: string, timeoutMs =
 
 function sleep(ms: number) { return new Promise((r) => setTimeout(r, ms)); }
 
-async function analyzeTranscription({ transcription, prefs, logger }: { transcription: string; prefs: Prefs; logger: Logger }) {
-  const apiKey = prefs.anthropicApiKey;
-  const model = prefs.model || "claude-3-5-haiku-latest";
+// Room for a capture that lists a lot of tasks. A first pass that still runs out on a transcript of
+// LONG_TRANSCRIPT_CHARS or more is a recap too long to classify in one go, so it's taken as a meeting.
+const ANALYSIS_MAX_TOKENS = 4096;
+const LONG_TRANSCRIPT_CHARS = 4000;
 
-  const refs = await getTodoistRefs(prefs.todoistApiToken, logger);
+async function analyzeTranscription({ transcription, prefs, logger, meeting }: { transcription: string; prefs: Prefs; logger: Logger; meeting?: boolean }) {
+  const llm = resolveLlm(prefs);
+
+  const refs = await getTodoistRefs(prefs.todoistApiToken, logger, { maxAgeMs: syncMaxAgeMs(prefs) });
+  if (meeting) return analyzeMeeting({ transcription, llm, refs, prefs, logger });
   const maxProjects = Math.max(1, Math.min(12, Number.parseInt(String(prefs.sectionsPrefetch ?? '6'), 10) || 6));
   await prefetchSomeSections(prefs.todoistApiToken, refs, maxProjects, logger);
   const sectionsDoc = buildSectionsDoc(refs, maxProjects);
-  const projectsList = (refs.projects || []).map((p) => p.name).slice(0, 100);
+  const projectsDoc = buildProjectsDoc(refs.projects || []);
   const labelsList = (refs.labels || []).map((l) => l.name).slice(0, 200);
+  const corrections = correctionsDoc();
 
   const sys = [
     "You extract structured task info from short voice transcriptions.",
     "Return strict JSON only. Do not include extra text.",
     "If unsure, leave fields empty or conservative.",
     "priority uses Todoist scale 1(low)–4(high).",
-    projectsList.length ? `Projects: ${projectsList.join(" | ")}` : "",
+    `Today is ${new Date().toLocaleDateString("en-CA")} (${new Date().toLocaleDateString("en-US", { weekday: "long" })}).`,
+    projectsDoc ? `Projects (indented under their parent):\n${projectsDoc}` : "",
+    projectsDoc ? 'Set projectName to a project name exactly as listed; for a sub-project whose name is not unique use its path, e.g. "Work/Clients".' : "",
     labelsList.length ? `Labels: ${labelsList.join(" | ")}` : "",
     sectionsDoc ? `Sections by Project:\n${sectionsDoc}` : "",
-    'Rules: If a section clearly matches the intent, set sectionName exactly as listed for the chosen project. Otherwise use null.'
+    corrections ? `Corrections the user made to earlier results; make the same choices for similar notes:\n${corrections}` : "",
+    'Rules: If a section clearly matches the intent, set sectionName exactly as listed for the chosen project. Otherwise use null.',
+    'A transcription may contain several independent tasks. Return one entry in "tasks" per task, in the order spoken.',
+    'Use "subtasks" only for steps that clearly belong to their parent task; otherwise leave it empty.',
+    'First decide the intent. "create" is for new tasks. Use "complete", "update" (reschedule or reprioritise) or "comment" only when the speaker refers to a task that already exists; then fill "action" with a short "target" made of key words from that task\'s title, plus the new due_string/priority or the comment text.',
+    'For those intents still put one entry in "tasks" describing the request as a new task; it is used if the existing task cannot be found.',
+    'Set "assignee" only when a task is handed to someone ("assign to Sarah"), using the name as spoken. "duration_minutes" is a time block ("block 45 minutes" → 45). "deadline" is a hard deadline as YYYY-MM-DD ("hard deadline the 30th"), separate from due_string, which is when to work on it. "reminders" holds "remind me …" requests: minutes_before for relative ones ("an hour before" → 60), or "at" with a date and time ("tomorrow at 9am").'
   ].filter(Boolean).join("\n");
 
-  const user = `Transcription:\n${transcription}\n\nRespond with JSON exactly matching this schema:\n{\n  "title": string,\n  "description": string | null,\n  "category": "meetings|ideas|tasks|personal|support|documentation|misc",\n  "projectName": string | null,\n  "sectionName": string | null,\n  "labels": string[],\n  "priority": 1|2|3|4 | null,\n  "due_string": string | null,\n  "urls": string[]\n}`;
+  const user = `Transcription:\n${transcription}\n\nRespond with JSON exactly matching this schema:\n{\n  "category": "meetings|ideas|tasks|personal|support|documentation|misc",\n  "intent": "create|complete|update|comment",\n  "action": { "target": string, "projectName": string | null, "due_string": string | null, "priority": 1|2|3|4 | null, "comment": string | null } | null,\n  "tasks": [\n    {\n      "title": string,\n      "description": string | null,\n      "projectName": string | null,\n      "sectionName": string | null,\n      "labels": string[],\n      "priority": 1|2|3|4 | null,\n      "due_string": string | null,\n      "urls": string[],\n      "assignee": string | null,\n      "duration_minutes": number | null,\n      "deadline": "YYYY-MM-DD" | null,\n      "reminders": [{ "minutes_before": number | null, "at": string | null }],\n      "subtasks": [{ "title": string, "description": string | null, "labels": string[], "priority": 1|2|3|4 | null, "due_string": string | null }]\n    }\n  ]\n}`;
+
+  const log = (m: string) => logger.log(m);
+  const usage = emptyUsage();
+  const { text, usage: firstUsage, truncated } = await completeWith(llm, { system: sys, user, maxTokens: ANALYSIS_MAX_TOKENS, schema: ENRICHED_SCHEMA }, log);
+  addUsage(usage, firstUsage);
+  logger.log(`🤖 Analyzed with ${llm.name}/${llm.model}`);
+  let checked = await checkEnriched(text, refs, prefs, logger);
+  // Not every server says it stopped at the limit, so unparseable output on a long transcript counts too
+  if ((truncated || !checked.parsed) && transcription.length >= LONG_TRANSCRIPT_CHARS && prefs.meetingMinutes !== false) {
+    logger.log("✂️ The analysis was cut off on a long transcript; treating it as a meeting recap");
+    return analyzeMeeting({ transcription, llm, refs, prefs, logger, usage });
+  }
 
-  const respRaw = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-      "content-type": "application/json"
+  // One repair round-trip: hand the model its own output plus the exact problems
+  if (checked.errors.length) {
+    logger.log(`⚠️ Model output failed validation: ${checked.errors.join("; ")}`);
+    try {
+      const repairUser = `${user}\n\nYour previous answer was:\n${String(text || "").slice(0, 4000)}\n\nIt had these problems:\n- ${checked.errors.join("\n- ")}\n\nReturn corrected JSON only. Use null for any project or section that is not in the lists.`;
+      const repaired = await completeWith(llm, { system: sys, user: repairUser, maxTokens: ANALYSIS_MAX_TOKENS, schema: ENRICHED_SCHEMA }, log);
+      addUsage(usage, repaired.usage);
+      const recheck = await checkEnriched(repaired.text, refs, prefs, logger);
+      if (recheck.parsed) checked = recheck;
+      logger.log(recheck.errors.length ? `⚠️ Still invalid after repair: ${recheck.errors.join("; ")}` : "🔧 Repair round-trip fixed the model output");
+    } catch (e: any) {
+      logger.log(`⚠️ Repair round-trip failed: ${e?.message || e}`);
+    }
+  }
+  const threshold = parseThreshold(prefs.matchThreshold);
+  for (const m of checked.matches) logger.log(describeMatch(m.value, m.match, threshold));
+  for (const d of checked.dropped) logger.log(`🗑️ Dropped ${d.path}${d.value !== undefined ? ` (${JSON.stringify(d.value)})` : ""}: ${d.reason}`);
+  if (!checked.parsed) logger.log("⚠️ No usable JSON from the model; falling back to a title-only task from the transcript");
+
+  const json = checked.value;
+  const category: string = json.category || "misc";
+  // A meeting recap gets minutes and one task per action item instead of a single task
+  if (category === "meetings" && prefs.meetingMinutes !== false) return analyzeMeeting({ transcription, llm, refs, prefs, logger, usage });
+  const tasks = applyTaskRules(normalizeTasks(json, transcription), { transcription, category, prefs, logger });
+  const intent = json.intent && json.intent !== "create" ? { intent: json.intent as Intent, action: json.action as TaskAction } : {};
+  if (intent.intent) logger.log(`🗣️ Intent: ${intent.intent} "${intent.action?.target}"`);
+  return { enriched: { category, ...intent, tasks }, category, refs, model: `${llm.name}/${llm.model}`, usage, cost: usageCost(llm, usage, prefs.modelPrice) };
+}
+
+// `usage` carries the tokens of the first pass when the category is what made it a meeting
+async function analyzeMeeting({ transcription, llm, refs, prefs, logger, usage = emptyUsage() }: { transcription: string; llm: LlmConfig; refs: TodoistRefs; prefs: Prefs; logger: Logger; usage?: LlmUsage }) {
+  const { minutes, actionItems, usage: minutesUsage } = await extractMinutes(llm, transcription, { projectsDoc: buildProjectsDoc(refs.projects || []), log: (m) => logger.log(m) });
+  addUsage(usage, minutesUsage);
+  // Action items go through the same checks as any other task, so an unknown project is dropped
+  const checked = await checkEnriched(JSON.stringify({ category: "meetings", tasks: actionItems.map(actionItemTask) }), refs, prefs, logger);
+  for (const d of checked.dropped) logger.log(`🗑️ Dropped ${d.path}${d.value !== undefined ? ` (${JSON.stringify(d.value)})` : ""}: ${d.reason}`);
+  const tasks = actionItems.length ? applyTaskRules(normalizeTasks(checked.value, transcription), { transcription, category: "meetings", prefs, logger }) : [];
+  return { enriched: { category: "meetings", meeting: minutes, tasks }, category: "meetings", refs, model: `${llm.name}/${llm.model}`, usage, cost: usageCost(llm, usage, prefs.modelPrice) };
+}
+
+function applyTaskRules(tasks: TaskItem[], { transcription, category, prefs, logger }: { transcription: string; category: string; prefs: Prefs; logger: Logger }) {
+  if (!prefs.enableRules) return tasks;
+  const { rules } = readRules();
+  const { tasks: next, hits } = applyRulesToTasks(tasks, { transcription, rules, category });
+  for (const h of hits) if (h.error) logger.log(`rules error: #${h.index + 1} ${h.rule.test}: ${h.error}`);
+  return next;
+}
+
+// Fetches sections for every project the model named so section names can be checked too. A name
+// that's missing from the cache triggers one sync first, in case it was created since.
+async function checkEnriched(text: string, refs: TodoistRefs, prefs: Prefs, logger: Logger) {
+  const json = parseModelJson(text);
+  const match = matchOptions(prefs);
+  const tasks: any[] = (Array.isArray(json?.tasks) ? json.tasks : []).filter((t: any) => t && typeof t === "object");
+  for (const t of tasks) {
+    const hit = t.sectionName ? matchProject(t.projectName, refs.projects, match) : null;
+    if (hit) await ensureSections(prefs.todoistApiToken, refs, hit.id, logger).catch(() => {});
+  }
+  const missing = () => {
+    for (const t of tasks) {
+      const hit = t.projectName ? matchProject(t.projectName, refs.projects, match) : null;
+      if (t.projectName && !hit) return `Project "${t.projectName}"`;
+      if (hit && t.sectionName && refs.sections[hit.id] && !matchSectionId(t.sectionName, hit.id, refs.sections, match.threshold)) return `Section "${t.sectionName}"`;
+    }
+    const actionProject = json?.action?.projectName;
+    return actionProject && !matchProject(actionProject, refs.projects, match) ? `Project "${actionProject}"` : null;
+  };
+  const miss = missing();
+  if (miss) await refreshOnMiss(prefs.todoistApiToken, refs, miss, logger);
+  return validateEnriched(json, {
+    project: (name) => {
+      const hit = matchProject(name, refs.projects, match);
+      return hit ? { id: hit.id, name: projectLabel(hit, refs.projects), match: hit } : null;
     },
-    body: JSON.stringify({ model, max_tokens: 400, system: sys, messages: [{ role: "user", content: user }], temperature: 0 })
+    sectionsKnown: (pid) => !!refs.sections[pid],
+    section: (name, pid) => {
+      const id = matchSectionId(name, pid, refs.sections, match.threshold);
+      const found = id ? (refs.sections[pid] || []).find((x) => String(x.id) === id) : undefined;
+      return found ? { id: String(found.id), name: found.name } : undefined;
+    }
   });
-  if (!respRaw.ok) throw new Error(`Anthropic error ${respRaw.status}: ${await respRaw.text().catch(() => "")}`);
-  const resp = await respRaw.json() as any;
-  let json: any = {};
-  try { json = JSON.parse(resp.content?.[0]?.text || "{}"); }
-  catch { try { const m = String(resp.content?.[0]?.text || "").match(/\{[\s\S]*\}/); if (m) json = JSON.parse(m[0]); } catch {} }
-  if (!json.title) json.title = transcription.split("\n")[0].slice(0, 120);
-  if (!json.category) json.category = "misc";
-
-  if (prefs.enableRules) {
-    try { json = applyRules({ transcription, enriched: json, logger }); } catch {}
-  }
-  return { enriched: json, category: json.category, refs };
 }
 
-async function maybeAddToTodoist({ transcription, analysis, prefs, logger }: { transcription: string; analysis: any; prefs: Prefs; logger: Logger }) {
+type SubtaskItem = { title: string; description?: string | null; labels?: string[]; priority?: number | null; due_string?: string | null };
+// projectId/sectionId are only set by the review form and win over names; sectionId "" means no section
+export type TaskItem = SubtaskItem & { projectName?: string | null; sectionName?: string | null; projectId?: string; sectionId?: string; urls?: string[]; subtasks?: SubtaskItem[] } & TaskExtras;
+// minutes_before: relative to the due time; at: a date and time in Todoist's own words ("tomorrow 9am")
+export type Reminder = { minutes_before?: number; at?: string };
+type TaskExtras = { assignee?: string | null; duration_minutes?: number | null; deadline?: string | null; reminders?: Reminder[] };
+// `warnings` are the parts that couldn't be applied (an assignee nobody matches, a rejected reminder)
+type CreatedTask = { task: any; where: string; title: string; subtasks: any[]; merged?: "comment" | "bump"; warnings?: string[] };
+type AddResult = { created: CreatedTask[]; summary: string; acted?: Acted };
+
+// Accepts both the list schema and the legacy single-object shape; always returns at least one task.
+function normalizeTasks(json: any, transcription: string): TaskItem[] {
+  const raw: any[] = Array.isArray(json?.tasks) ? json.tasks : json?.title ? [json] : [];
+  const hasTitle = (t: any) => t && typeof t === "object" && String(t.title || "").trim();
+  const tasks: TaskItem[] = raw.filter(hasTitle).map((t) => ({
+    ...t,
+    labels: Array.isArray(t.labels) ? t.labels : [],
+    urls: Array.isArray(t.urls) ? t.urls : [],
+    subtasks: (Array.isArray(t.subtasks) ? t.subtasks : []).filter(hasTitle).map((st: any) => ({ ...st, labels: Array.isArray(st.labels) ? st.labels : [] }))
+  }));
+  if (!tasks.length) tasks.push({ title: transcription.split("\n")[0].slice(0, 120), labels: [], urls: [], subtasks: [] });
+  return tasks;
+}
+
+async function maybeAddToTodoist({ transcription, analysis, prefs, logger, capture }: { transcription: string; analysis: any; prefs: Prefs; logger: Logger; capture: Capture }): Promise<AddResult> {
   const token = prefs.todoistApiToken;
   const refs = analysis.refs as TodoistRefs;
-  const { projectName, sectionName, labels = [], priority, due_string, title, description, urls = [] } = analysis.enriched || {};
+  const tasks: TaskItem[] = analysis.enriched?.tasks || [];
+  const match = matchOptions(prefs);
+  let explicitProjectId = prefs.defaultProjectId || matchProject(prefs.defaultProjectName, refs.projects, match)?.id || null;
+  if (!explicitProjectId && prefs.defaultProjectName && (await refreshOnMiss(token, refs, `Default project "${prefs.defaultProjectName}"`, logger))) {
+    explicitProjectId = matchProject(prefs.defaultProjectName, refs.projects, match)?.id || null;
+  }
+
+  // "Mark the Acme invoice done": act on that task, or fall through to creating one if it can't be pinned down
+  const { intent, action } = analysis.enriched || {};
+  if (intent && intent !== "create" && action) {
+    let acted: Acted | null = capture.acted || null;
+    if (!acted) {
+      acted = await actOnExistingTask({ token, projects: refs.projects, intent, action, requestId: stableRequestId(capture.id, "action"), match, log: (m) => logger.log(m) });
+      if (acted) capture.acted = acted;
+    }
+    if (acted) return { created: [], summary: summarizeAction(acted), acted };
+  }
+
+  const created: CreatedTask[] = [];
+  // Post in spoken order; subtasks follow their parent so parent_id is known.
+  // Keys ("0", "0.1") identify each task within a capture so retries skip what was already posted.
+  for (let i = 0; i < tasks.length; i++) {
+    const item = tasks[i];
+    const parent = await postOnce(capture, String(i), (requestId) =>
+      createTodoistTask({ token, refs, item, transcription, explicitProjectId, single: tasks.length === 1, requestId, logger, match, policy: prefs.duplicatePolicy }));
+    const subtasks: any[] = [];
+    const subs = item.subtasks || [];
+    for (let j = 0; j < subs.length; j++) {
+      const res = await postOnce(capture, `${i}.${j}`, (requestId) =>
+        createTodoistTask({ token, refs, item: subs[j], transcription, parentId: String(parent.task.id), requestId, logger, match }));
+      subtasks.push(res.task);
+    }
+    created.push({ task: parent.task, where: parent.where, title: String(parent.task.content || item.title), subtasks, ...(parent.merged ? { merged: parent.merged } : {}), ...(parent.warnings?.length ? { warnings: parent.warnings } : {}) });
+  }
+  return { created, summary: summarizeCreated(created) };
+}
+
+async function postOnce(capture: Capture, key: string, post: (requestId: string) => Promise<{ task: any; where: string; merged?: "comment" | "bump"; body?: any; createdLabels?: CreatedLabel[]; warnings?: string[] }>) {
+  if (capture.posted?.[key]) return capture.posted[key];
+  const res = await post(stableRequestId(capture.id, key));
+  capture.posted = capture.posted || {};
+  const posted: PostedTask = { task: { id: String(res.task.id), content: res.task.content, url: res.task.url }, where: res.where };
+  if (res.merged) posted.merged = res.merged;
+  if (res.body) posted.body = res.body;
+  if (res.createdLabels?.length) posted.createdLabels = res.createdLabels;
+  if (res.warnings?.length) posted.warnings = res.warnings;
+  capture.posted[key] = posted;
+  return res;
+}
+
+async function createTodoistTask({ token, refs, item, transcription, explicitProjectId = null, parentId = null, single = false, requestId, logger, match, policy }: { token: string; refs: TodoistRefs; item: TaskItem; transcription: string; explicitProjectId?: string | null; parentId?: string | null; single?: boolean; requestId: string; logger: Logger; match: MatchOptions; policy?: DuplicatePolicy }) {
+  const { projectName, sectionName, labels = [], priority, due_string, title, description, urls = [], assignee, duration_minutes, deadline, reminders = [] } = item;
+
+  // Subtasks inherit project and section from their parent
+  let projectId: string | null = null;
+  if (!parentId && item.projectId) projectId = item.projectId;
+  else if (!parentId && explicitProjectId) projectId = explicitProjectId;
+  else if (!parentId && projectName) {
+    let hit = matchProject(projectName, refs.projects, match);
+    if (!hit && (await refreshOnMiss(token, refs, `Project "${projectName}"`, logger))) hit = matchProject(projectName, refs.projects, match);
+    // Model names were already matched (and logged) during validation; this catches rule-set names
+    if (!hit || hit.via !== "exact") logger.log(describeMatch(projectName, hit, match.threshold));
+    projectId = hit ? hit.id : null;
+  }
+  const projName = projectId ? (refs.projects.find((p) => p.id === projectId)?.name || "Project") : "Inbox";
+  if (!parentId) {
+    const merged = await mergeIntoDuplicate({ token, projects: refs.projects, projectId, item, transcription, single, where: projName, requestId, policy, log: (m) => logger.log(m) });
+    if (merged) return merged;
+  }
 
   const desiredLabels = Array.from(new Set(["Voice", ...labels].filter(Boolean)));
-  await ensureLabels(token, desiredLabels, refs, logger).catch(() => {});
+  const createdLabels = await ensureLabels(token, desiredLabels, refs, logger).catch(() => [] as CreatedLabel[]);
 
-  const explicitProjectId = prefs.defaultProjectId || matchProjectId(prefs.defaultProjectName || null, refs.projects) || null;
-  const projectId = explicitProjectId || matchProjectId(projectName, refs.projects) || null;
   let sectionId: string | undefined = undefined;
   if (projectId) {
     await ensureSections(token, refs, projectId, logger).catch(() => {});
-    sectionId = matchSectionId(sectionName, projectId, refs.sections);
-    if (!sectionId) sectionId = guessSectionIdFromContent({ transcription, analysis: analysis.enriched, projectId, refs });
+    if (item.sectionId !== undefined) sectionId = item.sectionId || undefined;
+    else {
+      sectionId = matchSectionId(sectionName, projectId, refs.sections, match.threshold);
+      if (!sectionId && sectionName && (await refreshOnMiss(token, refs, `Section "${sectionName}"`, logger))) sectionId = matchSectionId(sectionName, projectId, refs.sections, match.threshold);
+      if (!sectionId) sectionId = guessSectionIdFromContent({ texts: [title, description, single ? transcription : ""], projectId, refs });
+    }
+  }
+
+  const warnings: string[] = [];
+  let assigneeId: string | undefined;
+  if (assignee) {
+    const who = await resolveAssignee(token, refs, projectId, assignee, match.threshold, logger);
+    if ("id" in who) {
+      assigneeId = who.id;
+      logger.log(`👤 "${assignee}" → ${who.name}`);
+    } else warnings.push(`not assigned to ${assignee}: ${who.reason}`);
   }
 
   const fallbackTitle = transcription.split("\n")[0].slice(0, 120);
   const content = `${title || fallbackTitle}`.trim();
-  let desc = description || transcription;
-  if (urls && urls.length) desc += `\n\nLinks:\n- ${urls.join("\n- ")}`;
+  // Only a lone task carries the full transcription; split tasks keep their own descriptions
+  let desc = description || (single ? transcription : "");
+  if (urls && urls.length) desc += `${desc ? "\n\n" : ""}Links:\n- ${urls.join("\n- ")}`;
 
   const body: any = {
     content,
-    description: desc,
+    ...(desc ? { description: desc } : {}),
+    ...(parentId ? { parent_id: parentId } : {}),
     ...(projectId ? { project_id: projectId } : {}),
     ...(projectId && sectionId ? { section_id: sectionId } : {}),
     ...(desiredLabels.length ? { labels: desiredLabels } : {}),
-    ...(due_string ? { due_string } : {})
+    ...(priority ? { priority: Math.min(4, Math.max(1, Number(priority) || 1)) } : {}),
+    ...(due_string ? { due_string } : {}),
+    ...(assigneeId ? { assignee_id: assigneeId } : {}),
+    ...(duration_minutes ? { duration: duration_minutes, duration_unit: "minute" } : {}),
+    ...(deadline ? { deadline_date: deadline } : {})
   };
 
   logger.log(`[Todoist] POST /tasks body: ${JSON.stringify(body).slice(0, 400)}`);
-  const res = await fetch("https://api.todoist.com/rest/v2/tasks", {
-    method: "POST",
-    headers: { "Authorization": `Bearer ${token}`, "Content-Type": "application/json" },
-    body: JSON.stringify(body)
-  });
-  if (!res.ok) throw new Error(`Todoist error ${res.status}: ${await res.text().catch(() => "")}`);
-  const task = await res.json() as any;
-  const projName = projectId ? (refs.projects.find((p) => p.id === projectId)?.name || "Project") : "Inbox";
+  const posted = await todoistRequest(token, "/tasks", { method: "POST", body, requestId, log: (m) => logger.log(m) });
+  const task = { ...posted, url: posted.url || taskUrl(posted.id) };
   const sectName = projectId && sectionId ? (refs.sections[projectId]?.find((s) => s.id === sectionId)?.name || "") : "";
-  const where = sectName ? `${projName} › ${sectName}` : projName;
+  const where = parentId ? `subtask of ${parentId}` : sectName ? `${projName} › ${sectName}` : projName;
   logger.log(`🧾 Todoist task created: ${task.id} (${where})`);
-  return { task, where };
+  if (reminders.length) warnings.push(...(await addReminders(token, String(task.id), reminders, requestId, logger)));
+  for (const w of warnings) logger.log(`⚠️ ${content}: ${w}`);
+  return { task, where, body, createdLabels, warnings };
+}
+
+// "Call accountant → Work" for one task; "3 tasks (+2 subtasks, 1 merged): Work ×2, Inbox" for several
+function summarizeCreated(created: CreatedTask[]) {
+  if (!created.length) return "";
+  const subCount = created.reduce((n, c) => n + c.subtasks.length, 0);
+  const mergedCount = created.filter((c) => c.merged).length;
+  const subNote = subCount ? ` (+${subCount} subtask${subCount === 1 ? "" : "s"})` : "";
+  if (created.length === 1) return `${created[0].title}${subNote} → ${created[0].where}${warningNote(created)}`;
+  const notes = [subCount ? `+${subCount} subtask${subCount === 1 ? "" : "s"}` : "", mergedCount ? `${mergedCount} merged` : ""].filter(Boolean);
+  const counts = new Map<string, number>();
+  for (const c of created) counts.set(c.where, (counts.get(c.where) || 0) + 1);
+  const parts = Array.from(counts.entries()).map(([where, n]) => (n > 1 ? `${where} ×${n}` : where));
+  return `${created.length} tasks${notes.length ? ` (${notes.join(", ")})` : ""}: ${parts.join(", ")}${warningNote(created)}`;
+}
+
+function warningNote(created: CreatedTask[]) {
+  const warnings = created.flatMap((c) => c.warnings || []);
+  return warnings.length ? ` ⚠️ ${warnings.join("; ")}` : "";
 }
 
 // ===== Todoist helpers & caching =====
-type TodoistRefs = { projects: any[]; labels: any[]; sections: Record<string, any[]> };
+// Keep in sync with the Todoist helpers in tools/voice-note-raycast.js
+export type TodoistRefs = {
+  projects: any[];
+  labels: any[];
+  sections: Record<string, any[]>;
+  collaborators: any[];
+  collaboratorStates: any[];
+  syncToken: string | null;
+  syncedAt: number;
+};
 
-function cachePaths() {
+// Projects, sections, labels and collaborators are cached per account and kept current with
+// Todoist's incremental sync: each request sends the last sync_token and gets back only what changed.
+const SYNC_RESOURCES = ["projects", "sections", "labels", "collaborators"] as const;
+// Same default as TODOIST_CACHE_TTL_MS in the script
+const SYNC_MAX_AGE_MS = 5 * 60 * 1000;
+const SYNC_MISS_INTERVAL_MS = 10_000;
+
+function cachePaths(token: string) {
   const dir = path.join(environment.supportPath, "cache");
-  const file = path.join(dir, "todoist-refs.json");
+  const account = crypto.createHash("sha256").update(String(token || "")).digest("hex").slice(0, 12);
+  const file = path.join(dir, `todoist-refs-${account}.json`);
   return { dir, file };
 }
 
-async function getTodoistRefs(token: string, logger: Logger): Promise<TodoistRefs> {
-  const { dir, file } = cachePaths();
-  const ttlMs = 6 * 60 * 60 * 1000;
+function saveRefs(token: string, refs: TodoistRefs) {
+  const { dir, file } = cachePaths(token);
   try {
-    const st = fs.statSync(file);
-    if (Date.now() - st.mtimeMs < ttlMs) return JSON.parse(fs.readFileSync(file, "utf8"));
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(refs), "utf8");
   } catch {}
-  const headers = { Authorization: `Bearer ${token}` } as any;
-  const [pRes, lRes] = await Promise.all([
-    fetch("https://api.todoist.com/rest/v2/projects", { headers }),
-    fetch("https://api.todoist.com/rest/v2/labels", { headers })
-  ]);
-  if (!pRes.ok) throw new Error(`Projects ${pRes.status}`);
-  if (!lRes.ok) throw new Error(`Labels ${lRes.status}`);
-  const projects = await pRes.json() as any[];
-  const labels = await lRes.json() as any[];
-  const refs: TodoistRefs = { projects, labels, sections: {} };
-  fs.mkdirSync(dir, { recursive: true });
-  try { fs.writeFileSync(file, JSON.stringify(refs), "utf8"); } catch {}
-  logger.log("Cached projects and labels");
+}
+
+function emptyRefs(): TodoistRefs {
+  return { projects: [], labels: [], sections: {}, collaborators: [], collaboratorStates: [], syncToken: null, syncedAt: 0 };
+}
+
+// Upserts changed items by key and drops the ones the sync reports as gone
+function mergeById(list: any[], changes: any[] | undefined, gone: (x: any) => boolean, key = (x: any) => String(x.id)) {
+  const map = new Map((list || []).map((x) => [key(x), x]));
+  for (const c of changes || []) {
+    if (gone(c)) map.delete(key(c));
+    else map.set(key(c), c);
+  }
+  return Array.from(map.values());
+}
+
+// Applies a sync response to refs in place; a full sync starts from scratch
+function applySync(refs: TodoistRefs, data: any) {
+  const base = data.full_sync ? emptyRefs() : refs;
+  const removed = (x: any) => !!(x.is_deleted || x.is_archived);
+  // The API calls it inbox_project; REST v2 used is_inbox_project, which the rest of the extension reads
+  const projects = mergeById(base.projects, (data.projects || []).map((p: any) => ({ ...p, is_inbox_project: !!(p.inbox_project ?? p.is_inbox_project) })), removed);
+  const sectionList = mergeById(Object.values(base.sections || {}).flat(), data.sections, removed);
+  const sections: Record<string, any[]> = Object.fromEntries(projects.map((p) => [String(p.id), []]));
+  for (const sec of sectionList) sections[String(sec.project_id)]?.push(sec);
+  Object.assign(refs, {
+    projects,
+    sections,
+    labels: mergeById(base.labels, data.labels, removed),
+    collaborators: mergeById(base.collaborators, data.collaborators, () => false),
+    collaboratorStates: mergeById(base.collaboratorStates, data.collaborator_states, (c) => c.state === "deleted" || !!c.is_deleted, (c) => `${c.project_id}:${c.user_id}`),
+    syncToken: data.sync_token,
+    syncedAt: Date.now()
+  });
+  return refs;
+}
+
+async function syncRefs(token: string, refs: TodoistRefs, logger: Logger) {
+  const data = await todoistSync(token, refs.syncToken || "*", SYNC_RESOURCES, (m) => logger.log(m));
+  const changes = SYNC_RESOURCES.reduce((n, r) => n + (data[r]?.length || 0), 0);
+  applySync(refs, data);
+  saveRefs(token, refs);
+  logger.log(data.full_sync ? `🔄 Todoist full sync: ${refs.projects.length} projects, ${refs.labels.length} labels` : `🔄 Todoist sync: ${changes} change${changes === 1 ? "" : "s"}`);
   return refs;
 }
 
-async function ensureSections(token: string, refs: TodoistRefs, projectId: string, logger: Logger) {
+// The "Refresh Todoist Cache" preference in ms; 0 syncs on every capture
+export function syncMaxAgeMs(prefs: Prefs) {
+  const minutes = Number.parseFloat(String(prefs.cacheMinutes ?? ""));
+  return minutes >= 0 ? minutes * 60 * 1000 : SYNC_MAX_AGE_MS;
+}
+
+// Syncs when the cache is older than `maxAgeMs` or when forced; offline, the last synced state is used
+export async function getTodoistRefs(token: string, logger: Logger, { force = false, maxAgeMs = SYNC_MAX_AGE_MS } = {}): Promise<TodoistRefs> {
+  const { file } = cachePaths(token);
+  let refs: TodoistRefs | null = null;
+  try { refs = JSON.parse(fs.readFileSync(file, "utf8")); } catch {}
+  if (!refs?.syncToken) refs = emptyRefs();
+  if (force || Date.now() - (refs.syncedAt || 0) >= maxAgeMs) {
+    try {
+      await syncRefs(token, refs, logger);
+    } catch (e: any) {
+      if (!refs.syncToken) throw e;
+      logger.log(`⚠️ Todoist sync failed; using cached projects and labels: ${e?.message || e}`);
+    }
+  }
+  return refs;
+}
+
+// A name that isn't in the cache may have been created since the last sync. Sync (at most every 10 s)
+// and return true so the caller looks again.
+export async function refreshOnMiss(token: string, refs: TodoistRefs, what: string, logger: Logger) {
+  if (!token || Date.now() - (refs.syncedAt || 0) < SYNC_MISS_INTERVAL_MS) return false;
+  logger.log(`🔄 ${what} not in cache; syncing with Todoist`);
+  try {
+    await syncRefs(token, refs, logger);
+    return true;
+  } catch (e: any) {
+    logger.log(`⚠️ Todoist sync failed: ${e?.message || e}`);
+    return false;
+  }
+}
+
+export async function ensureSections(token: string, refs: TodoistRefs, projectId: string, logger: Logger) {
   if (!projectId) return;
   if (refs.sections[projectId]) return;
-  const headers = { Authorization: `Bearer ${token}` } as any;
-  const r = await fetch(`https://api.todoist.com/rest/v2/sections?project_id=${projectId}`, { headers });
-  if (!r.ok) throw new Error(`Sections ${r.status}`);
-  refs.sections[projectId] = await r.json() as any[];
-  const { file } = cachePaths();
-  try { fs.writeFileSync(file, JSON.stringify(refs), "utf8"); } catch {}
+  refs.sections[projectId] = await todoistList(token, "/sections", { project_id: projectId }, (m) => logger.log(m));
+  saveRefs(token, refs);
   logger.log(`Fetched sections for project ${projectId}`);
 }
 
@@ -263,27 +768,12 @@ function buildSectionsDoc(refs: TodoistRefs, maxProjects: number) {
   } catch { return ""; }
 }
 
-function matchProjectId(name: string | null, projects: any[]) {
-  if (!name) return null;
-  const n = String(name).trim().toLowerCase();
-  const f = (projects || []).find((p) => String(p.name || "").trim().toLowerCase() === n);
-  return f ? f.id : null;
-}
-function matchSectionId(name: string | null, projectId: string, sectionsByProject: Record<string, any[]>) {
-  if (!name || !projectId) return undefined;
-  const list = sectionsByProject[projectId] || [];
-  const n = String(name).trim().toLowerCase();
-  const f = list.find((s) => String(s.name || "").trim().toLowerCase() === n);
-  return f ? f.id : undefined;
-}
-
-function normalize(s: string) { return String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim(); }
 function containsWord(hay: string, needle: string) { const H = normalize(hay), N = normalize(needle); return !!H && !!N && H.includes(N); }
-function guessSectionIdFromContent({ transcription, analysis, projectId, refs }: { transcription: string; analysis: any; projectId: string; refs: TodoistRefs }) {
+function guessSectionIdFromContent({ texts, projectId, refs }: { texts: (string | null | undefined)[]; projectId: string; refs: TodoistRefs }) {
   try {
     const sections = refs.sections[projectId] || [];
     if (!sections.length) return undefined;
-    const candidates = [analysis?.title, analysis?.description, transcription].filter(Boolean) as string[];
+    const candidates = texts.filter(Boolean) as string[];
     let best: { id?: string; score: number } = { id: undefined, score: 0 };
     for (const sec of sections) {
       const name = sec.name || "";
@@ -295,47 +785,77 @@ function guessSectionIdFromContent({ transcription, analysis, projectId, refs }:
   } catch { return undefined; }
 }
 
+// Returns the labels it had to create, so Undo can remove them again
 async function ensureLabels(token: string, names: string[], refs: TodoistRefs, logger: Logger) {
-  const existing = new Map((refs.labels || []).map((l) => [String(l.name || "").trim().toLowerCase(), l]));
+  const known = () => new Map((refs.labels || []).map((l) => [String(l.name || "").trim().toLowerCase(), l]));
+  const missing = names.find((n) => String(n || "").trim() && !known().has(String(n).trim().toLowerCase()));
+  // Another device may have created it already; creating it again would make a second label
+  if (missing) await refreshOnMiss(token, refs, `Label "${missing}"`, logger);
+  const existing = known();
+  const created: CreatedLabel[] = [];
   for (const raw of names) {
     const name = String(raw || "").trim();
     if (!name) continue;
     const key = name.toLowerCase();
     if (existing.has(key)) continue;
-    const res = await fetch("https://api.todoist.com/rest/v2/labels", { method: "POST", headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" }, body: JSON.stringify({ name }) });
-    if (res.ok) {
-      const lbl = await res.json();
+    try {
+      const lbl = await todoistRequest(token, "/labels", { method: "POST", body: { name }, log: (m) => logger.log(m) });
       refs.labels.push(lbl);
       existing.set(key, lbl);
-      const { file } = cachePaths();
-      try { fs.writeFileSync(file, JSON.stringify(refs), "utf8"); } catch {}
+      created.push({ id: String(lbl.id), name: lbl.name });
+      saveRefs(token, refs);
       logger.log(`🏷️ Created label: ${lbl.name}`);
-    } else {
-      const t = await res.text().catch(() => "");
-      logger.log(`⚠️ Failed to create label '${name}': ${res.status} ${t}`);
+    } catch (e: any) {
+      logger.log(`⚠️ Failed to create label '${name}': ${e?.message || e}`);
     }
   }
+  return created;
+}
+
+// Collaborators of a shared project; the Inbox and personal projects have none
+function projectCollaborators(refs: TodoistRefs, projectId: string) {
+  const ids = new Set((refs.collaboratorStates || []).filter((s) => String(s.project_id) === projectId && s.state === "active").map((s) => String(s.user_id)));
+  return (refs.collaborators || []).filter((c) => ids.has(String(c.id)));
+}
+
+// A spoken assignee resolved against the task's project; the reason comes back when it can't be
+async function resolveAssignee(token: string, refs: TodoistRefs, projectId: string | null, name: string, threshold: number | undefined, logger: Logger): Promise<{ id: string; name: string } | { reason: string }> {
+  if (!projectId) return { reason: "the Inbox can't be shared" };
+  const project = refs.projects.find((p) => String(p.id) === projectId)?.name || "the project";
+  const find = () => matchPeople(name, projectCollaborators(refs, projectId), threshold);
+  let hits = find();
+  // Someone may have joined the project since the last sync
+  if (!hits.length && (await refreshOnMiss(token, refs, `Collaborator "${name}"`, logger))) hits = find();
+  if (!hits.length) return { reason: projectCollaborators(refs, projectId).length ? `nobody on ${project} matches` : `${project} isn't shared` };
+  const label = (p: any) => String(p.full_name || p.name || p.email);
+  if (hits[1] && hits[0].score - hits[1].score < 0.1) return { reason: `could be ${label(hits[0].person)} or ${label(hits[1].person)}` };
+  return { id: String(hits[0].person.id), name: label(hits[0].person) };
 }
 
-function applyRules({ transcription, enriched, logger }: { transcription: string; enriched: any; logger: Logger }) {
+// Reminders go through sync commands; their uuids derive from the task's request id so a retry can't
+// add them twice. Returns a warning for each one Todoist rejected (reminders need Todoist Pro).
+async function addReminders(token: string, taskId: string, reminders: Reminder[], requestId: string, logger: Logger) {
+  const commands = reminders.map((r, i) => ({
+    type: "reminder_add",
+    uuid: stableRequestId(requestId, `reminder.${i}`),
+    args: r.minutes_before !== undefined ? { item_id: taskId, type: "relative", minute_offset: r.minutes_before } : { item_id: taskId, type: "absolute", due: { string: r.at } }
+  }));
+  const describe = (r: Reminder) => (r.minutes_before !== undefined ? `${r.minutes_before} min before` : `at ${r.at}`);
   try {
-    const support = environment.supportPath;
-    const file = path.join(support, "voice-note-rules.json");
-    if (!fs.existsSync(file)) return enriched;
-    const data = JSON.parse(fs.readFileSync(file, "utf8"));
-    const rules = Array.isArray(data?.rules) ? data.rules : [];
-    const hay = `${enriched?.title || ""}\n${enriched?.description || ""}\n${transcription || ""}`;
-    const next = { ...enriched };
-    for (const r of rules) {
-      const pat = String(r.test || ""); if (!pat) continue;
-      let re: RegExp | null = null; try { re = new RegExp(pat); } catch { continue; }
-      if (!re.test(hay)) continue;
-      if (!next.projectName && r.projectName) next.projectName = r.projectName;
-      if (!next.sectionName && r.sectionName) next.sectionName = r.sectionName;
-      if (Array.isArray(r.labels) && r.labels.length) next.labels = Array.from(new Set([...(next.labels || []), ...r.labels]));
-      if (!next.priority && r.priority) next.priority = r.priority;
-      if (!next.due_string && r.due_string) next.due_string = r.due_string;
-    }
-    return next;
-  } catch (e) { logger.log(`rules error: ${String(e)}`); return enriched; }
+    const errors = await todoistCommands(token, commands, (m) => logger.log(m));
+    reminders.forEach((r, i) => { if (!errors[i]) logger.log(`⏰ Reminder ${describe(r)}`); });
+    return reminders.flatMap((r, i) => (errors[i] ? [`reminder ${describe(r)} not set: ${errors[i]}`] : []));
+  } catch (e: any) {
+    return [`reminders not set: ${e?.message || e}`];
+  }
+}
+
+// Drops labels deleted by Undo from the cache so ensureLabels recreates them before the next sync
+export function forgetLabels(token: string, ids: string[]) {
+  const { file } = cachePaths(token);
+  try {
+    const refs = JSON.parse(fs.readFileSync(file, "utf8")) as TodoistRefs;
+    refs.labels = (refs.labels || []).filter((l) => !ids.includes(String(l.id)));
+    fs.writeFileSync(file, JSON.stringify(refs), "utf8");
+  } catch {}
 }
@@ -0,0 +1,266 @@
+import { Action, ActionPanel, Form, getPreferenceValues, Icon, popToRoot, showHUD, showToast, Toast } from "@raycast/api";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { recordCorrection } from "./lib/corrections";
+import { matchProject, matchSectionId, projectLabel, projectPaths } from "./lib/matching";
+import { Capture, newCapture, queueOutboxItem } from "./lib/outbox";
+import { analyzeCapture, captureTranscription, ensureSections, Logger, matchOptions, Prefs, processCapture, recordCaptureStats, TaskItem, TodoistRefs } from "./record-voice-task";
+
+type Ready = { capture: Capture; refs: TodoistRefs };
+
+export default function Command() {
+  const prefs = getPreferenceValues<Prefs>();
+  const logger = useMemo(() => new Logger(), []);
+  const [ready, setReady] = useState<Ready | null>(null);
+  const [error, setError] = useState<string>();
+
+  useEffect(() => {
+    let capture: Capture | null = null;
+    (async () => {
+      try {
+        const started = Date.now();
+        const { text: transcription, recording } = await captureTranscription(prefs, logger);
+        if (!transcription) throw new Error("No transcription detected");
+        capture = newCapture(transcription);
+        capture.stats = { timings: { capture_ms: Date.now() - started } };
+        if (recording) capture.recording = recording;
+        const refs = await analyzeCapture(capture, prefs, logger);
+        // Meeting minutes without action items: nothing to review
+        if (!capture.analysis?.tasks?.length) {
+          const { summary } = await processCapture(capture, prefs, logger);
+          await showHUD(`📋 ${summary}`);
+          await popToRoot();
+          return;
+        }
+        await showToast({ style: Toast.Style.Success, title: "Review before creating" });
+        setReady({ capture, refs });
+      } catch (e: any) {
+        logger.log(`❌ ${e?.message || e}`);
+        // processCapture records its own failures; this is the analysis failing before the form
+        if (capture?.stage === "transcribed") recordCaptureStats(capture, prefs, logger, { error: e });
+        if (capture) queueOutboxItem(capture, e, (m) => logger.log(m));
+        setError(`${e?.message || String(e)}${capture ? " (saved to outbox for retry)" : ""}`);
+        await showToast(Toast.Style.Failure, "Voice to Todoist", e?.message || String(e));
+      }
+    })();
+  }, []);
+
+  if (!ready) {
+    return (
+      <Form isLoading={!error}>
+        <Form.Description title="Voice to Todoist" text={error || "Recording… stop SuperWhisper when you're done and the task shows up here for review."} />
+      </Form>
+    );
+  }
+  return <Review capture={ready.capture} refs={ready.refs} prefs={prefs} logger={logger} />;
+}
+
+// Steps through the tasks one form at a time; nothing is posted until the last one is submitted
+function Review({ capture, refs, prefs, logger }: Ready & { prefs: Prefs; logger: Logger }) {
+  const tasks: TaskItem[] = capture.analysis?.tasks || [];
+  const [index, setIndex] = useState(0);
+  const [reviewed, setReviewed] = useState<(TaskItem | null)[]>([]);
+  const [useAction, setUseAction] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  // Submitted or discarded; closing the form any other way (Esc, pop) keeps the capture in the outbox
+  const settled = useRef(false);
+
+  useEffect(
+    () => () => {
+      if (settled.current) return;
+      logger.log(`📥 Review closed without submitting: "${capture.transcription.slice(0, 50)}..."`);
+      queueOutboxItem(capture, new Error("Review closed before submitting"), (m) => logger.log(m));
+    },
+    []
+  );
+
+  async function discard() {
+    settled.current = true;
+    logger.log(`🗑️ Review discarded: "${capture.transcription.slice(0, 50)}..."`);
+    recordCaptureStats(capture, prefs, logger, { discarded: true });
+    await showHUD("🗑️ Voice task discarded");
+    await popToRoot();
+  }
+
+  async function next(item: TaskItem | null) {
+    const done = [...reviewed, item];
+    if (done.length < tasks.length) {
+      setReviewed(done);
+      setIndex(done.length);
+      return;
+    }
+    const keep = done.filter((t): t is TaskItem => !!t);
+    if (!keep.length) return discard();
+
+    tasks.forEach((original, i) => {
+      const edited = done[i];
+      if (!edited) return;
+      try {
+        if (recordCorrection(capture.transcription, original, edited)) logger.log(`📝 Correction saved for "${edited.title}"`);
+      } catch {}
+    });
+    const { intent, action, ...rest } = capture.analysis || {};
+    capture.analysis = { ...rest, ...(useAction && intent ? { intent, action } : {}), tasks: keep };
+
+    settled.current = true;
+    setIsLoading(true);
+    try {
+      const { created, summary, acted } = await processCapture(capture, prefs, logger);
+      await showHUD(acted ? `✅ ${summary}` : capture.analysis?.meeting ? `📋 ${summary}` : `✅ ${created.length === 1 ? "Task" : "Tasks"} Added → ${summary}`);
+      await popToRoot();
+    } catch (e: any) {
+      logger.log(`❌ ${e?.message || e}`);
+      queueOutboxItem(capture, e, (m) => logger.log(m));
+      await showToast(Toast.Style.Failure, "Voice to Todoist", `${e?.message || String(e)} (saved to outbox for retry)`);
+      setIsLoading(false);
+    }
+  }
+
+  return (
+    <TaskForm
+      key={index}
+      item={tasks[index]}
+      index={index}
+      total={tasks.length}
+      refs={refs}
+      prefs={prefs}
+      logger={logger}
+      transcription={capture.transcription}
+      intent={index === 0 && capture.analysis?.intent ? `${capture.analysis.intent} "${capture.analysis.action?.target}"` : undefined}
+      useAction={useAction}
+      onUseAction={setUseAction}
+      isLoading={isLoading}
+      onSubmit={next}
+      onDiscard={discard}
+    />
+  );
+}
+
+type TaskFormProps = {
+  item: TaskItem;
+  index: number;
+  total: number;
+  refs: TodoistRefs;
+  prefs: Prefs;
+  logger: Logger;
+  transcription: string;
+  intent?: string;
+  useAction: boolean;
+  onUseAction: (v: boolean) => void;
+  isLoading: boolean;
+  onSubmit: (item: TaskItem | null) => void;
+  onDiscard: () => void;
+};
+
+function TaskForm({ item, index, total, refs, prefs, logger, transcription, intent, useAction, onUseAction, isLoading, onSubmit, onDiscard }: TaskFormProps) {
+  const match = useMemo(() => matchOptions(prefs), []);
+  const paths = useMemo(() => projectPaths(refs.projects), [refs]);
+  const inboxId = String(refs.projects.find((p) => p.is_inbox_project)?.id || refs.projects[0]?.id || "");
+  const [projectId, setProjectId] = useState(() => {
+    const hit = matchProject(item.projectName, refs.projects, match) || matchProject(prefs.defaultProjectName, refs.projects, match);
+    return String(hit?.id || prefs.defaultProjectId || inboxId);
+  });
+  const [sections, setSections] = useState<any[]>(refs.sections[projectId] || []);
+  const [sectionId, setSectionId] = useState(() => matchSectionId(item.sectionName, projectId, refs.sections, match.threshold) || "");
+  // What the form picked by itself, so only real edits are saved as corrections
+  const initialProjectId = useRef(projectId).current;
+  const autoSectionId = useRef(sectionId);
+  const [sectionsLoading, setSectionsLoading] = useState(false);
+
+  // Sections depend on the project; fetch them on demand and drop a section from another project
+  useEffect(() => {
+    let live = true;
+    setSectionsLoading(true);
+    ensureSections(prefs.todoistApiToken, refs, projectId, logger)
+      .catch(() => {})
+      .finally(() => {
+        if (!live) return;
+        const list = refs.sections[projectId] || [];
+        setSections(list);
+        const auto = matchSectionId(item.sectionName, projectId, refs.sections, match.threshold) || "";
+        if (projectId === initialProjectId) autoSectionId.current = auto;
+        setSectionId((cur) => (list.some((s) => String(s.id) === cur) ? cur : auto));
+        setSectionsLoading(false);
+      });
+    return () => { live = false; };
+  }, [projectId]);
+
+  const labelNames = useMemo(() => Array.from(new Set([...(refs.labels || []).map((l) => String(l.name)), ...(item.labels || [])])).sort((a, b) => a.localeCompare(b)), [refs]);
+  const last = index === total - 1;
+
+  function submit(values: { title: string; description: string; labels: string[]; priority: string; due_string: string; assignee: string; duration: string; deadline: Date | null }) {
+    const project = paths.find((p) => String(p.project.id) === projectId);
+    const section = sections.find((s) => String(s.id) === sectionId);
+    const name = project ? projectLabel({ id: projectId, name: project.project.name, path: project.path, score: 1, via: "review" }, refs.projects) : null;
+    const projectChanged = projectId !== initialProjectId;
+    const due = values.due_string.trim();
+    const minutes = Number.parseInt(values.duration, 10);
+    onSubmit({
+      ...item,
+      title: values.title.trim() || item.title,
+      description: values.description.trim() || null,
+      projectId,
+      projectName: projectChanged ? name : item.projectName ?? null,
+      sectionId,
+      sectionName: projectChanged || sectionId !== autoSectionId.current ? section?.name || null : item.sectionName ?? null,
+      labels: values.labels,
+      priority: values.priority ? Number(values.priority) : null,
+      due_string: due || null,
+      assignee: values.assignee.trim() || null,
+      // A duration and relative reminders only mean something with a due date
+      duration_minutes: due && minutes > 0 ? Math.min(minutes, 1440) : null,
+      deadline: values.deadline ? values.deadline.toLocaleDateString("en-CA") : null,
+      reminders: due ? item.reminders : item.reminders?.filter((r) => r.at)
+    });
+  }
+
+  return (
+    <Form
+      navigationTitle={total > 1 ? `Review Task ${index + 1} of ${total}` : "Review Task"}
+      isLoading={isLoading || sectionsLoading}
+      actions={
+        <ActionPanel>
+          <Action.SubmitForm title={last ? (total > 1 ? "Create Tasks" : "Create Task") : "Next Task"} icon={last ? Icon.Check : Icon.ArrowRight} onSubmit={submit} />
+          {total > 1 && <Action title="Skip This Task" icon={Icon.Forward} shortcut={{ modifiers: ["cmd"], key: "s" }} onAction={() => onSubmit(null)} />}
+          <Action title="Discard" icon={Icon.Trash} style={Action.Style.Destructive} shortcut={{ modifiers: ["ctrl"], key: "x" }} onAction={onDiscard} />
+        </ActionPanel>
+      }
+    >
+      {index === 0 && <Form.Description title="Transcript" text={transcription} />}
+      {intent && (
+        <Form.Checkbox id="useAction" label={`Apply to the existing task (${intent})`} info="Unchecked, the task below is created instead" value={useAction} onChange={onUseAction} />
+      )}
+      <Form.TextField id="title" title="Title" defaultValue={item.title} />
+      <Form.TextArea id="description" title="Description" defaultValue={item.description || ""} />
+      <Form.Separator />
+      <Form.Dropdown id="project" title="Project" value={projectId} onChange={setProjectId}>
+        {paths.map(({ project, path }) => (
+          <Form.Dropdown.Item key={project.id} value={String(project.id)} title={path.join(" › ")} />
+        ))}
+      </Form.Dropdown>
+      <Form.Dropdown id="section" title="Section" value={sectionId} onChange={setSectionId}>
+        <Form.Dropdown.Item value="" title="No section" />
+        {sections.map((s) => (
+          <Form.Dropdown.Item key={s.id} value={String(s.id)} title={s.name} />
+        ))}
+      </Form.Dropdown>
+      <Form.TagPicker id="labels" title="Labels" defaultValue={item.labels || []}>
+        {labelNames.map((l) => (
+          <Form.TagPicker.Item key={l} value={l} title={l} />
+        ))}
+      </Form.TagPicker>
+      <Form.Dropdown id="priority" title="Priority" defaultValue={item.priority ? String(item.priority) : ""}>
+        <Form.Dropdown.Item value="" title="None" />
+        <Form.Dropdown.Item value="1" title="1 · Low" />
+        <Form.Dropdown.Item value="2" title="2" />
+        <Form.Dropdown.Item value="3" title="3" />
+        <Form.Dropdown.Item value="4" title="4 · Urgent" />
+      </Form.Dropdown>
+      <Form.TextField id="due_string" title="Due" placeholder="tomorrow 3pm" defaultValue={item.due_string || ""} />
+      <Form.TextField id="duration" title="Duration (min)" placeholder="45" defaultValue={item.duration_minutes ? String(item.duration_minutes) : ""} />
+      <Form.DatePicker id="deadline" title="Deadline" type={Form.DatePicker.Type.Date} defaultValue={item.deadline ? new Date(`${item.deadline}T00:00:00`) : null} />
+      <Form.TextField id="assignee" title="Assignee" placeholder="Sarah" info="Matched against the collaborators of the chosen project" defaultValue={item.assignee || ""} />
+      {!!item.reminders?.length && <Form.Description title="Reminders" text={item.reminders.map((r) => (r.minutes_before !== undefined ? `${r.minutes_before} min before` : r.at)).join(", ")} />}
+      {!!item.subtasks?.length && <Form.Description title="Subtasks" text={item.subtasks.map((s) => `• ${s.title}`).join("\n")} />}
+    </Form>
+  );
+}
@@ -0,0 +1,81 @@
+import { Action, ActionPanel, getPreferenceValues, Icon, List, showToast, Toast } from "@raycast/api";
+import path from "node:path";
+import { useEffect, useMemo, useState } from "react";
+import { listNotes, matchesNote, Note, notesConfig, parseQuery } from "./lib/notes";
+import { Prefs } from "./record-voice-task";
+
+// Frontmatter fields shown in the detail pane, in this order
+const SHOWN_FIELDS = ["category", "attendees", "project", "section", "labels", "due", "action", "todoist_id", "model", "recording"];
+
+export default function Command() {
+  const prefs = getPreferenceValues<Prefs>();
+  const config = useMemo(() => notesConfig(prefs.notesFolder, prefs.folderTemplate), []);
+  const [notes, setNotes] = useState<Note[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState("");
+
+  useEffect(() => {
+    listNotes(config)
+      .then(setNotes)
+      .catch((e) => showToast(Toast.Style.Failure, "Failed to read notes", e?.message || String(e)))
+      .finally(() => setLoading(false));
+  }, [config]);
+  const shown = useMemo(() => {
+    const q = parseQuery(query);
+    return notes.filter((n) => matchesNote(n, q)).slice(0, 200);
+  }, [notes, query]);
+
+  return (
+    <List isLoading={loading} isShowingDetail filtering={false} onSearchTextChange={setQuery} searchBarPlaceholder="Search notes, or filter with project:, label:, category:, due:…">
+      {!loading && <List.EmptyView title={notes.length ? "No matching notes" : "No voice notes yet"} description={`Notes are read from ${config.root}`} />}
+      {shown.map((note) => (
+        <List.Item
+          key={note.path}
+          title={note.title}
+          accessories={[{ date: new Date(note.createdAt) }]}
+          detail={<NoteDetail note={note} />}
+          actions={
+            <ActionPanel>
+              <Action.Open title="Open Note" target={note.path} />
+              {taskUrls(note).map((url, i) => (
+                <Action.OpenInBrowser key={url} title={i === 0 ? "Open Task in Todoist" : `Open Task ${i + 1} in Todoist`} url={url} shortcut={i === 0 ? { modifiers: ["cmd"], key: "t" } : undefined} />
+              ))}
+              <Action.ShowInFinder path={note.path} shortcut={{ modifiers: ["cmd", "shift"], key: "f" }} />
+              <Action.CopyToClipboard title="Copy Transcript" content={note.body} shortcut={{ modifiers: ["cmd", "shift"], key: "c" }} />
+            </ActionPanel>
+          }
+        />
+      ))}
+    </List>
+  );
+}
+
+function taskUrls(note: Note): string[] {
+  const urls = note.data.todoist_url;
+  return (Array.isArray(urls) ? urls : urls ? [urls] : []).map(String).filter(Boolean);
+}
+
+function NoteDetail({ note }: { note: Note }) {
+  return (
+    <List.Item.Detail
+      markdown={note.body}
+      metadata={
+        <List.Item.Detail.Metadata>
+          {SHOWN_FIELDS.filter((f) => note.data[f] !== undefined && note.data[f] !== "").map((f) =>
+            Array.isArray(note.data[f]) ? (
+              <List.Item.Detail.Metadata.TagList key={f} title={f}>
+                {note.data[f].map((v: unknown) => (
+                  <List.Item.Detail.Metadata.TagList.Item key={String(v)} text={String(v)} />
+                ))}
+              </List.Item.Detail.Metadata.TagList>
+            ) : (
+              <List.Item.Detail.Metadata.Label key={f} title={f} text={String(note.data[f])} />
+            )
+          )}
+          <List.Item.Detail.Metadata.Separator />
+          <List.Item.Detail.Metadata.Label title="file" text={path.basename(note.path)} icon={Icon.Document} />
+        </List.Item.Detail.Metadata>
+      }
+    />
+  );
+}
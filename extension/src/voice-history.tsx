@@ -0,0 +1,145 @@
+import { Action, ActionPanel, Alert, Color, confirmAlert, getPreferenceValues, Icon, List, showToast, Toast } from "@raycast/api";
+import { useEffect, useMemo, useState } from "react";
+import { ACTION_TITLES } from "./lib/actions";
+import { canUndo, HistoryEntry, readHistory, readTranscript, undoHistoryEntry, updateHistory } from "./lib/history";
+import { newCapture, queueOutboxItem } from "./lib/outbox";
+import { forgetLabels, Logger, Prefs, processCapture } from "./record-voice-task";
+
+export default function Command() {
+  const prefs = getPreferenceValues<Prefs>();
+  const logger = useMemo(() => new Logger(), []);
+  const [entries, setEntries] = useState<HistoryEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  function reload() {
+    setEntries(readHistory());
+    setIsLoading(false);
+  }
+  useEffect(reload, []);
+
+  async function undo(entry: HistoryEntry) {
+    const ok = await confirmAlert({
+      title: "Undo voice task?",
+      message: "Deletes the tasks this note created in Todoist, and any labels that were created for them.",
+      primaryAction: { title: "Undo", style: Alert.ActionStyle.Destructive }
+    });
+    if (!ok) return;
+    const toast = await showToast({ style: Toast.Style.Animated, title: "Undoing…" });
+    try {
+      const { tasks, labels } = await undoHistoryEntry({ token: prefs.todoistApiToken, entry, log: (m) => logger.log(m) });
+      forgetLabels(prefs.todoistApiToken, labels);
+      toast.style = Toast.Style.Success;
+      toast.title = `Deleted ${tasks} ${tasks === 1 ? "task" : "tasks"}${labels.length ? ` and ${labels.length} ${labels.length === 1 ? "label" : "labels"}` : ""}`;
+    } catch (e: any) {
+      logger.log(`❌ Undo failed: ${e?.message || e}`);
+      toast.style = Toast.Style.Failure;
+      toast.title = "Undo failed";
+      toast.message = e?.message || String(e);
+    }
+    reload();
+  }
+
+  // Runs the saved transcript through the current model and rules as a new capture. Its old tasks
+  // are deleted first, otherwise duplicate detection would just merge the new ones back into them.
+  async function reprocess(entry: HistoryEntry) {
+    const undoFirst = canUndo(entry);
+    const ok = await confirmAlert({
+      title: "Reprocess voice note?",
+      message: `The transcript is analyzed again with the current model and rules.${undoFirst ? " The tasks it created before are deleted first." : ""}`,
+      primaryAction: { title: "Reprocess" }
+    });
+    if (!ok) return;
+    const toast = await showToast({ style: Toast.Style.Animated, title: "Reprocessing…" });
+    const capture = newCapture(readTranscript(entry));
+    if (entry.transcriptPath) capture.notePath = entry.transcriptPath;
+    if (entry.enriched?.meeting) capture.meeting = true;
+    let undone = false;
+    try {
+      if (undoFirst) {
+        forgetLabels(prefs.todoistApiToken, (await undoHistoryEntry({ token: prefs.todoistApiToken, entry, log: (m) => logger.log(m) })).labels);
+        undone = true;
+      }
+      const { summary, acted } = await processCapture(capture, prefs, logger);
+      try {
+        updateHistory(capture.id, { reprocessOf: entry.id });
+        updateHistory(entry.id, { reprocessedAs: capture.id });
+      } catch {}
+      logger.log(`🔁 Reprocessed ${entry.id} as ${capture.id}: ${summary}`);
+      toast.style = Toast.Style.Success;
+      toast.title = acted ? ACTION_TITLES[acted.type] : "Reprocessed";
+      toast.message = summary;
+    } catch (e: any) {
+      logger.log(`❌ Reprocess failed: ${e?.message || e}`);
+      // Once the old tasks are gone the note must not be lost; the outbox retries it
+      if (undone || capture.stage !== "transcribed") queueOutboxItem(capture, e, (m) => logger.log(m));
+      toast.style = Toast.Style.Failure;
+      toast.title = "Reprocess failed";
+      toast.message = e?.message || String(e);
+    }
+    reload();
+  }
+
+  return (
+    <List isLoading={isLoading} isShowingDetail searchBarPlaceholder="Search voice tasks…">
+      <List.EmptyView title="No voice tasks yet" description="Captures show up here once they reach Todoist." />
+      {entries.map((entry) => (
+        <List.Item
+          key={entry.id}
+          title={entryTitle(entry)}
+          keywords={[entry.transcription, ...entry.tasks.map((t) => t.where)]}
+          accessories={[...statusTags(entry), { date: new Date(entry.createdAt) }]}
+          detail={<List.Item.Detail markdown={entryMarkdown(entry)} />}
+          actions={
+            <ActionPanel>
+              {entryUrls(entry).map(({ title, url }, i) => (
+                <Action.OpenInBrowser key={url} title={i === 0 ? "Open in Todoist" : `Open ${title}`} url={url} />
+              ))}
+              {canUndo(entry) && <Action title="Undo" icon={Icon.Undo} style={Action.Style.Destructive} shortcut={{ modifiers: ["ctrl"], key: "x" }} onAction={() => undo(entry)} />}
+              <Action title="Reprocess" icon={Icon.ArrowClockwise} shortcut={{ modifiers: ["cmd"], key: "r" }} onAction={() => reprocess(entry)} />
+              {entry.transcriptPath && <Action.Open title="Open Transcript" target={entry.transcriptPath} shortcut={{ modifiers: ["cmd"], key: "o" }} />}
+              <Action.CopyToClipboard title="Copy Enriched JSON" content={JSON.stringify(entry.enriched, null, 2)} shortcut={{ modifiers: ["cmd", "shift"], key: "c" }} />
+            </ActionPanel>
+          }
+        />
+      ))}
+    </List>
+  );
+}
+
+function entryTitle(entry: HistoryEntry) {
+  if (entry.acted) return `${entry.acted.task.content}`;
+  if (entry.enriched?.meeting) return `📋 ${entry.enriched.meeting.title}`;
+  const top = entry.tasks.filter((t) => !t.key.includes("."));
+  if (!top.length) return entry.transcription.slice(0, 80);
+  return top.length > 1 ? `${top[0].content} (+${top.length - 1})` : top[0].content;
+}
+
+function statusTags(entry: HistoryEntry): List.Item.Accessory[] {
+  const tags: List.Item.Accessory[] = [];
+  if (entry.undoneAt) tags.push({ tag: { value: "Undone", color: Color.SecondaryText } });
+  if (entry.reprocessedAs) tags.push({ tag: { value: "Reprocessed", color: Color.Blue } });
+  if (entry.acted) tags.push({ tag: { value: entry.acted.type, color: Color.Purple } });
+  if (entry.tasks.some((t) => t.merged)) tags.push({ tag: { value: "Merged", color: Color.Orange } });
+  return tags;
+}
+
+function entryUrls(entry: HistoryEntry) {
+  if (entry.undoneAt) return [];
+  const tasks = entry.acted ? [{ content: entry.acted.task.content, url: entry.acted.task.url }] : entry.tasks.filter((t) => !t.key.includes("."));
+  return tasks.filter((t) => t.url).map((t) => ({ title: t.content, url: t.url as string }));
+}
+
+function entryMarkdown(entry: HistoryEntry) {
+  const out: string[] = [];
+  if (entry.acted) out.push(`**${ACTION_TITLES[entry.acted.type]}:** ${entry.acted.task.content} (${entry.acted.where})${entry.acted.change ? ` — ${entry.acted.change}` : ""}`);
+  for (const t of entry.tasks) {
+    const indent = t.key.includes(".") ? "  " : "";
+    out.push(`${indent}- ${t.url ? `[${t.content}](${t.url})` : t.content} → ${t.where}${t.merged ? ` _(merged: ${t.merged})_` : ""}`);
+  }
+  out.push("", "### Transcript", "", entry.transcription.split("\n").map((l) => `> ${l}`).join("\n"));
+  if (entry.transcriptPath) out.push("", `\`${entry.transcriptPath}\``);
+  out.push("", "### Enriched", "", "```json", JSON.stringify(entry.enriched, null, 2), "```");
+  const bodies = entry.tasks.filter((t) => t.body);
+  if (bodies.length) out.push("", "### Requests", "", "```json", JSON.stringify(bodies.map((t) => t.body), null, 2), "```");
+  return out.join("\n");
+}
@@ -0,0 +1,111 @@
+import { Action, ActionPanel, Color, getPreferenceValues, Icon, List } from "@raycast/api";
+import { useMemo, useState } from "react";
+import { dayKey, formatCost, monthKey, monthSpend, parseBudget, readStats, STATS_FILE, statsBy, StatsTotals, summarizeStats } from "./lib/stats";
+import { Prefs } from "./record-voice-task";
+
+type Period = "month" | "30d" | "all";
+const PERIODS: Record<Period, string> = { month: "This Month", "30d": "Last 30 Days", all: "All Time" };
+const DAYS_SHOWN = 14;
+
+export default function Command() {
+  const prefs = getPreferenceValues<Prefs>();
+  const [entries, setEntries] = useState(readStats);
+  const [period, setPeriod] = useState<Period>("month");
+
+  const now = new Date();
+  const inPeriod = useMemo(() => {
+    if (period === "all") return entries;
+    if (period === "month") return entries.filter((e) => monthKey(new Date(e.at)) === monthKey(now));
+    const since = now.getTime() - 30 * 24 * 60 * 60_000;
+    return entries.filter((e) => Date.parse(e.at) >= since);
+  }, [entries, period]);
+  const summary = useMemo(() => summarizeStats(inPeriod), [inPeriod]);
+  const days = useMemo(() => statsBy(entries, dayKey).slice(0, DAYS_SHOWN), [entries]);
+  const months = useMemo(() => statsBy(entries, monthKey), [entries]);
+  const budget = parseBudget(prefs.monthlyBudget);
+  const spent = monthSpend(entries, now);
+
+  const actions = (
+    <ActionPanel>
+      <Action title="Reload" icon={Icon.ArrowClockwise} shortcut={{ modifiers: ["cmd"], key: "r" }} onAction={() => setEntries(readStats())} />
+      <Action.Open title="Open Stats File" target={STATS_FILE} shortcut={{ modifiers: ["cmd"], key: "o" }} />
+      <Action.CopyToClipboard title="Copy Summary JSON" content={JSON.stringify({ period: PERIODS[period], ...summary }, null, 2)} shortcut={{ modifiers: ["cmd", "shift"], key: "c" }} />
+    </ActionPanel>
+  );
+  const item = (key: string, title: string, props: Partial<List.Item.Props> = {}) => <List.Item key={key} title={title} actions={actions} {...props} />;
+
+  return (
+    <List
+      searchBarPlaceholder="Filter stats…"
+      searchBarAccessory={
+        <List.Dropdown tooltip="Period" value={period} onChange={(v) => setPeriod(v as Period)}>
+          {Object.entries(PERIODS).map(([value, title]) => (
+            <List.Dropdown.Item key={value} value={value} title={title} />
+          ))}
+        </List.Dropdown>
+      }
+    >
+      <List.EmptyView title="No stats yet" description="Every processed capture adds its tokens, cost and timings here." />
+      {entries.length > 0 && (
+        <List.Section title={PERIODS[period]}>
+          {item("captures", "Captures", { icon: Icon.Microphone, accessories: outcomeTags(summary.byOutcome) })}
+          {item("failures", "Failure Rate", {
+            icon: Icon.Warning,
+            subtitle: `${summary.failed} of ${summary.runs} runs failed`,
+            accessories: [{ tag: { value: percent(summary.failureRate), color: summary.failureRate > 0.1 ? Color.Red : Color.Green } }]
+          })}
+          {item("spend", "Spend", { icon: Icon.Coins, subtitle: tokens(summary), accessories: [{ text: spendText(summary) }] })}
+          {budget !== null &&
+            item("budget", "Monthly Budget", {
+              icon: Icon.BankNote,
+              subtitle: `${formatCost(spent.cost)} of $${budget} this month${spent.unpriced ? `, + ${spent.unpriced} unpriced` : ""}`,
+              accessories: [{ tag: { value: percent(spent.cost / budget), color: spent.cost >= budget ? Color.Red : spent.cost >= budget * 0.8 ? Color.Orange : Color.Green } }]
+            })}
+          {item("timing", "Average Time", {
+            icon: Icon.Clock,
+            subtitle: "capture wait · analysis · Todoist",
+            accessories: [{ text: [summary.avgMs.capture_ms, summary.avgMs.analysis_ms, summary.avgMs.todoist_ms].map(seconds).join(" · ") }]
+          })}
+        </List.Section>
+      )}
+      <List.Section title="Spend by Model">
+        {summary.byModel.map((m) => item(`model-${m.model}`, m.model, { icon: Icon.ComputerChip, subtitle: tokens(m), accessories: [{ text: `${m.captures} ${m.captures === 1 ? "capture" : "captures"}` }, { text: spendText(m) }] }))}
+      </List.Section>
+      <List.Section title="Routing by Project">
+        {summary.byProject.map((p) => item(`project-${p.project}`, p.project, { icon: Icon.Folder, accessories: [{ text: `${p.tasks} ${p.tasks === 1 ? "task" : "tasks"}` }] }))}
+      </List.Section>
+      <List.Section title="Daily">
+        {days.map((d) => item(`day-${d.period}`, d.period, { icon: Icon.Calendar, subtitle: failures(d), accessories: [{ text: `${d.captures} ${d.captures === 1 ? "capture" : "captures"}` }, { text: spendText(d) }] }))}
+      </List.Section>
+      <List.Section title="Monthly">
+        {months.map((m) => item(`month-${m.period}`, m.period, { icon: Icon.Calendar, subtitle: failures(m), accessories: [{ text: `${m.captures} ${m.captures === 1 ? "capture" : "captures"}` }, { text: spendText(m) }] }))}
+      </List.Section>
+    </List>
+  );
+}
+
+function outcomeTags(byOutcome: Record<string, number | undefined>): List.Item.Accessory[] {
+  const colors: Record<string, Color> = { created: Color.Green, merged: Color.Orange, acted: Color.Purple, noted: Color.Blue, "dry-run": Color.SecondaryText, failed: Color.Red, discarded: Color.SecondaryText };
+  return Object.entries(byOutcome).map(([outcome, n]) => ({ tag: { value: `${n} ${outcome}`, color: colors[outcome] } }));
+}
+
+function tokens(t: StatsTotals) {
+  return `${t.input_tokens.toLocaleString()} in · ${t.output_tokens.toLocaleString()} out`;
+}
+
+// Captures on a model without a known price are counted but can't be added up
+function spendText(t: StatsTotals) {
+  return `${formatCost(t.cost)}${t.unpriced ? ` + ${t.unpriced} unpriced` : ""}`;
+}
+
+function failures(t: StatsTotals) {
+  return t.failed ? `${t.failed} failed` : "";
+}
+
+function percent(ratio: number) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function seconds(ms?: number) {
+  return ms === undefined ? "–" : `${(ms / 1000).toFixed(1)}s`;
+}
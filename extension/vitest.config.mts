@@ -0,0 +1,6 @@
+import { defineConfig } from "vitest/config";
+
+// @raycast/api only exists inside Raycast; tests get the few pieces the libs touch
+export default defineConfig({
+  resolve: { alias: { "@raycast/api": new URL("./src/__mocks__/raycast-api.ts", import.meta.url).pathname } }
+});
@@ -0,0 +1,71 @@
+// Loaded with `node --import` by voice-note-raycast.test.js: answers the script's fetch calls with
+// an in-memory Todoist account and a model that answers with the entries of FAKE_MODEL_REPLIES
+// (a JSON list) in turn, repeating the last one. A string entry comes back as a reply cut off at
+// the token limit.
+// Each request is printed to stderr as "FETCH <method> <path>" so tests can check what was asked.
+
+const projects = [
+  { id: 'p0', name: 'Inbox', inbox_project: true, is_inbox_project: true },
+  { id: 'p1', name: 'Work' },
+  { id: 'p2', name: 'Personal' }
+];
+const tasks = [];
+const comments = [];
+let nextId = 1000;
+const modelReplies = JSON.parse(process.env.FAKE_MODEL_REPLIES || '[{"category":"tasks","tasks":[{"title":"Renew the domain","projectName":"Work"}]}]');
+
+const reply = (obj, status = 200) => new Response(JSON.stringify(obj), { status, headers: { 'content-type': 'application/json' } });
+const page = (results) => reply({ results, next_cursor: null });
+
+// A string entry is sent as is, as a reply that stopped at the token limit
+function modelReply(url) {
+  const next = modelReplies.length > 1 ? modelReplies.shift() : modelReplies[0];
+  const cut = typeof next === 'string';
+  const text = cut ? next : JSON.stringify(next);
+  if (url.includes('/chat/completions')) return reply({ choices: [{ message: { content: text }, finish_reason: cut ? 'length' : 'stop' }], usage: { prompt_tokens: 100, completion_tokens: 50 } });
+  return reply({ content: [{ type: 'text', text }], stop_reason: cut ? 'max_tokens' : 'end_turn', usage: { input_tokens: 100, output_tokens: 50 } });
+}
+
+function todoist(u, method, body) {
+  const route = u.pathname.replace(/^\/api\/v1/, '');
+  if (route === '/sync') return reply({ sync_token: 'sync-1', full_sync: true, projects, labels: [], sections: [], collaborators: [], sync_status: {} });
+  if (route === '/projects') return page(projects);
+  if (route === '/labels' || route === '/sections') return method === 'POST' ? reply({ id: `x${++nextId}`, ...body }) : page([]);
+  if (route === '/tasks' && method === 'POST') {
+    const task = { id: `t${++nextId}`, content: body.content, description: body.description || '', priority: body.priority || 1, project_id: body.project_id || 'p0', url: `https://app.todoist.com/app/task/t${nextId}` };
+    tasks.push(task);
+    return reply(task);
+  }
+  if (route === '/tasks') return page(tasks.filter((t) => !u.searchParams.get('project_id') || t.project_id === u.searchParams.get('project_id')));
+  if (route === '/tasks/filter') {
+    const words = String(u.searchParams.get('query') || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    return page(tasks.filter((t) => words.every((w) => w === 'search' || t.content.toLowerCase().includes(w))));
+  }
+  if (route === '/comments' && method === 'POST') {
+    comments.push(body);
+    return reply({ id: `c${++nextId}`, ...body });
+  }
+  if (/^\/tasks\/[^/]+$/.test(route)) {
+    const task = tasks.find((t) => t.id === route.split('/')[2]);
+    if (!task) return reply({ error: 'Task not found' }, 404);
+    Object.assign(task, body || {});
+    return reply(task);
+  }
+  return reply({});
+}
+
+globalThis.fetch = async (input, opts = {}) => {
+  const url = String(input);
+  const method = opts.method || 'GET';
+  const u = new URL(url);
+  console.error(`FETCH ${method} ${u.pathname}${u.search}`);
+  if (u.hostname === 'api.anthropic.com' || url.includes('/chat/completions')) return modelReply(url);
+  if (u.hostname === 'api.todoist.com') {
+    let body = null;
+    if (typeof opts.body === 'string') {
+      try { body = JSON.parse(opts.body); } catch { body = Object.fromEntries(new URLSearchParams(opts.body)); }
+    }
+    return todoist(u, method, body);
+  }
+  throw new Error(`fetch failed (no fake for ${url})`);
+};
@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+// Required parameters:
+// @raycast.schemaVersion 1
+// @raycast.title Flush Voice Outbox
+// @raycast.mode compact
+// @raycast.packageName Voice Notes
+// @raycast.icon 📤
+// @raycast.description Retry voice notes that failed to reach Claude or Todoist
+
+/*
+  Companion Raycast Script Command for voice-note-raycast.js.
+  Retries every queued capture in ~/Documents/Voice Notes/.outbox/ right away, ignoring backoff.
+*/
+
+process.argv.push('--flush-outbox');
+await import('./voice-note-raycast.js');
@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+// Required parameters:
+// @raycast.schemaVersion 1
+// @raycast.title Record Meeting Notes
+// @raycast.mode compact
+// @raycast.packageName Voice Notes
+// @raycast.icon 📋
+// @raycast.description Record a meeting recap: minutes to the notes archive, one Todoist task per action item
+
+/*
+  Companion Raycast Script Command for voice-note-raycast.js.
+  Records like "Record Voice Note", but always analyzes the transcript as a meeting, whatever its category.
+*/
+
+process.argv.push('--meeting');
+await import('./voice-note-raycast.js');
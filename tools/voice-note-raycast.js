@@ -10,10 +10,36 @@
 /*
   Single-file Raycast Script Command (Node.js)
   - Triggers SuperWhisper toggle-record via Raycast URL
-  - Captures the clipboard transcription safely (sentinel + polling)
-  - Uses Anthropic (Claude) to extract structured task fields
-  - Saves the raw transcription under ~/Documents/Voice Notes/{Category}/
-  - Creates a Todoist task (Inbox by default), auto-creating missing labels
+  - Captures the transcription from the clipboard (sentinel + polling) or the SuperWhisper recording folder
+  - Clipboard, URL and notification calls go through a macOS, Linux or null backend
+  - Uses Anthropic (Claude) or any OpenAI-compatible endpoint (e.g. a local Ollama) to extract structured task fields
+  - Saves each transcription as a Markdown note with YAML frontmatter (category, project, task link, model…)
+    under ~/Documents/Voice Notes/{Category}/, or VOICE_NOTE_NOTES_DIR + VOICE_NOTE_FOLDER_TEMPLATE
+  - Creates one Todoist task per spoken item (plus subtasks), Inbox by default, auto-creating missing labels
+  - Sets assignee (from the shared project's collaborators), duration, deadline and reminders when spoken;
+    whatever can't be applied is reported in the notification instead of dropped
+  - Meeting mode (the "meetings" category, --meeting or voice-meeting-raycast.js): minutes with attendees,
+    decisions and open questions in the notes archive, plus one task per action item linked back to them;
+    long transcripts are analyzed in chunks
+  - Optionally attaches the SuperWhisper audio to the created tasks (always, or for short/low-confidence
+    transcripts), with a size limit and an AAC transcode
+  - Talks to Todoist's unified API v1: follows pagination and waits out 429 rate limits (Retry-After)
+  - Matches project names loosely (emoji/punctuation, Parent/Child paths, aliases, similarity)
+  - Merges re-dictated tasks into a matching open task (comment or bump) instead of duplicating them
+  - Understands "mark X done", "push X to Friday" and "add a note to X" and acts on that existing task
+  - Learns from edits made in the extension's review form (~/Documents/Voice Notes/.corrections.jsonl)
+  - Records tokens, cost, stage timings and outcome per capture in ~/Documents/Voice Notes/.stats.jsonl
+    (--stats, or the extension's "Voice Stats"); warns past 80% of VOICE_NOTE_MONTHLY_BUDGET
+  - Journals every capture in ~/Documents/Voice Notes/.history/ for the extension's history (undo / reprocess)
+  - Queues failed captures in ~/Documents/Voice Notes/.outbox/ and retries them with backoff
+    (on the next run, or with --flush-outbox / the "Flush Voice Outbox" command)
+
+  Headless use (no SuperWhisper, clipboard or notifications): pass the transcript with
+  --text, --file, --stdin or --dir; add --dry-run to skip posting and --json for machine output.
+  Run with --help for details.
+
+  Capture server: --serve listens for POST /capture (transcript, optional audio) from iOS Shortcuts or
+  other machines, with bearer-token auth (VOICE_NOTE_SERVER_TOKEN), a size limit and GET /health.
 
   No external npm dependencies are required at runtime.
   It reads your repo .env directly; optional fallback path is used if installed in Raycast Scripts.
@@ -22,8 +48,10 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { execSync, exec } from 'child_process';
-import { fileURLToPath } from 'url';
+import { execFileSync, execFile } from 'child_process';
+import crypto from 'crypto';
+import http from 'http';
+import { fileURLToPath, pathToFileURL } from 'url';
 
 // ---------- Config & Utilities ----------
 
@@ -39,21 +67,83 @@ function ensureDir(dir) { try { fs.mkdirSync(dir, { recursive: true }); } catch
 
 function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
-function pbpaste() {
-  try { return execSync('pbpaste', { encoding: 'utf8' }); } catch { return ''; }
+// ---------- Platform backends ----------
+// Clipboard, URL opening and notifications go through one backend, picked by VOICE_NOTE_BACKEND
+// (macos | linux | null) or from the platform. "null" keeps everything in memory, for tests and CI.
+
+function run(cmd, args, input) {
+  return execFileSync(cmd, args, { encoding: 'utf8', input, stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'ignore'] });
+}
+
+function hasCommand(cmd) {
+  try { execFileSync('sh', ['-c', `command -v ${cmd}`], { stdio: 'ignore' }); return true; } catch { return false; }
+}
+
+const macosBackend = {
+  name: 'macos',
+  readClipboard: () => run('pbpaste', []),
+  writeClipboard: (s) => { run('pbcopy', [], s); },
+  openUrl: (u) => { run('open', [u]); },
+  notify: (title, message) => {
+    execFile('osascript', ['-e', `display notification "${escapeOsascript(message)}" with title "${escapeOsascript(title)}"`], () => {});
+  },
+  transcodeAudio: (input, output) => { run('afconvert', ['-f', 'm4af', '-d', 'aac', input, output]); }
+};
+
+function linuxBackend() {
+  // Prefer Wayland tools when a Wayland session is running, else X11's xclip
+  const wayland = !!process.env.WAYLAND_DISPLAY && hasCommand('wl-paste');
+  return {
+    name: 'linux',
+    readClipboard: () => (wayland ? run('wl-paste', ['--no-newline']) : run('xclip', ['-selection', 'clipboard', '-o'])),
+    writeClipboard: (s) => { if (wayland) run('wl-copy', [], s); else run('xclip', ['-selection', 'clipboard', '-i'], s); },
+    openUrl: (u) => { run('xdg-open', [u]); },
+    notify: (title, message) => { execFile('notify-send', ['--app-name=Voice Notes', title, String(message)], () => {}); },
+    transcodeAudio: (input, output) => { run('ffmpeg', ['-y', '-loglevel', 'error', '-i', input, '-c:a', 'aac', '-b:a', '64k', output]); }
+  };
+}
+
+function nullBackend() {
+  let clipboard = '';
+  return {
+    name: 'null',
+    readClipboard: () => clipboard,
+    writeClipboard: (s) => { clipboard = String(s); },
+    openUrl: (u) => log(`[null backend] open ${u}`),
+    notify: (title, message) => log(`[null backend] notify ${title}: ${message}`),
+    transcodeAudio: () => { throw new Error('the null backend has no transcoder'); }
+  };
+}
+
+let activeBackend = null;
+function backend() {
+  if (activeBackend) return activeBackend;
+  const fallback = process.platform === 'darwin' ? 'macos' : process.platform === 'linux' ? 'linux' : 'null';
+  const name = (process.env.VOICE_NOTE_BACKEND || fallback).toLowerCase();
+  if (name === 'macos') activeBackend = macosBackend;
+  else if (name === 'linux') activeBackend = linuxBackend();
+  else {
+    if (name !== 'null') log(`⚠️ Unknown VOICE_NOTE_BACKEND '${name}'; using null backend.`);
+    activeBackend = nullBackend();
+  }
+  return activeBackend;
 }
 
-function pbcopy(s) {
-  try { execSync('pbcopy', { input: s }); } catch {}
+function readClipboard() {
+  try { return backend().readClipboard(); } catch { return ''; }
 }
 
-function openUrl(u) { try { execSync(`open "${u}"`); } catch (e) { log(`⚠️ open failed: ${e.message}`); } }
+function writeClipboard(s) {
+  try { backend().writeClipboard(s); } catch (e) { log(`⚠️ clipboard write failed: ${e.message}`); }
+}
+
+function openUrl(u) { try { backend().openUrl(u); } catch (e) { log(`⚠️ open failed: ${e.message}`); } }
 
 function notify(title, message) {
-  try { exec(`osascript -e 'display notification "${escapeOsascript(message)}" with title "${escapeOsascript(title)}"'`); } catch {}
+  try { backend().notify(title, message); } catch {}
 }
 
-function escapeOsascript(s) { return String(s).replace(/"/g, '\\"'); }
+function escapeOsascript(s) { return String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"'); }
 
 function parseEnvFile(content) {
   const out = {};
@@ -114,67 +204,294 @@ function loadRules() {
   } catch { return null; }
 }
 
-function applyRules({ transcription, enriched, rules }) {
-  try {
-    const hay = `${enriched?.title || ''}\n${enriched?.description || ''}\n${transcription || ''}`;
-    const next = { ...enriched };
-    for (const r of rules) {
-      const pattern = String(r.test || '').trim();
-      if (!pattern) continue;
-      let re = null;
-      try { re = new RegExp(pattern); } catch { continue; }
-      if (!re.test(hay)) continue;
-      if (!next.projectName && r.projectName) next.projectName = r.projectName;
-      if (!next.sectionName && r.sectionName) next.sectionName = r.sectionName;
-      if (Array.isArray(r.labels) && r.labels.length) {
-        const set = new Set([...(next.labels || []), ...r.labels]);
-        next.labels = Array.from(set);
-      }
-      if (!next.priority && r.priority) next.priority = r.priority;
-      if (!next.due_string && r.due_string) next.due_string = r.due_string;
+// ---------- Rules engine ----------
+// Keep in sync with extension/src/lib/rules.ts
+
+const CONDITION_FIELDS = ['category', 'projectName', 'sectionName', 'labels', 'priority', 'due_string', 'title', 'description', 'text'];
+const CONDITION_OPS = ['equals', 'in', 'matches', 'includes', 'gte', 'lte', 'empty'];
+
+// JavaScript rejects PCRE-style inline flags, so a leading (?i) / (?ms) becomes RegExp flags
+function compilePattern(pattern) {
+  const m = /^\(\?([a-zA-Z]+)\)/.exec(pattern);
+  if (!m) return new RegExp(pattern);
+  const bad = m[1].split('').filter((f) => !'ims'.includes(f));
+  if (bad.length) throw new Error(`Unsupported inline flag(s) ${bad.join('')}; use i, m or s`);
+  return new RegExp(pattern.slice(m[0].length), Array.from(new Set(m[1])).join(''));
+}
+
+function isEmptyValue(v) { return v === undefined || v === null || v === '' || (Array.isArray(v) && v.length === 0); }
+function sameText(a, b) { return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase(); }
+
+function evaluateCondition(cond, ctx) {
+  if (!cond || typeof cond !== 'object') throw new Error('Condition must be an object');
+  if (Array.isArray(cond.all)) return cond.all.every((c) => evaluateCondition(c, ctx));
+  if (Array.isArray(cond.any)) return cond.any.some((c) => evaluateCondition(c, ctx));
+  if (cond.not) return !evaluateCondition(cond.not, ctx);
+  if (!CONDITION_FIELDS.includes(cond.field)) throw new Error(`Unknown condition field '${cond.field}'`);
+  if (!CONDITION_OPS.some((op) => op in cond)) throw new Error(`Condition on '${cond.field}' needs one of ${CONDITION_OPS.join(', ')}`);
+  const v = ctx[cond.field];
+  const list = Array.isArray(v) ? v : [v];
+  if ('equals' in cond && !list.some((x) => sameText(x, cond.equals))) return false;
+  if ('in' in cond && !list.some((x) => (cond.in || []).some((y) => sameText(x, y)))) return false;
+  if ('includes' in cond) {
+    const ok = Array.isArray(v) ? v.some((x) => sameText(x, cond.includes)) : String(v ?? '').toLowerCase().includes(String(cond.includes).toLowerCase());
+    if (!ok) return false;
+  }
+  if ('matches' in cond && !compilePattern(String(cond.matches)).test(list.filter((x) => !isEmptyValue(x)).join('\n'))) return false;
+  if ('gte' in cond && !(Number(v) >= Number(cond.gte))) return false;
+  if ('lte' in cond && !(Number(v) <= Number(cond.lte))) return false;
+  if ('empty' in cond && isEmptyValue(v) !== !!cond.empty) return false;
+  return true;
+}
+
+/*
+  Rules run in order. A rule fires when its `test` regex matches the task's title/description
+  (plus the transcript, when one is passed) and its `when` conditions hold for the task as enriched so far (either may be omitted, not both).
+  mode "fill" (default) only sets empty fields, so the first match wins; "override" replaces them.
+  `removeLabels` drops labels, `stop: true` ends processing after the rule fires.
+*/
+function applyRules({ transcription, enriched, rules, category }) {
+  const hay = `${enriched?.title || ''}\n${enriched?.description || ''}\n${transcription || ''}`;
+  const next = { ...enriched, labels: [...(enriched?.labels || [])] };
+  for (const [i, r] of rules.entries()) {
+    const pattern = String(r.test || '').trim();
+    if (!pattern && !r.when) continue;
+    try {
+      if (pattern && !compilePattern(pattern).test(hay)) continue;
+      if (r.when && !evaluateCondition(r.when, { ...next, category: next.category ?? category, text: hay })) continue;
+    } catch (e) {
+      log(`⚠️ Rule #${i + 1} skipped: ${e.message}`);
+      continue;
     }
-    return next;
-  } catch { return enriched; }
+    const override = r.mode === 'override';
+    if (r.projectName && (override || !next.projectName)) {
+      // A new project invalidates a section chosen for the old one unless this rule sets its own
+      if (override && next.sectionName && !r.sectionName && !sameText(next.projectName, r.projectName)) next.sectionName = null;
+      next.projectName = r.projectName;
+    }
+    if (r.sectionName && (override || !next.sectionName)) next.sectionName = r.sectionName;
+    if (Array.isArray(r.labels) && r.labels.length) {
+      next.labels = override ? [...r.labels] : Array.from(new Set([...next.labels, ...r.labels]));
+    }
+    if (Array.isArray(r.removeLabels) && r.removeLabels.length) {
+      const drop = new Set(r.removeLabels.map((l) => String(l).toLowerCase()));
+      next.labels = next.labels.filter((l) => !drop.has(String(l).toLowerCase()));
+    }
+    if (r.priority && (override || !next.priority)) next.priority = r.priority;
+    if (r.due_string && (override || !next.due_string)) next.due_string = r.due_string;
+    if (r.stop) break;
+  }
+  return next;
+}
+
+// ---------- Todoist client ----------
+// Todoist's unified API v1. Keep in sync with extension/src/lib/todoist.ts
+
+const TODOIST_API = 'https://api.todoist.com/api/v1';
+const TODOIST_PAGE_LIMIT = 200;
+const TODOIST_RATE_LIMIT_RETRIES = 3;
+const TODOIST_MAX_RETRY_AFTER_MS = 60_000;
+
+class TodoistError extends Error {
+  constructor(message, status, path) { super(message); this.name = 'TodoistError'; this.status = status; this.path = path; }
+}
+// 401/403: the API token is missing, wrong or revoked
+class TodoistAuthError extends TodoistError {
+  constructor(message, status, path) { super(message, status, path); this.name = 'TodoistAuthError'; }
+}
+class TodoistNotFoundError extends TodoistError {
+  constructor(message, status, path) { super(message, status, path); this.name = 'TodoistNotFoundError'; }
+}
+// Still rate limited after the retries; `retryAfterMs` is how long Todoist asked to wait
+class TodoistRateLimitError extends TodoistError {
+  constructor(message, status, path, retryAfterMs) { super(message, status, path); this.name = 'TodoistRateLimitError'; this.retryAfterMs = retryAfterMs; }
+}
+
+// v1 tasks no longer carry a url
+function taskUrl(id) {
+  return `https://app.todoist.com/app/task/${id}`;
+}
+
+// Retry-After is either seconds or an HTTP date; without one, back off 1 s, 2 s, 4 s
+function retryAfterMs(res, attempt) {
+  const header = res.headers.get('retry-after');
+  const secs = Number(header);
+  const ms = header && Number.isFinite(secs) ? secs * 1000 : header ? Date.parse(header) - Date.now() : NaN;
+  return Math.min(Math.max(Number.isFinite(ms) ? ms : 1000 * 2 ** attempt, 0), TODOIST_MAX_RETRY_AFTER_MS);
+}
+
+function todoistErrorFor(status, path, text, waitMs) {
+  const message = `Todoist error ${status} on ${path}${text ? `: ${text.slice(0, 300)}` : ''}`;
+  if (status === 401 || status === 403) return new TodoistAuthError(`${message} (check TODOIST_API_TOKEN)`, status, path);
+  if (status === 404) return new TodoistNotFoundError(message, status, path);
+  if (status === 429) return new TodoistRateLimitError(message, status, path, waitMs);
+  return new TodoistError(message, status, path);
+}
+
+/*
+  One request against the v1 API. `body` is sent as JSON, `form` as urlencoded (the sync endpoint)
+  and `multipart` (a FormData) as multipart/form-data for uploads. `requestId` becomes X-Request-Id
+  so Todoist drops a replayed POST. A 429 is retried after Retry-After (up to three times, at most a
+  minute each); any other non-2xx response throws the matching TodoistError subclass. Empty
+  responses (close, delete) resolve to null.
+*/
+async function todoistRequest(token, path, { method = 'GET', query, body, form, multipart, requestId } = {}) {
+  const params = new URLSearchParams();
+  for (const [k, v] of Object.entries(query || {})) if (v !== undefined && v !== null && v !== '') params.set(k, String(v));
+  const qs = params.toString();
+  const url = `${TODOIST_API}${path}${qs ? `?${qs}` : ''}`;
+  const headers = { Authorization: `Bearer ${token}` };
+  if (requestId) headers['X-Request-Id'] = requestId;
+  if (form) headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  else if (body !== undefined && !multipart) headers['Content-Type'] = 'application/json';
+  const payload = multipart || (form ? new URLSearchParams(form).toString() : body !== undefined ? JSON.stringify(body) : undefined);
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(url, { method, headers, ...(payload !== undefined ? { body: payload } : {}) });
+    if (res.ok) {
+      const text = await res.text();
+      return text ? JSON.parse(text) : null;
+    }
+    const wait = res.status === 429 ? retryAfterMs(res, attempt) : 0;
+    if (res.status === 429 && attempt < TODOIST_RATE_LIMIT_RETRIES) {
+      log(`⏳ Todoist rate limit on ${path}; retrying in ${Math.ceil(wait / 1000)}s`);
+      await new Promise((r) => setTimeout(r, wait));
+      continue;
+    }
+    throw todoistErrorFor(res.status, path, await res.text().catch(() => ''), wait);
+  }
+}
+
+// Follows next_cursor through every page of a list endpoint
+async function todoistList(token, path, query = {}) {
+  const out = [];
+  let cursor = null;
+  do {
+    const page = await todoistRequest(token, path, { query: { ...query, limit: TODOIST_PAGE_LIMIT, cursor } });
+    out.push(...(Array.isArray(page) ? page : page?.results || []));
+    cursor = Array.isArray(page) ? null : page?.next_cursor || null;
+  } while (cursor);
+  return out;
+}
+
+// Incremental sync: pass '*' for everything, or the last sync_token for what changed since
+function todoistSync(token, syncToken, resourceTypes) {
+  return todoistRequest(token, '/sync', { method: 'POST', form: { sync_token: syncToken, resource_types: JSON.stringify(resourceTypes) } });
+}
+
+/*
+  Runs sync commands such as reminder_add. Each needs a `uuid`, which Todoist uses to ignore a
+  replay. Returns one entry per command: null when it was applied, otherwise Todoist's error.
+*/
+async function todoistCommands(token, commands) {
+  const data = await todoistRequest(token, '/sync', { method: 'POST', form: { commands: JSON.stringify(commands) } });
+  return commands.map((c) => {
+    const status = data?.sync_status?.[c.uuid];
+    return status === 'ok' ? null : String(status?.error || 'not applied');
+  });
+}
+
+// Uploads a file; the returned object goes into a comment's `attachment`
+function todoistUpload(token, { name, type, data }) {
+  const multipart = new FormData();
+  multipart.set('file_name', name);
+  multipart.set('file', new Blob([data], { type: type || 'application/octet-stream' }), name);
+  return todoistRequest(token, '/uploads', { method: 'POST', multipart });
 }
 
 // ---------- Todoist helpers ----------
 
-function cachePaths() {
+// Projects, sections, labels and collaborators are cached per account and kept current with
+// Todoist's incremental sync: each request sends the last sync_token and gets back only what changed.
+const SYNC_RESOURCES = ['projects', 'sections', 'labels', 'collaborators'];
+const SYNC_MISS_INTERVAL_MS = 10_000;
+
+function cachePaths(token) {
   const dir = path.join(os.homedir(), '.cache', 'claude-automation-hub');
-  const file = path.join(dir, 'todoist-refs.json');
+  const account = crypto.createHash('sha256').update(String(token || '')).digest('hex').slice(0, 12);
+  const file = path.join(dir, `todoist-refs-${account}.json`);
   return { dir, file };
 }
 
-async function getTodoistRefs(token) {
-  const { dir, file } = cachePaths();
-  const ttlMs = parseInt(process.env.TODOIST_CACHE_TTL_MS || '21600000', 10); // 6h
-  try {
-    const st = fs.statSync(file);
-    if (Date.now() - st.mtimeMs < ttlMs) return JSON.parse(fs.readFileSync(file, 'utf8'));
-  } catch {}
-  const headers = { Authorization: `Bearer ${token}` };
-  const [pRes, lRes] = await Promise.all([
-    fetch('https://api.todoist.com/rest/v2/projects', { headers }),
-    fetch('https://api.todoist.com/rest/v2/labels', { headers })
-  ]);
-  if (!pRes.ok) throw new Error(`Projects ${pRes.status}`);
-  if (!lRes.ok) throw new Error(`Labels ${lRes.status}`);
-  const projects = await pRes.json();
-  const labels = await lRes.json();
-  const refs = { projects, labels, sections: {} };
-  try { ensureDir(dir); fs.writeFileSync(file, JSON.stringify(refs), 'utf8'); } catch {}
+function saveRefs(token, refs) {
+  try { const { dir, file } = cachePaths(token); ensureDir(dir); fs.writeFileSync(file, JSON.stringify(refs), 'utf8'); } catch {}
+}
+
+function emptyRefs() {
+  return { projects: [], labels: [], sections: {}, collaborators: [], collaboratorStates: [], syncToken: null, syncedAt: 0 };
+}
+
+// Upserts changed items by key and drops the ones the sync reports as gone
+function mergeById(list, changes, gone, key = (x) => String(x.id)) {
+  const map = new Map((list || []).map((x) => [key(x), x]));
+  for (const c of changes || []) {
+    if (gone(c)) map.delete(key(c));
+    else map.set(key(c), c);
+  }
+  return Array.from(map.values());
+}
+
+// Applies a sync response to refs in place; a full sync starts from scratch
+function applySync(refs, data) {
+  const base = data.full_sync ? emptyRefs() : refs;
+  const removed = (x) => !!(x.is_deleted || x.is_archived);
+  // The API calls it inbox_project; REST v2 used is_inbox_project, which the rest of this file reads
+  const projects = mergeById(base.projects, (data.projects || []).map((p) => ({ ...p, is_inbox_project: !!(p.inbox_project ?? p.is_inbox_project) })), removed);
+  const sectionList = mergeById(Object.values(base.sections || {}).flat(), data.sections, removed);
+  const sections = Object.fromEntries(projects.map((p) => [String(p.id), []]));
+  for (const sec of sectionList) if (sections[String(sec.project_id)]) sections[String(sec.project_id)].push(sec);
+  Object.assign(refs, {
+    projects,
+    sections,
+    labels: mergeById(base.labels, data.labels, removed),
+    collaborators: mergeById(base.collaborators, data.collaborators, () => false),
+    collaboratorStates: mergeById(base.collaboratorStates, data.collaborator_states, (c) => c.state === 'deleted' || c.is_deleted, (c) => `${c.project_id}:${c.user_id}`),
+    syncToken: data.sync_token,
+    syncedAt: Date.now()
+  });
+  return refs;
+}
+
+async function syncRefs(token, refs) {
+  const data = await todoistSync(token, refs.syncToken || '*', SYNC_RESOURCES);
+  const changes = SYNC_RESOURCES.reduce((n, r) => n + (data[r]?.length || 0), 0);
+  applySync(refs, data);
+  saveRefs(token, refs);
+  log(data.full_sync ? `🔄 Todoist full sync: ${refs.projects.length} projects, ${refs.labels.length} labels` : `🔄 Todoist sync: ${changes} change${changes === 1 ? '' : 's'}`);
+  return refs;
+}
+
+// Syncs when the cache is older than TODOIST_CACHE_TTL_MS (default 5 min) or when forced; if Todoist
+// can't be reached the last synced state is used
+async function getTodoistRefs(token, { force = false } = {}) {
+  const { file } = cachePaths(token);
+  let refs = null;
+  try { refs = JSON.parse(fs.readFileSync(file, 'utf8')); } catch {}
+  if (!refs?.syncToken) refs = emptyRefs();
+  const maxAgeMs = parseInt(process.env.TODOIST_CACHE_TTL_MS || '300000', 10);
+  if (force || Date.now() - (refs.syncedAt || 0) >= maxAgeMs) {
+    try { await syncRefs(token, refs); }
+    catch (e) {
+      if (!refs.syncToken) throw e;
+      log(`⚠️ Todoist sync failed; using cached projects and labels: ${e.message}`);
+    }
+  }
   return refs;
 }
 
+// A name that isn't in the cache may have been created since the last sync. Sync (at most every 10 s)
+// and return true so the caller looks again.
+async function refreshOnMiss(token, refs, what) {
+  if (!token || !refs || Date.now() - (refs.syncedAt || 0) < SYNC_MISS_INTERVAL_MS) return false;
+  log(`🔄 ${what} not in cache; syncing with Todoist`);
+  try { await syncRefs(token, refs); return true; } catch (e) { log(`⚠️ Todoist sync failed: ${e.message}`); return false; }
+}
+
 async function ensureSections(token, refs, projectId) {
   if (!projectId) return;
   if (refs.sections[projectId]) return;
-  const headers = { Authorization: `Bearer ${token}` };
-  const r = await fetch(`https://api.todoist.com/rest/v2/sections?project_id=${projectId}`, { headers });
-  if (!r.ok) throw new Error(`Sections ${r.status}`);
-  const s = await r.json();
-  refs.sections[projectId] = s;
-  try { const { file } = cachePaths(); fs.writeFileSync(file, JSON.stringify(refs), 'utf8'); } catch {}
+  refs.sections[projectId] = await todoistList(token, '/sections', { project_id: projectId });
+  saveRefs(token, refs);
 }
 
 async function prefetchSomeSections(token, refs, maxProjects = 6) {
@@ -201,296 +518,2335 @@ function buildSectionsDoc(refs, maxProjects = 6) {
   } catch { return ''; }
 }
 
-function matchProjectId(name, projects) {
-  if (!name) return null;
-  const n = String(name).trim().toLowerCase();
-  const found = (projects || []).find((p) => String(p.name || '').trim().toLowerCase() === n);
-  return found ? found.id : null;
-}
-
-function matchSectionId(name, projectId, sectionsByProject) {
-  if (!name || !projectId) return undefined;
-  const list = sectionsByProject[projectId] || [];
-  const n = String(name).trim().toLowerCase();
-  const found = list.find((s) => String(s.name || '').trim().toLowerCase() === n);
-  return found ? found.id : undefined;
-}
-
-function mapLabelNamesToIds(names = [], labels = []) {
-  if (!Array.isArray(names) || names.length === 0) return [];
-  const map = new Map(labels.map((l) => [String(l.name || '').trim().toLowerCase(), l.id]));
-  const out = [];
-  for (const raw of names) {
-    const id = map.get(String(raw || '').trim().toLowerCase());
-    if (id) out.push(id);
-  }
-  return out;
-}
-
 async function ensureLabels(token, requestedNames = [], refs) {
-  const existingMap = new Map((refs.labels || []).map((l) => [String(l.name || '').trim().toLowerCase(), l]));
+  const known = () => new Map((refs.labels || []).map((l) => [String(l.name || '').trim().toLowerCase(), l]));
+  const missing = requestedNames.find((n) => String(n || '').trim() && !known().has(String(n).trim().toLowerCase()));
+  // Another device may have created it already; creating it again would make a second label
+  if (missing) await refreshOnMiss(token, refs, `Label "${missing}"`);
+  const existingMap = known();
   const created = [];
   for (const raw of requestedNames) {
     const name = String(raw || '').trim();
     if (!name) continue;
     const key = name.toLowerCase();
     if (existingMap.has(key)) continue;
-    const res = await fetch('https://api.todoist.com/rest/v2/labels', {
-      method: 'POST',
-      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name })
-    });
-    if (res.ok) {
-      const lbl = await res.json();
+    try {
+      const lbl = await todoistRequest(token, '/labels', { method: 'POST', body: { name } });
       refs.labels.push(lbl);
       existingMap.set(key, lbl);
       created.push(lbl);
-      try { const { file } = cachePaths(); fs.writeFileSync(file, JSON.stringify(refs), 'utf8'); } catch {}
+      saveRefs(token, refs);
       log(`🏷️ Created Todoist label: ${lbl.name}`);
-    } else {
-      const t = await res.text().catch(() => '');
-      log(`⚠️ Failed to create label '${name}': ${res.status} ${t}`);
+    } catch (e) {
+      log(`⚠️ Failed to create label '${name}': ${e.message}`);
     }
   }
   return created;
 }
 
-function clampPriority(p) {
-  const n = parseInt(p, 10);
-  return Number.isFinite(n) ? Math.min(4, Math.max(1, n)) : undefined;
+// Collaborators of a shared project; the Inbox and personal projects have none
+function projectCollaborators(refs, projectId) {
+  const ids = new Set((refs.collaboratorStates || []).filter((s) => String(s.project_id) === String(projectId) && s.state === 'active').map((s) => String(s.user_id)));
+  return (refs.collaborators || []).filter((c) => ids.has(String(c.id)));
 }
 
-// ---------- Anthropic ----------
+// A spoken assignee resolved against the task's project: { id, name }, or { reason } when it can't be
+async function resolveAssignee(token, refs, projectId, name) {
+  if (!projectId) return { reason: "the Inbox can't be shared" };
+  const project = (refs.projects || []).find((p) => String(p.id) === String(projectId))?.name || 'the project';
+  const find = () => matchPeople(name, projectCollaborators(refs, projectId));
+  let hits = find();
+  // Someone may have joined the project since the last sync
+  if (!hits.length && await refreshOnMiss(token, refs, `Collaborator "${name}"`)) hits = find();
+  if (!hits.length) return { reason: projectCollaborators(refs, projectId).length ? `nobody on ${project} matches` : `${project} isn't shared` };
+  const label = (p) => String(p.full_name || p.name || p.email);
+  if (hits[1] && hits[0].score - hits[1].score < 0.1) return { reason: `could be ${label(hits[0].person)} or ${label(hits[1].person)}` };
+  return { id: String(hits[0].person.id), name: label(hits[0].person) };
+}
 
-async function analyzeTranscription({ transcription }) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) throw new Error('ANTHROPIC_API_KEY not set');
-  const model = process.env.VOICE_NOTE_MODEL || process.env.ANTHROPIC_MODEL || 'claude-3-7-sonnet-20250219';
+// Reminders go through sync commands; their uuids derive from the task's request id so a retry can't
+// add them twice
+function reminderCommands(taskId, reminders, requestId) {
+  return reminders.map((r, i) => ({
+    type: 'reminder_add',
+    uuid: stableRequestId(requestId, `reminder.${i}`),
+    args: r.minutes_before !== undefined ? { item_id: taskId, type: 'relative', minute_offset: r.minutes_before } : { item_id: taskId, type: 'absolute', due: { string: r.at } }
+  }));
+}
 
-  // Optional grounding from Todoist
-  let projectsList = [];
-  let labelsList = [];
-  let sectionsDoc = '';
+// Returns a warning for each reminder Todoist rejected (reminders need Todoist Pro)
+async function addReminders(token, taskId, reminders, requestId) {
+  const describe = (r) => (r.minutes_before !== undefined ? `${r.minutes_before} min before` : `at ${r.at}`);
   try {
-    if (process.env.TODOIST_API_TOKEN) {
-      const refs = await getTodoistRefs(process.env.TODOIST_API_TOKEN);
-      projectsList = (refs.projects || []).map((p) => p.name).slice(0, 100);
-      labelsList = (refs.labels || []).map((l) => l.name).slice(0, 200);
-      // Prefetch sections for first N projects to provide richer context
-      const maxProjects = parseInt(process.env.VOICE_NOTE_SECTIONS_PREFETCH || '6', 10);
-      await prefetchSomeSections(process.env.TODOIST_API_TOKEN, refs, maxProjects);
-      sectionsDoc = buildSectionsDoc(refs, maxProjects);
-    }
-  } catch {}
+    const errors = await todoistCommands(token, reminderCommands(String(taskId), reminders, requestId));
+    reminders.forEach((r, i) => { if (!errors[i]) log(`⏰ Reminder ${describe(r)}`); });
+    return reminders.flatMap((r, i) => (errors[i] ? [`reminder ${describe(r)} not set: ${errors[i]}`] : []));
+  } catch (e) {
+    return [`reminders not set: ${e.message}`];
+  }
+}
 
-  const sys = [
-    'You extract structured task info from short voice transcriptions.',
-    'Return strict JSON only. Do not include extra text.',
-    'If unsure, leave fields empty or conservative.',
-    'priority uses Todoist scale 1(low)–4(high).',
-    projectsList.length ? `Projects: ${projectsList.join(' | ')}` : '',
-    labelsList.length ? `Labels: ${labelsList.join(' | ')}` : '',
-    sectionsDoc ? `Sections by Project:\n${sectionsDoc}` : '',
-    'Rules: If a section clearly matches the intent (e.g., "upcoming bills"), set sectionName exactly as listed for the chosen project. Otherwise use null.'
-  ].filter(Boolean).join('\n');
+function clampPriority(p) {
+  const n = parseInt(p, 10);
+  return Number.isFinite(n) ? Math.min(4, Math.max(1, n)) : undefined;
+}
 
-  const user = `Transcription:\n${transcription}\n\nRespond with JSON exactly matching this schema:\n{\n  "title": string,\n  "description": string | null,\n  "category": "meetings|ideas|tasks|personal|support|documentation|misc",\n  "projectName": string | null,\n  "sectionName": string | null,\n  "labels": string[],\n  "priority": 1|2|3|4 | null,\n  "due_string": string | null,\n  "urls": string[]\n}`;
+// ---------- Project & section matching ----------
+// Keep in sync with extension/src/lib/matching.ts
 
-  const respRaw = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'content-type': 'application/json'
-    },
-    body: JSON.stringify({ model, max_tokens: 400, system: sys, messages: [{ role: 'user', content: user }], temperature: 0 })
-  });
-  if (!respRaw.ok) {
-    const t = await respRaw.text().catch(() => '');
-    throw new Error(`Anthropic error ${respRaw.status}: ${t}`);
-  }
-  const resp = await respRaw.json();
-  let json = {};
-  try { json = JSON.parse(resp.content?.[0]?.text || '{}'); }
-  catch {
-    try { const m = String(resp.content?.[0]?.text || '').match(/\{[\s\S]*\}/); if (m) json = JSON.parse(m[0]); } catch {}
-  }
-  if (!json.title) json.title = transcription.split('\n')[0].slice(0, 120);
-  if (!json.category) json.category = 'misc';
-  // Apply optional heuristic rules from tools/voice-note-rules.json
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+function matchThreshold() {
+  const n = parseFloat(process.env.VOICE_NOTE_MATCH_THRESHOLD || '');
+  return Number.isFinite(n) && n > 0 && n <= 1 ? n : DEFAULT_MATCH_THRESHOLD;
+}
+
+// "projectAliases" in voice-note-rules.json: { "client work": "Work/Clients", "wpf": "WPFusion 🔌" }.
+// Read once per capture (processCapture clears it), so a running server sees edits.
+let aliasCache;
+function loadProjectAliases() {
+  if (aliasCache !== undefined) return aliasCache;
+  aliasCache = {};
   try {
-    const rules = loadRules();
-    if (rules) json = applyRules({ transcription, enriched: json, rules });
+    const p = path.join(resolveRepoRoot(), 'tools', 'voice-note-rules.json');
+    const json = fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, 'utf8')) : null;
+    if (json && json.projectAliases && typeof json.projectAliases === 'object') aliasCache = json.projectAliases;
   } catch {}
-  return { enriched: json, category: json.category };
+  return aliasCache;
 }
 
-// ---------- Main Flow ----------
-
-async function captureClipboardTranscription() {
-  const sentinel = `__VOICE_NOTE_WAIT_${Math.random().toString(36).slice(2)}_${Date.now()}__`;
-  const original = pbpaste();
-  pbcopy(sentinel);
+function squash(s) { return normalize(s).replace(/ /g, ''); }
 
-  // Launch SuperWhisper toggle
-  openUrl('raycast://extensions/nchudleigh/superwhisper/toggle-record');
-  log('Recording started; waiting for SuperWhisper to finish...');
+// Word set with a naive plural strip so "client" finds "Clients"
+function wordSet(s) {
+  return new Set(normalize(s).split(' ').filter(Boolean).map((w) => (w.length > 3 ? w.replace(/s$/, '') : w)));
+}
 
-  // Wait for SuperWhisper to finish by watching its recordings folder for a new item
-  const stopDetected = await waitForSuperwhisperStop(10 * 60_000); // up to 10 minutes
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    prev = cur;
+  }
+  return prev[b.length];
+}
 
-  // After stop, capture the clipboard change (SuperWhisper copies transcription)
-  log('Recording finished; waiting for clipboard update...');
-  const captured = await waitForClipboardChangeFromSentinel(sentinel, 20_000); // 20s window after stop
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
 
-  // Restore original clipboard
-  await sleep(1200);
-  pbcopy(original);
-  log('Restored original clipboard content');
+// Scores one spoken name against one Todoist name, ignoring case, emoji and punctuation
+function nameScore(query, name) {
+  const q = normalize(query);
+  const n = normalize(name);
+  if (!q || !n) return { score: String(query).trim().toLowerCase() === String(name).trim().toLowerCase() ? 1 : 0, via: 'exact' };
+  if (q === n) return { score: 1, via: 'exact' };
+  if (squash(query) === squash(name)) return { score: 0.95, via: 'punctuation' };
+  return { score: similarity(squash(query), squash(name)), via: 'similarity' };
+}
 
-  if (!captured) {
-    notify('⚠️ Voice Note Error', 'No new clipboard content detected');
-    throw new Error('Timeout waiting for transcription');
-  }
-  return captured.trim();
+function splitProjectPath(name) {
+  return String(name || '').split(/\s*(?:\/|›|>)\s*/).map((s) => s.trim()).filter(Boolean);
 }
 
-function listDirNamesSafe(dir) {
-  try { return fs.readdirSync(dir).filter(Boolean); } catch { return []; }
+// Full parent/child name chain for every project, e.g. ["Work", "Clients", "Acme"]
+function projectPaths(projects = []) {
+  const byId = new Map(projects.map((p) => [String(p.id), p]));
+  const chain = (p) => {
+    const out = [p.name];
+    const seen = new Set([String(p.id)]);
+    let parent = p.parent_id ? byId.get(String(p.parent_id)) : null;
+    while (parent && !seen.has(String(parent.id))) {
+      out.unshift(parent.name);
+      seen.add(String(parent.id));
+      parent = parent.parent_id ? byId.get(String(parent.parent_id)) : null;
+    }
+    return out;
+  };
+  return projects.map((p) => ({ project: p, path: chain(p) }));
 }
 
-async function waitForSuperwhisperStop(timeoutMs = 600_000) {
-  const base = path.join(os.homedir(), 'Documents', 'SuperWhisper', 'recordings');
-  if (!fs.existsSync(base)) {
-    log('ℹ️ SuperWhisper recordings dir not found; skipping stop detection.');
-    return null;
+function scoreProjectPath(parts, chain) {
+  // "Work/Clients/Acme" or just its tail "Clients/Acme": every segment has to line up
+  if (parts.length > 1) {
+    if (parts.length > chain.length) return { score: 0, via: 'path' };
+    const tail = chain.slice(-parts.length);
+    return { score: Math.min(...parts.map((q, i) => nameScore(q, tail[i]).score)), via: 'path' };
   }
-  const baseline = new Set(listDirNamesSafe(base));
-  const start = Date.now();
-  const interval = 200;
-  if (baseline.size === 0) log('ℹ️ SuperWhisper recordings dir baseline is empty.');
-  while (Date.now() - start < timeoutMs) {
-    const names = listDirNamesSafe(base);
-    const added = names.find(n => !baseline.has(n));
-    if (added) {
-      // Optional settle: give the OS a moment to flush file writes
-      await sleep(500);
-      log(`Detected new SuperWhisper recording: ${added}`);
-      return { name: added, base };
-    }
-    await sleep(interval);
+  const own = nameScore(parts[0], chain[chain.length - 1]);
+  // "client work" → Work › Clients: every spoken word is somewhere in the path, including the leaf
+  if (chain.length > 1 && own.score < 0.9) {
+    const words = wordSet(parts[0]);
+    const pathWords = wordSet(chain.join(' '));
+    const leaf = wordSet(chain[chain.length - 1]);
+    if (words.size > 1 && [...words].every((w) => pathWords.has(w)) && [...leaf].every((w) => words.has(w))) return { score: 0.9, via: 'path words' };
   }
-  log('⚠️ Timeout waiting for SuperWhisper stop event; proceeding to clipboard capture anyway.');
-  return null;
+  return own;
 }
 
-async function waitForClipboardChangeFromSentinel(sentinel, timeoutMs = 20_000) {
-  const start = Date.now();
-  const interval = 80;
-  let last = sentinel;
-  while (Date.now() - start < timeoutMs) {
-    const cur = pbpaste();
-    if (cur && cur !== sentinel && cur !== last && cur.length >= 8) {
-      await sleep(200);
-      const cur2 = pbpaste();
-      return (cur2 && cur2.length >= cur.length) ? cur2 : cur;
+/*
+  Finds the Todoist project a spoken or model-suggested name refers to. Tries aliases first,
+  then exact names, names without emoji/punctuation, parent/child paths and finally edit-distance
+  similarity. Returns { id, name, path, score, via } or null below the threshold; ties go to the
+  shallower project.
+*/
+function matchProject(name, projects, { aliases = loadProjectAliases(), threshold = matchThreshold() } = {}) {
+  if (!name || !Array.isArray(projects) || !projects.length) return null;
+  const query = String(name).trim();
+  const alias = Object.keys(aliases || {}).find((k) => normalize(k) === normalize(query) && normalize(k));
+  if (alias) {
+    const hit = matchProject(aliases[alias], projects, { aliases: {}, threshold });
+    if (hit) return { ...hit, score: 1, via: `alias "${alias}"` };
+  }
+  const parts = splitProjectPath(query);
+  if (!parts.length) return null;
+  let best = null;
+  for (const { project, path: chain } of projectPaths(projects)) {
+    const { score, via } = scoreProjectPath(parts, chain);
+    if (!best || score > best.score || (score === best.score && chain.length < best.path.length)) {
+      best = { id: project.id, name: project.name, path: chain, score, via };
     }
-    last = cur;
-    await sleep(interval);
   }
-  return '';
+  return best && best.score >= threshold ? best : null;
 }
 
-async function maybeAddToTodoist({ transcription, category, analysis }) {
-  const token = process.env.TODOIST_API_TOKEN;
-  if (!token) { log('ℹ️ Todoist not configured (set TODOIST_API_TOKEN). Skipping.'); return; }
-  const explicitProjectId = process.env.TODOIST_VOICE_PROJECT_ID || null;
+function matchProjectId(name, projects) {
+  const hit = matchProject(name, projects);
+  return hit ? hit.id : null;
+}
 
-  const { projectName, sectionName, labels = [], priority, due_string, title, description, urls = [] } = analysis?.enriched || {};
+function matchSectionId(name, projectId, sectionsByProject) {
+  if (!name || !projectId) return undefined;
+  let best = null;
+  for (const s of sectionsByProject[projectId] || []) {
+    const { score } = nameScore(name, s.name || '');
+    if (!best || score > best.score) best = { id: s.id, score };
+  }
+  return best && best.score >= matchThreshold() ? best.id : undefined;
+}
 
-  const refs = await getTodoistRefs(token);
-  // Always include a 'Voice' label plus AI-suggested labels
-  const desiredLabels = Array.from(new Set(['Voice', ...labels].filter(Boolean)));
-  await ensureLabels(token, desiredLabels, refs).catch(() => {});
+// Collaborators whose full name, first name or email (before the @) is close to a spoken name,
+// best first. Callers treat two hits with nearly the same score as ambiguous.
+function matchPeople(name, people) {
+  if (!name) return [];
+  return people
+    .map((person) => {
+      const full = String(person.full_name || person.name || '');
+      const names = [full, full.split(' ')[0], String(person.email || '').split('@')[0]].filter(Boolean);
+      return { person, score: Math.max(0, ...names.map((n) => nameScore(name, n).score)) };
+    })
+    .filter((m) => m.score >= matchThreshold())
+    .sort((a, b) => b.score - a.score);
+}
 
-  const projectId = explicitProjectId || matchProjectId(projectName, refs.projects) || null;
-  if (projectId && sectionName) await ensureSections(token, refs, projectId).catch(() => {});
-  const sectionId = projectId ? matchSectionId(sectionName, projectId, refs.sections) : undefined;
-  const labelIds = mapLabelNamesToIds(desiredLabels, refs.labels); // kept for possible future use
+// Name the model should use for a matched project: the plain name, or the path when it is ambiguous
+function projectLabel(hit, projects) {
+  const dupes = (projects || []).filter((p) => normalize(p.name) === normalize(hit.name)).length;
+  return dupes > 1 ? hit.path.join('/') : hit.name;
+}
 
-  const fallbackTitle = transcription.split('\n')[0].slice(0, 120);
-  const content = `${title || fallbackTitle}`.trim();
+function logProjectMatch(name, hit) {
+  if (!name) return;
+  if (hit) log(`🎯 Project "${name}" → ${hit.path.join('/')} (${hit.score.toFixed(2)}, ${hit.via})`);
+  else log(`🎯 Project "${name}" → no match above ${matchThreshold()}`);
+}
 
-  let desc = description || '';
-  if (!desc) desc = transcription;
-  if (urls && urls.length) desc += `\n\nLinks:\n- ${urls.join('\n- ')}`;
+// Projects as an indented tree so the model sees (and can name) sub-projects
+function buildProjectsDoc(refs, maxLines = 300) {
+  try {
+    const projects = refs.projects || [];
+    const ids = new Set(projects.map((p) => String(p.id)));
+    const children = new Map();
+    for (const p of projects) {
+      const key = p.parent_id && ids.has(String(p.parent_id)) ? String(p.parent_id) : '';
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(p);
+    }
+    const out = [];
+    const walk = (key, depth) => {
+      for (const p of children.get(key) || []) {
+        if (out.length >= maxLines) return;
+        out.push(`${'  '.repeat(depth)}- ${p.name}`);
+        if (depth < 8) walk(String(p.id), depth + 1);
+      }
+    };
+    walk('', 0);
+    return out.join('\n');
+  } catch { return ''; }
+}
 
-  // If no section suggested, try fuzzy match against existing section names
-  let finalSectionId = sectionId;
-  if (projectId && !finalSectionId) {
-    try { await ensureSections(token, refs, projectId); } catch {}
-    const guessed = guessSectionIdFromContent({ transcription, analysis, projectId, refs });
-    if (guessed) finalSectionId = guessed;
-  }
+// ---------- Duplicate detection ----------
+// Keep in sync with extension/src/lib/duplicates.ts
 
-  const common = {
-    priority: clampPriority(priority),
-    description: desc,
-    ...(projectId ? { project_id: projectId } : {}),
-    ...(projectId && finalSectionId ? { section_id: finalSectionId } : {}),
-    // Use label names for REST v2 compatibility
-    ...(desiredLabels.length ? { labels: desiredLabels } : {}),
-  };
+// comment: add the new transcript to the existing task; bump: raise its priority / move its due
+// date; create: post a new task anyway (the match is still logged); off: don't look at all
+const DUPLICATE_POLICIES = ['comment', 'bump', 'create', 'off'];
 
-  // Always use /tasks with due_string for reliability (accepts project/section/labels/description)
-  const url = 'https://api.todoist.com/rest/v2/tasks';
-  const body = { content, ...(due_string ? { due_string } : {}), ...common };
+function duplicatePolicy() {
+  const p = String(process.env.VOICE_NOTE_DUPLICATES || 'comment').trim().toLowerCase();
+  return DUPLICATE_POLICIES.includes(p) ? p : 'comment';
+}
 
-  try { log(`[Todoist] POST /tasks body: ${JSON.stringify(body).slice(0,300)}${JSON.stringify(body).length>300?'…':''}`); } catch {}
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', 'X-Request-Id': `${Date.now()}-${Math.random().toString(36).slice(2)}` },
-    body: JSON.stringify(body)
-  });
-  if (!res.ok) { const t = await res.text().catch(() => ''); throw new Error(`Todoist error ${res.status}: ${t}`); }
-  const task = await res.json();
-  const projName = projectId ? (refs.projects.find(p => p.id === projectId)?.name || 'Project') : 'Inbox';
-  const sectName = (projectId && (finalSectionId || sectionId)) ? (refs.sections[projectId]?.find(s => s.id === (finalSectionId || sectionId))?.name || '') : '';
-  const where = sectName ? `${projName} › ${sectName}` : projName;
-  log(`🧾 Todoist task created: ${task.id} (${where}, ${category})`);
-  // Return info for notification
-  return { task, where };
+function duplicateThreshold() {
+  const n = parseFloat(process.env.VOICE_NOTE_DUPLICATE_THRESHOLD || '');
+  return Number.isFinite(n) && n > 0 && n <= 1 ? n : 0.85;
 }
 
-async function main() {
-  loadEnv();
+// Word overlap (Dice) so reordered phrasings still count: "renew domain" vs "domain renewal"
+function wordOverlap(a, b) {
+  const A = wordSet(a);
+  const B = wordSet(b);
+  if (!A.size || !B.size) return 0;
+  let shared = 0;
+  for (const w of A) if (B.has(w)) shared++;
+  return (2 * shared) / (A.size + B.size);
+}
 
-  const transcription = await captureClipboardTranscription();
-  log(`📝 Processing: "${transcription.substring(0, 50)}..."`);
+function taskSimilarity(item, existing) {
+  const title = Math.max(similarity(squash(item.title), squash(existing.content)), wordOverlap(item.title, existing.content));
+  if (!item.description || !existing.description) return title;
+  // Matching descriptions can lift a borderline title, never sink a good one
+  return Math.max(title, 0.75 * title + 0.25 * wordOverlap(item.description, existing.description));
+}
 
-  const analysis = await analyzeTranscription({ transcription });
-  const category = (analysis.category || 'misc').toLowerCase();
-  const catCap = category.charAt(0).toUpperCase() + category.slice(1);
+// Open tasks per project, fetched once per capture: processCapture clears them, so a server's
+// next capture sees the tasks the last one created or completed
+const openTasksCache = new Map();
+async function getOpenTasks(token, projectId) {
+  if (openTasksCache.has(projectId)) return openTasksCache.get(projectId);
+  const tasks = await todoistList(token, '/tasks', { project_id: projectId });
+  openTasksCache.set(projectId, tasks);
+  return tasks;
+}
 
-  const baseDir = path.join(os.homedir(), 'Documents', 'Voice Notes');
-  const categoryDir = path.join(baseDir, catCap);
-  ensureDir(categoryDir);
-  const ts = new Date().toISOString().replace(/[:.]/g, '-').substring(0, 19);
-  const fp = path.join(categoryDir, `${ts}.txt`);
-  try { fs.writeFileSync(fp, transcription); } catch {}
-  log(`✅ Saved to: ${catCap}/${ts}.txt`);
+async function findDuplicate({ token, refs, projectId, item }) {
+  // Tasks without a project land in the Inbox, so that's where a duplicate would be
+  const pid = projectId || (refs.projects || []).find((p) => p.is_inbox_project)?.id;
+  if (!token || !pid || !item?.title) return null;
+  let best = null;
+  for (const t of await getOpenTasks(token, pid)) {
+    const score = taskSimilarity(item, t);
+    if (!best || score > best.score) best = { task: t, score };
+  }
+  return best && best.score >= duplicateThreshold() ? best : null;
+}
+
+/*
+  Applies the duplicate policy to an existing task instead of creating a new one. Returns the
+  same shape as createTodoistTask plus `merged` ('comment' | 'bump'), or null to create anyway.
+  A bump with nothing to raise falls back to a comment so the re-dictation isn't lost.
+*/
+async function mergeIntoDuplicate({ token, refs, projectId, item, transcription, single, where, requestId, dryRun }) {
+  const policy = duplicatePolicy();
+  if (policy === 'off') return null;
+  let dup = null;
+  try { dup = await findDuplicate({ token, refs, projectId, item }); } catch (e) { log(`⚠️ Duplicate check failed: ${e.message}`); }
+  if (!dup) return null;
+  const existing = dup.task;
+  log(`👯 "${item.title}" looks like existing task ${existing.id} "${existing.content}" (${dup.score.toFixed(2)})`);
+  if (policy === 'create') return null;
+
+  const task = { id: existing.id, content: existing.content, url: existing.url || taskUrl(existing.id) };
+  let merged = 'comment';
+  let apiPath = '/comments';
+  let body = { task_id: existing.id, content: `🎙️ Dictated again:\n${(single && transcription) || [item.title, item.description].filter(Boolean).join('\n\n')}` };
+  if (policy === 'bump') {
+    const priority = clampPriority(item.priority);
+    const update = {
+      ...(priority && priority > (existing.priority || 1) ? { priority } : {}),
+      ...(item.due_string && item.due_string !== existing.due?.string ? { due_string: item.due_string } : {})
+    };
+    if (Object.keys(update).length) {
+      merged = 'bump';
+      apiPath = `/tasks/${existing.id}`;
+      body = update;
+    }
+  }
+
+  if (dryRun) return { task, where, merged, request: { method: 'POST', url: `${TODOIST_API}${apiPath}`, headers: { 'Content-Type': 'application/json', 'X-Request-Id': requestId }, body } };
+  await todoistRequest(token, apiPath, { method: 'POST', body, requestId });
+  log(`🔁 Merged into existing task ${existing.id} (${merged === 'bump' ? `updated ${Object.keys(body).join(', ')}` : 'comment added'})`);
+  return { task, where, merged };
+}
+
+// ---------- Actions on existing tasks ----------
+// Keep in sync with extension/src/lib/actions.ts
+
+const ACTION_MIN_SCORE = 0.7;
+const ACTION_MIN_MARGIN = 0.1;
+const TARGET_STOPWORDS = new Set(['the', 'a', 'an', 'task', 'todo', 'thing', 'my', 'to', 'for', 'of', 'about', 'on']);
+const ACTION_TITLES = { complete: '✅ Task Completed', update: '📅 Task Updated', comment: '💬 Comment Added' };
+
+function targetWords(target) {
+  return [...wordSet(target)].filter((w) => !TARGET_STOPWORDS.has(w));
+}
+
+// Mostly how much of the spoken target a title covers: "acme invoice" → "Send Acme invoice for October"
+function targetScore(target, content) {
+  const words = targetWords(target);
+  if (!words.length) return 0;
+  const have = wordSet(content);
+  const covered = words.filter((w) => have.has(w)).length / words.length;
+  return Math.max(0.9 * covered, wordOverlap(target, content), similarity(squash(target), squash(content)));
+}
+
+async function searchActiveTasks(token, target, projectId) {
+  // Todoist's own search first. It needs every word to appear, so when it finds nothing in the named
+  // project every open task of that project is scored instead; never the whole account, which is slow
+  // and rate-limited on large ones
+  const filter = targetWords(target).map((w) => `search: ${w}`).join(' & ');
+  const found = filter ? await todoistList(token, '/tasks/filter', { query: filter }).catch(() => []) : [];
+  if (!projectId) return found;
+  const inProject = found.filter((t) => String(t.project_id) === String(projectId));
+  return inProject.length ? inProject : todoistList(token, '/tasks', { project_id: projectId });
+}
+
+async function findTargetTask({ token, refs, action }) {
+  const project = action.projectName ? matchProject(action.projectName, refs.projects) : null;
+  const ranked = (await searchActiveTasks(token, action.target, project?.id))
+    .map((task) => ({ task, score: targetScore(action.target, task.content) }))
+    .sort((a, b) => b.score - a.score);
+  const [best, next] = ranked;
+  if (!best || best.score < ACTION_MIN_SCORE) return { reason: `no open task matches "${action.target}"` };
+  if (next && best.score - next.score < ACTION_MIN_MARGIN) return { reason: `"${action.target}" could be "${best.task.content}" or "${next.task.content}"` };
+  return best;
+}
+
+/*
+  Carries out a complete/update/comment intent on the one open task it clearly refers to.
+  Returns { type, task, where, change } (plus `request` on a dry run), or null when the target
+  can't be found or is ambiguous so the caller creates a task instead.
+*/
+async function actOnExistingTask({ token, refs, intent, action, requestId = crypto.randomUUID(), dryRun = false }) {
+  let found;
+  try { found = await findTargetTask({ token, refs, action }); } catch (e) { log(`⚠️ Task search failed: ${e.message}`); return null; }
+  if (!found.task) { log(`🤷 Not acting on an existing task: ${found.reason}; creating one instead`); return null; }
+  const t = found.task;
+  log(`🔎 ${intent} → task ${t.id} "${t.content}" (${found.score.toFixed(2)})`);
+
+  let apiPath = `/tasks/${t.id}/close`;
+  let body;
+  let change = 'completed';
+  if (intent === 'update') {
+    const priority = clampPriority(action.priority);
+    body = { ...(action.due_string ? { due_string: action.due_string } : {}), ...(priority ? { priority } : {}) };
+    apiPath = `/tasks/${t.id}`;
+    change = [action.due_string ? `due ${action.due_string}` : '', priority ? `priority ${priority}` : ''].filter(Boolean).join(', ');
+  } else if (intent === 'comment') {
+    body = { task_id: t.id, content: action.comment };
+    apiPath = '/comments';
+    change = 'comment added';
+  }
+  const where = (refs.projects || []).find((p) => String(p.id) === String(t.project_id))?.name || 'Todoist';
+  const task = { id: t.id, content: t.content, url: t.url || taskUrl(t.id) };
+  const headers = { ...(body ? { 'Content-Type': 'application/json' } : {}), 'X-Request-Id': requestId };
+  if (dryRun) return { type: intent, task, where, change, request: { method: 'POST', url: `${TODOIST_API}${apiPath}`, headers, ...(body ? { body } : {}) } };
+
+  await todoistRequest(token, apiPath, { method: 'POST', body, requestId });
+  log(`✏️ Existing task ${t.id} ${change}`);
+  return { type: intent, task, where, change };
+}
+
+// 'Completed "Acme invoice" (Work)', 'Updated "Dentist" (Personal): due friday'
+function summarizeAction(a) {
+  const name = `"${a.task.content}" (${a.where})`;
+  if (a.type === 'complete') return `Completed ${name}`;
+  if (a.type === 'comment') return `Commented on ${name}`;
+  return `Updated ${name}: ${a.change}`;
+}
+
+// ---------- Corrections ----------
+// Edits made in the extension's "Review Voice Task" form are appended here; the most recent
+// routing changes are fed back into the prompt. Keep in sync with extension/src/lib/corrections.ts
+
+const CORRECTIONS_FILE = path.join(os.homedir(), 'Documents', 'Voice Notes', '.corrections.jsonl');
+
+function readCorrections(limit = 8) {
+  try {
+    const lines = fs.readFileSync(CORRECTIONS_FILE, 'utf8').split('\n').filter(Boolean);
+    return lines.slice(-limit).map((l) => JSON.parse(l));
+  } catch { return []; }
+}
+
+// Title and description edits are specific to one note and left out
+function correctionsDoc(limit = 8) {
+  const out = [];
+  for (const c of readCorrections(limit)) {
+    const parts = Object.entries(c.changed || {})
+      .filter(([f]) => f !== 'title' && f !== 'description')
+      .map(([f, v]) => `${f} ${JSON.stringify(v?.from)} → ${JSON.stringify(v?.to)}`);
+    if (!parts.length) continue;
+    const snippet = String(c.transcript || '').replace(/\s+/g, ' ').slice(0, 80);
+    out.push(`- "${snippet}${String(c.transcript || '').length > 80 ? '…' : ''}": ${parts.join('; ')}`);
+  }
+  return out.join('\n');
+}
+
+// ---------- LLM providers ----------
+// VOICE_NOTE_PROVIDER picks the chat API: "anthropic" (default) or "openai" for any
+// OpenAI-compatible chat-completions server (OpenAI, Ollama, LM Studio, llama.cpp server).
+// VOICE_NOTE_BASE_URL points either one somewhere else, e.g. http://localhost:11434/v1.
+
+const LLM_PROVIDERS = {
+  anthropic: {
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-7-sonnet-20250219',
+    apiKey: () => process.env.ANTHROPIC_API_KEY || process.env.VOICE_NOTE_API_KEY,
+    keyRequired: true,
+    // With a schema, the model is forced to call a single tool whose input is the result
+    async complete({ baseUrl, apiKey, model, system, user, maxTokens, schema }) {
+      const tools = schema ? { tools: [{ name: 'record_result', description: 'Record the structured result.', input_schema: schema }], tool_choice: { type: 'tool', name: 'record_result' } } : {};
+      const res = await fetch(`${baseUrl}/messages`, {
+        method: 'POST',
+        headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01', 'content-type': 'application/json' },
+        body: JSON.stringify({ model, max_tokens: maxTokens, system, messages: [{ role: 'user', content: user }], temperature: 0, ...tools })
+      });
+      if (!res.ok) { const t = await res.text().catch(() => ''); throw new LlmHttpError(`Anthropic error ${res.status}: ${t}`, res.status); }
+      const resp = await res.json();
+      const toolUse = (resp.content || []).find((c) => c.type === 'tool_use');
+      return {
+        text: toolUse ? JSON.stringify(toolUse.input) : (resp.content || []).filter((c) => c.type === 'text' || c.text).map((c) => c.text).join(''),
+        usage: { input_tokens: resp.usage?.input_tokens || 0, output_tokens: resp.usage?.output_tokens || 0 },
+        truncated: resp.stop_reason === 'max_tokens'
+      };
+    }
+  },
+  openai: {
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    apiKey: () => process.env.VOICE_NOTE_API_KEY || process.env.OPENAI_API_KEY,
+    keyRequired: false, // local servers usually run without auth
+    async complete({ baseUrl, apiKey, model, system, user, maxTokens, schema }) {
+      const format = schema ? { response_format: { type: 'json_schema', json_schema: { name: 'result', schema } } } : {};
+      const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({ model, max_tokens: maxTokens, temperature: 0, messages: [{ role: 'system', content: system }, { role: 'user', content: user }], ...format })
+      });
+      if (!res.ok) { const t = await res.text().catch(() => ''); throw new LlmHttpError(`LLM error ${res.status} from ${baseUrl}: ${t}`, res.status); }
+      const resp = await res.json();
+      return {
+        text: resp.choices?.[0]?.message?.content || '',
+        usage: { input_tokens: resp.usage?.prompt_tokens || 0, output_tokens: resp.usage?.completion_tokens || 0 },
+        truncated: resp.choices?.[0]?.finish_reason === 'length'
+      };
+    }
+  }
+};
+
+class LlmHttpError extends Error {
+  constructor(message, status) { super(message); this.name = 'LlmHttpError'; this.status = status; }
+}
+
+// Asks for structured output; servers that reject the schema/tool parameters (HTTP 400/422)
+// are retried once with the plain prompt, which still spells out the JSON shape.
+async function completeStructured(llm, { system, user, maxTokens, schema }) {
+  const base = { baseUrl: llm.baseUrl, apiKey: llm.apiKey, model: llm.model, system, user, maxTokens };
+  if (process.env.VOICE_NOTE_STRUCTURED_OUTPUT === '0') return llm.provider.complete(base);
+  try { return await llm.provider.complete({ ...base, schema }); }
+  catch (e) {
+    if (!(e instanceof LlmHttpError) || (e.status !== 400 && e.status !== 422)) throw e;
+    log(`⚠️ ${llm.name} rejected structured output (${e.status}); retrying with a plain JSON prompt`);
+    return llm.provider.complete(base);
+  }
+}
+
+function resolveLlm() {
+  const name = (process.env.VOICE_NOTE_PROVIDER || 'anthropic').toLowerCase();
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown VOICE_NOTE_PROVIDER '${name}' (use ${Object.keys(LLM_PROVIDERS).join(' or ')})`);
+  const apiKey = provider.apiKey();
+  if (provider.keyRequired && !apiKey) throw new Error('ANTHROPIC_API_KEY not set');
+  const model = process.env.VOICE_NOTE_MODEL || (name === 'anthropic' ? process.env.ANTHROPIC_MODEL : '') || provider.defaultModel;
+  const baseUrl = String(process.env.VOICE_NOTE_BASE_URL || provider.defaultBaseUrl).replace(/\/+$/, '');
+  return { name, provider, apiKey, model, baseUrl };
+}
+
+// Room for a capture that lists a lot of tasks. A first pass that still runs out on a transcript of
+// LONG_TRANSCRIPT_CHARS or more is a recap too long to classify in one go, so it's taken as a meeting.
+const ANALYSIS_MAX_TOKENS = 4096;
+const LONG_TRANSCRIPT_CHARS = 4000;
+
+async function analyzeTranscription({ transcription, meeting = false }) {
+  const llm = resolveLlm();
+
+  // Optional grounding from Todoist
+  let refs = null;
+  let projectsDoc = '';
+  let labelsList = [];
+  let sectionsDoc = '';
+  try {
+    if (process.env.TODOIST_API_TOKEN) {
+      refs = await getTodoistRefs(process.env.TODOIST_API_TOKEN);
+      projectsDoc = buildProjectsDoc(refs);
+      labelsList = (refs.labels || []).map((l) => l.name).slice(0, 200);
+      // Prefetch sections for first N projects to provide richer context
+      const maxProjects = parseInt(process.env.VOICE_NOTE_SECTIONS_PREFETCH || '6', 10);
+      await prefetchSomeSections(process.env.TODOIST_API_TOKEN, refs, maxProjects);
+      sectionsDoc = buildSectionsDoc(refs, maxProjects);
+    }
+  } catch {}
+  if (meeting) return analyzeMeeting({ transcription, llm, refs });
+  const corrections = correctionsDoc();
+
+  const sys = [
+    'You extract structured task info from short voice transcriptions.',
+    'Return strict JSON only. Do not include extra text.',
+    'If unsure, leave fields empty or conservative.',
+    'priority uses Todoist scale 1(low)–4(high).',
+    `Today is ${new Date().toLocaleDateString('en-CA')} (${new Date().toLocaleDateString('en-US', { weekday: 'long' })}).`,
+    projectsDoc ? `Projects (indented under their parent):\n${projectsDoc}` : '',
+    projectsDoc ? 'Set projectName to a project name exactly as listed; for a sub-project whose name is not unique use its path, e.g. "Work/Clients".' : '',
+    labelsList.length ? `Labels: ${labelsList.join(' | ')}` : '',
+    sectionsDoc ? `Sections by Project:\n${sectionsDoc}` : '',
+    corrections ? `Corrections the user made to earlier results; make the same choices for similar notes:\n${corrections}` : '',
+    'Rules: If a section clearly matches the intent (e.g., "upcoming bills"), set sectionName exactly as listed for the chosen project. Otherwise use null.',
+    'A transcription may contain several independent tasks. Return one entry in "tasks" per task, in the order spoken.',
+    'Use "subtasks" only for steps that clearly belong to their parent task; otherwise leave it empty.',
+    'First decide the intent. "create" is for new tasks. Use "complete", "update" (reschedule or reprioritise) or "comment" only when the speaker refers to a task that already exists; then fill "action" with a short "target" made of key words from that task\'s title, plus the new due_string/priority or the comment text.',
+    'For those intents still put one entry in "tasks" describing the request as a new task; it is used if the existing task cannot be found.',
+    'Set "assignee" only when a task is handed to someone ("assign to Sarah"), using the name as spoken. "duration_minutes" is a time block ("block 45 minutes" → 45). "deadline" is a hard deadline as YYYY-MM-DD ("hard deadline the 30th"), separate from due_string, which is when to work on it. "reminders" holds "remind me …" requests: minutes_before for relative ones ("an hour before" → 60), or "at" with a date and time ("tomorrow at 9am").'
+  ].filter(Boolean).join('\n');
+
+  const user = `Transcription:\n${transcription}\n\nRespond with JSON exactly matching this schema:\n{\n  "category": "meetings|ideas|tasks|personal|support|documentation|misc",\n  "intent": "create|complete|update|comment",\n  "action": { "target": string, "projectName": string | null, "due_string": string | null, "priority": 1|2|3|4 | null, "comment": string | null } | null,\n  "tasks": [\n    {\n      "title": string,\n      "description": string | null,\n      "projectName": string | null,\n      "sectionName": string | null,\n      "labels": string[],\n      "priority": 1|2|3|4 | null,\n      "due_string": string | null,\n      "urls": string[],\n      "assignee": string | null,\n      "duration_minutes": number | null,\n      "deadline": "YYYY-MM-DD" | null,\n      "reminders": [{ "minutes_before": number | null, "at": string | null }],\n      "subtasks": [{ "title": string, "description": string | null, "labels": string[], "priority": 1|2|3|4 | null, "due_string": string | null }]\n    }\n  ]\n}`;
+
+  const usage = emptyUsage();
+  const { text, usage: firstUsage, truncated } = await completeStructured(llm, { system: sys, user, maxTokens: ANALYSIS_MAX_TOKENS, schema: ENRICHED_SCHEMA });
+  addUsage(usage, firstUsage);
+  log(`🤖 Analyzed with ${llm.name}/${llm.model}`);
+  let checked = await checkEnriched(text, refs);
+  // Not every server says it stopped at the limit, so unparseable output on a long transcript counts too
+  const meetingMinutes = process.env.VOICE_NOTE_MEETING_MINUTES !== '0';
+  if ((truncated || !checked.parsed) && transcription.length >= LONG_TRANSCRIPT_CHARS && meetingMinutes) {
+    log('✂️ The analysis was cut off on a long transcript; treating it as a meeting recap');
+    return analyzeMeeting({ transcription, llm, refs, usage });
+  }
+
+  // One repair round-trip: hand the model its own output plus the exact problems
+  if (checked.errors.length) {
+    log(`⚠️ Model output failed validation: ${checked.errors.join('; ')}`);
+    try {
+      const repairUser = `${user}\n\nYour previous answer was:\n${String(text || '').slice(0, 4000)}\n\nIt had these problems:\n- ${checked.errors.join('\n- ')}\n\nReturn corrected JSON only. Use null for any project or section that is not in the lists.`;
+      const repaired = await completeStructured(llm, { system: sys, user: repairUser, maxTokens: ANALYSIS_MAX_TOKENS, schema: ENRICHED_SCHEMA });
+      addUsage(usage, repaired.usage);
+      const recheck = await checkEnriched(repaired.text, refs);
+      if (recheck.parsed) checked = recheck;
+      log(recheck.errors.length ? `⚠️ Still invalid after repair: ${recheck.errors.join('; ')}` : '🔧 Repair round-trip fixed the model output');
+    } catch (e) { log(`⚠️ Repair round-trip failed: ${e.message}`); }
+  }
+  for (const m of checked.matches) logProjectMatch(m.value, m.hit);
+  for (const d of checked.dropped) log(`🗑️ Dropped ${d.path}${d.value !== undefined ? ` (${JSON.stringify(d.value)})` : ''}: ${d.reason}`);
+
+  const json = checked.value;
+  if (!checked.parsed) log('⚠️ No usable JSON from the model; falling back to a title-only task from the transcript');
+  const category = json.category || 'misc';
+  // A meeting recap gets minutes and one task per action item instead of a single task
+  if (category === 'meetings' && meetingMinutes) return analyzeMeeting({ transcription, llm, refs, usage });
+  const tasks = applyTaskRules(normalizeTasks(json, transcription), { transcription, category });
+  const intent = json.intent && json.intent !== 'create' ? { intent: json.intent, action: json.action } : {};
+  if (intent.intent) log(`🗣️ Intent: ${intent.intent} "${intent.action.target}"`);
+  return { enriched: { category, ...intent, tasks }, category, model: `${llm.name}/${llm.model}`, usage, cost: usageCost(llm, usage) };
+}
+
+/*
+  Apply optional heuristic rules from tools/voice-note-rules.json to every task and subtask.
+  Each is matched on its own title and description; the transcript only counts for a lone task,
+  since a pattern in it would otherwise fire on every task split out of the capture.
+*/
+function applyTaskRules(tasks, { transcription, category }) {
+  try {
+    const rules = loadRules();
+    if (!rules) return tasks;
+    const shared = tasks.length === 1 ? transcription : '';
+    return tasks.map((t) => {
+      const next = applyRules({ transcription: shared, enriched: t, rules, category });
+      next.subtasks = (t.subtasks || []).map((st) => applyRules({ transcription: '', enriched: st, rules, category }));
+      return next;
+    });
+  } catch { return tasks; }
+}
+
+// ---------- Result validation ----------
+
+const CATEGORIES = ['meetings', 'ideas', 'tasks', 'personal', 'support', 'documentation', 'misc'];
+const INTENTS = ['create', 'complete', 'update', 'comment'];
+
+const SUBTASK_PROPERTIES = {
+  title: { type: 'string' },
+  description: { type: ['string', 'null'] },
+  labels: { type: 'array', items: { type: 'string' } },
+  priority: { type: ['integer', 'null'], minimum: 1, maximum: 4 },
+  due_string: { type: ['string', 'null'] }
+};
+
+const ENRICHED_SCHEMA = {
+  type: 'object',
+  properties: {
+    category: { type: 'string', enum: CATEGORIES },
+    intent: { type: 'string', enum: INTENTS },
+    action: {
+      type: ['object', 'null'],
+      properties: {
+        target: { type: 'string' },
+        projectName: { type: ['string', 'null'] },
+        due_string: { type: ['string', 'null'] },
+        priority: { type: ['integer', 'null'], minimum: 1, maximum: 4 },
+        comment: { type: ['string', 'null'] }
+      },
+      required: ['target']
+    },
+    tasks: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          ...SUBTASK_PROPERTIES,
+          projectName: { type: ['string', 'null'] },
+          sectionName: { type: ['string', 'null'] },
+          urls: { type: 'array', items: { type: 'string' } },
+          assignee: { type: ['string', 'null'] },
+          duration_minutes: { type: ['integer', 'null'], minimum: 1, maximum: 1440 },
+          deadline: { type: ['string', 'null'] },
+          reminders: { type: 'array', items: { type: 'object', properties: { minutes_before: { type: ['integer', 'null'], minimum: 0 }, at: { type: ['string', 'null'] } } } },
+          subtasks: { type: 'array', items: { type: 'object', properties: SUBTASK_PROPERTIES, required: ['title'] } }
+        },
+        required: ['title']
+      }
+    }
+  },
+  required: ['category', 'tasks']
+};
+
+function isIsoDate(v) {
+  if (typeof v !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+function parseModelJson(text) {
+  try { return JSON.parse(text || ''); } catch {}
+  try { const m = String(text || '').match(/\{[\s\S]*\}/); if (m) return JSON.parse(m[0]); } catch {}
+  return null;
+}
+
+// Fetches sections for every project the model named so section names can be checked too. A name
+// that's missing from the cache triggers one sync first, in case it was created since.
+async function checkEnriched(text, refs) {
+  const json = parseModelJson(text);
+  const token = process.env.TODOIST_API_TOKEN;
+  if (json && refs && token) {
+    const tasks = (Array.isArray(json.tasks) ? json.tasks : [json]).filter((t) => t && typeof t === 'object');
+    for (const t of tasks) {
+      const pid = t.sectionName ? matchProjectId(t.projectName, refs.projects) : null;
+      if (pid) await ensureSections(token, refs, pid).catch(() => {});
+    }
+    const missing = () => {
+      for (const t of tasks) {
+        if (t.projectName && !matchProjectId(t.projectName, refs.projects)) return `Project "${t.projectName}"`;
+        const pid = t.sectionName ? matchProjectId(t.projectName, refs.projects) : null;
+        if (pid && refs.sections[pid] && !matchSectionId(t.sectionName, pid, refs.sections)) return `Section "${t.sectionName}"`;
+      }
+      const actionProject = json.action?.projectName;
+      return actionProject && !matchProjectId(actionProject, refs.projects) ? `Project "${actionProject}"` : null;
+    };
+    const miss = missing();
+    if (miss) await refreshOnMiss(token, refs, miss);
+  }
+  return validateEnriched(json, refs);
+}
+
+/*
+  Checks the model output against ENRICHED_SCHEMA plus what only we know: project and section
+  names must exist in the cached Todoist refs, urls must parse as http(s). Invalid fields are
+  dropped (never guessed); `errors` feed the repair prompt, `dropped` is what ends up in the log.
+  Loosely matched project names are rewritten to the real name and listed in `matches`.
+*/
+function validateEnriched(json, refs) {
+  const errors = [];
+  const dropped = [];
+  const matches = [];
+  const drop = (pathStr, value, reason) => { errors.push(`${pathStr}: ${reason}`); dropped.push({ path: pathStr, value, reason }); };
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    return { parsed: false, value: {}, errors: ['response was not a JSON object'], dropped: [], matches: [] };
+  }
+  const out = {};
+  if (CATEGORIES.includes(String(json.category || '').toLowerCase())) out.category = String(json.category).toLowerCase();
+  else drop('category', json.category, `must be one of ${CATEGORIES.join(', ')}`);
+
+  // Anything but a well-formed complete/update/comment falls back to creating tasks
+  out.intent = 'create';
+  const intent = String(json.intent || 'create').toLowerCase();
+  if (!INTENTS.includes(intent)) drop('intent', json.intent, `must be one of ${INTENTS.join(', ')}`);
+  else if (intent !== 'create') {
+    const a = json.action && typeof json.action === 'object' ? json.action : {};
+    const action = {};
+    // An unknown project only narrows the search, so it doesn't cancel the action
+    if (a.projectName) {
+      const hit = refs ? matchProject(a.projectName, refs.projects) : null;
+      if (!refs || hit) action.projectName = hit ? projectLabel(hit, refs.projects) : a.projectName;
+      else drop('action.projectName', a.projectName, 'not a Todoist project');
+    }
+    const before = errors.length;
+    if (typeof a.target === 'string' && a.target.trim()) action.target = a.target.trim();
+    else drop('action.target', a.target, `is required for intent "${intent}"`);
+    if (intent === 'update') {
+      if (typeof a.due_string === 'string' && a.due_string.trim()) action.due_string = a.due_string.trim();
+      const n = Number(a.priority);
+      if (Number.isInteger(n) && n >= 1 && n <= 4) action.priority = n;
+      if (!action.due_string && !action.priority) drop('action', undefined, 'intent "update" needs due_string or priority');
+    }
+    if (intent === 'comment') {
+      if (typeof a.comment === 'string' && a.comment.trim()) action.comment = a.comment.trim();
+      else drop('action.comment', a.comment, 'is required for intent "comment"');
+    }
+    if (errors.length === before) { out.intent = intent; out.action = action; }
+  }
+
+  const rawTasks = Array.isArray(json.tasks) ? json.tasks : (json.title ? [json] : null);
+  if (!rawTasks || !rawTasks.length) { errors.push('tasks: must be a non-empty list'); out.tasks = []; return { parsed: true, value: out, errors, dropped, matches }; }
+
+  const checkCommon = (t, p, into) => {
+    if (t.description !== undefined && t.description !== null && typeof t.description !== 'string') drop(`${p}.description`, t.description, 'must be a string or null');
+    else if (t.description) into.description = t.description;
+    if (t.priority !== undefined && t.priority !== null) {
+      const n = Number(t.priority);
+      if (Number.isInteger(n) && n >= 1 && n <= 4) into.priority = n;
+      else drop(`${p}.priority`, t.priority, 'must be an integer from 1 to 4');
+    }
+    if (t.due_string !== undefined && t.due_string !== null && typeof t.due_string !== 'string') drop(`${p}.due_string`, t.due_string, 'must be a string or null');
+    else if (t.due_string) into.due_string = t.due_string;
+    into.labels = [];
+    if (t.labels !== undefined && t.labels !== null && !Array.isArray(t.labels)) drop(`${p}.labels`, t.labels, 'must be a list of strings');
+    else for (const [i, l] of (t.labels || []).entries()) {
+      if (typeof l === 'string' && l.trim()) into.labels.push(l.trim());
+      else drop(`${p}.labels[${i}]`, l, 'must be a non-empty string');
+    }
+  };
+
+  // Top-level tasks only. The assignee is just a name here; it is resolved against the project's
+  // collaborators when posting, and reported there if nobody matches.
+  const checkExtras = (t, p, into) => {
+    if (t.assignee !== undefined && t.assignee !== null) {
+      if (typeof t.assignee === 'string' && t.assignee.trim()) into.assignee = t.assignee.trim();
+      else drop(`${p}.assignee`, t.assignee, 'must be a name or null');
+    }
+    if (t.duration_minutes !== undefined && t.duration_minutes !== null) {
+      const n = Number(t.duration_minutes);
+      if (!Number.isInteger(n) || n < 1 || n > 1440) drop(`${p}.duration_minutes`, t.duration_minutes, 'must be whole minutes from 1 to 1440');
+      else if (!into.due_string) drop(`${p}.duration_minutes`, t.duration_minutes, 'needs a due_string to place the time block');
+      else into.duration_minutes = n;
+    }
+    if (t.deadline !== undefined && t.deadline !== null) {
+      if (isIsoDate(t.deadline)) into.deadline = t.deadline;
+      else drop(`${p}.deadline`, t.deadline, 'must be a date as YYYY-MM-DD');
+    }
+    const reminders = [];
+    for (const [j, r] of (Array.isArray(t.reminders) ? t.reminders : []).entries()) {
+      const rp = `${p}.reminders[${j}]`;
+      const n = Number(r?.minutes_before);
+      if (r?.minutes_before !== undefined && r?.minutes_before !== null) {
+        if (!Number.isInteger(n) || n < 0) drop(rp, r, 'minutes_before must be whole minutes');
+        else if (!into.due_string) drop(rp, r, 'a reminder before the task needs a due_string');
+        else reminders.push({ minutes_before: n });
+      } else if (typeof r?.at === 'string' && r.at.trim()) reminders.push({ at: r.at.trim() });
+      else drop(rp, r, 'needs minutes_before or at');
+    }
+    if (reminders.length) into.reminders = reminders;
+  };
+
+  out.tasks = [];
+  rawTasks.forEach((t, i) => {
+    const p = `tasks[${i}]`;
+    if (!t || typeof t !== 'object' || typeof t.title !== 'string' || !t.title.trim()) { drop(p, t?.title, 'task needs a non-empty title'); return; }
+    const task = { title: t.title.trim() };
+    checkCommon(t, p, task);
+
+    let projectId = null;
+    if (t.projectName) {
+      // Fuzzy hits are rewritten to the real project name so rules and later lookups see it
+      const hit = refs ? matchProject(t.projectName, refs.projects) : null;
+      projectId = hit ? hit.id : null;
+      if (!refs) task.projectName = t.projectName;
+      else if (hit) {
+        task.projectName = projectLabel(hit, refs.projects);
+        matches.push({ path: `${p}.projectName`, value: t.projectName, hit });
+      }
+      else drop(`${p}.projectName`, t.projectName, 'not a Todoist project');
+    }
+    if (t.sectionName) {
+      const known = projectId ? refs.sections[projectId] : null;
+      if (!task.projectName) drop(`${p}.sectionName`, t.sectionName, 'needs a valid projectName');
+      else if (!known) task.sectionName = t.sectionName;
+      else {
+        const sid = matchSectionId(t.sectionName, projectId, refs.sections);
+        if (sid) task.sectionName = known.find((s) => s.id === sid)?.name || t.sectionName;
+        else drop(`${p}.sectionName`, t.sectionName, `not a section of ${task.projectName}`);
+      }
+    }
+
+    task.urls = [];
+    for (const [j, u] of (Array.isArray(t.urls) ? t.urls : []).entries()) {
+      let ok = false;
+      try { ok = ['http:', 'https:'].includes(new URL(String(u)).protocol); } catch {}
+      if (ok) task.urls.push(String(u));
+      else drop(`${p}.urls[${j}]`, u, 'not an http(s) URL');
+    }
+
+    checkExtras(t, p, task);
+
+    task.subtasks = [];
+    (Array.isArray(t.subtasks) ? t.subtasks : []).forEach((st, j) => {
+      const sp = `${p}.subtasks[${j}]`;
+      if (!st || typeof st !== 'object' || typeof st.title !== 'string' || !st.title.trim()) { drop(sp, st?.title, 'subtask needs a non-empty title'); return; }
+      const sub = { title: st.title.trim() };
+      checkCommon(st, sp, sub);
+      task.subtasks.push(sub);
+    });
+    out.tasks.push(task);
+  });
+  if (!out.tasks.length) errors.push('tasks: no valid task left');
+  return { parsed: true, value: out, errors, dropped, matches };
+}
+
+// Accepts both the list schema and the legacy single-object shape; always returns at least one task.
+function normalizeTasks(json, transcription) {
+  const raw = Array.isArray(json?.tasks) ? json.tasks : (json?.title ? [json] : []);
+  const tasks = raw
+    .filter((t) => t && typeof t === 'object' && String(t.title || '').trim())
+    .map((t) => ({
+      ...t,
+      labels: Array.isArray(t.labels) ? t.labels : [],
+      urls: Array.isArray(t.urls) ? t.urls : [],
+      subtasks: (Array.isArray(t.subtasks) ? t.subtasks : [])
+        .filter((st) => st && typeof st === 'object' && String(st.title || '').trim())
+        .map((st) => ({ ...st, labels: Array.isArray(st.labels) ? st.labels : [] }))
+    }));
+  if (!tasks.length) tasks.push({ title: transcription.split('\n')[0].slice(0, 120), labels: [], urls: [], subtasks: [] });
+  return tasks;
+}
+
+// ---------- Meeting mode ----------
+// Minutes (attendees, decisions, open questions) go to the notes archive and each action item becomes a
+// task. Used for the "meetings" category (unless VOICE_NOTE_MEETING_MINUTES=0) and for --meeting.
+// Keep in sync with extension/src/lib/meeting.ts
+
+// Roughly 3,000 tokens of transcript per request, so a long recap is never cut off
+const MEETING_CHUNK_CHARS = 12_000;
+const MEETING_MAX_TOKENS = 4096;
+const TRANSCRIPT_HEADING = '## Transcript';
+
+const MEETING_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    summary: { type: 'string' },
+    attendees: { type: 'array', items: { type: 'string' } },
+    decisions: { type: 'array', items: { type: 'string' } },
+    open_questions: { type: 'array', items: { type: 'string' } },
+    action_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          description: { type: ['string', 'null'] },
+          owner: { type: ['string', 'null'] },
+          due_string: { type: ['string', 'null'] },
+          projectName: { type: ['string', 'null'] }
+        },
+        required: ['title']
+      }
+    }
+  },
+  required: ['title', 'summary', 'attendees', 'decisions', 'open_questions', 'action_items']
+};
+
+// Pieces of at most `max` characters, split at paragraph breaks, then sentence ends, then spaces
+function chunkTranscript(text, max = MEETING_CHUNK_CHARS) {
+  const pieces = (s, seps) => {
+    if (s.length <= max) return [s];
+    if (!seps.length) return s.match(new RegExp(`[\\s\\S]{1,${max}}`, 'g')) || [];
+    return s.split(seps[0]).flatMap((p) => pieces(p, seps.slice(1)));
+  };
+  const chunks = [];
+  let cur = '';
+  for (const p of pieces(text.trim(), [/\s*\n\s*\n\s*/, /(?<=[.!?])\s+/, /\s+/])) {
+    if (cur && cur.length + p.length + 1 > max) { chunks.push(cur); cur = ''; }
+    cur = cur ? `${cur} ${p}` : p;
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+const meetingStrings = (v) => (Array.isArray(v) ? v : []).map((x) => String(x ?? '').trim()).filter(Boolean);
+const meetingText = (v) => (typeof v === 'string' && v.trim() ? v.trim() : null);
+
+// Keeps the first of each entry, ignoring case and spacing
+function uniqueEntries(list) {
+  const seen = new Set();
+  return list.filter((s) => {
+    const key = s.toLowerCase().replace(/\s+/g, ' ');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function meetingPrompt(projectsDoc, part, parts, earlier) {
+  return [
+    'You write meeting minutes from a dictated meeting recap or a meeting transcript.',
+    'Return strict JSON only. Do not include extra text.',
+    `Today is ${new Date().toLocaleDateString('en-CA')} (${new Date().toLocaleDateString('en-US', { weekday: 'long' })}).`,
+    'title: a short name for the meeting. summary: two to four sentences. attendees: the people who took part, names as spoken. decisions: what was agreed. open_questions: what was left unresolved.',
+    'action_items: one per concrete follow-up, with a short imperative title. owner is the person responsible, as spoken, or null when none was stated or it is the speaker ("I\'ll send…"). due_string only when a date or time was stated, in Todoist\'s natural language ("Friday", "next Tuesday 3pm"). Never invent owners or dates.',
+    projectsDoc ? `Projects (indented under their parent):\n${projectsDoc}` : '',
+    projectsDoc ? "Set an action item's projectName only when it clearly belongs to a listed project, exactly as listed; otherwise null." : '',
+    parts > 1 ? `This is part ${part} of ${parts} of a long transcript. Extract only what is in this part; don't repeat what earlier parts already recorded.` : '',
+    earlier ? `Earlier parts so far: ${earlier.summary}${earlier.attendees.length ? `\nAttendees so far: ${earlier.attendees.join(', ')}` : ''}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+const MEETING_JSON_SHAPE = `{\n  "title": string,\n  "summary": string,\n  "attendees": string[],\n  "decisions": string[],\n  "open_questions": string[],\n  "action_items": [{ "title": string, "description": string | null, "owner": string | null, "due_string": string | null, "projectName": string | null }]\n}`;
+
+/*
+  Runs the transcript through the model one chunk at a time and merges the parts, adding up the
+  tokens. A part without usable JSON throws, so the capture is retried from the outbox rather than
+  saved with a gap.
+*/
+async function extractMinutes(llm, transcription, { projectsDoc = '' } = {}) {
+  const chunks = chunkTranscript(transcription);
+  const minutes = { title: '', summary: '', attendees: [], decisions: [], questions: [] };
+  const actionItems = [];
+  const usage = emptyUsage();
+  for (let i = 0; i < chunks.length; i++) {
+    const user = `Transcript${chunks.length > 1 ? ` (part ${i + 1} of ${chunks.length})` : ''}:\n${chunks[i]}\n\nRespond with JSON exactly matching this schema:\n${MEETING_JSON_SHAPE}`;
+    const { text, usage: partUsage } = await completeStructured(llm, { system: meetingPrompt(projectsDoc, i + 1, chunks.length, i ? minutes : null), user, maxTokens: MEETING_MAX_TOKENS, schema: MEETING_SCHEMA });
+    addUsage(usage, partUsage);
+    const json = parseModelJson(text);
+    if (!json || typeof json !== 'object') throw new Error(`Meeting minutes: no usable JSON for part ${i + 1} of ${chunks.length}`);
+    minutes.title ||= meetingText(json.title) || '';
+    minutes.summary = [minutes.summary, meetingText(json.summary)].filter(Boolean).join('\n\n');
+    minutes.attendees = uniqueEntries([...minutes.attendees, ...meetingStrings(json.attendees)]);
+    minutes.decisions = uniqueEntries([...minutes.decisions, ...meetingStrings(json.decisions)]);
+    minutes.questions = uniqueEntries([...minutes.questions, ...meetingStrings(json.open_questions)]);
+    for (const a of Array.isArray(json.action_items) ? json.action_items : []) {
+      const title = meetingText(a?.title);
+      if (!title || actionItems.some((x) => x.title.toLowerCase() === title.toLowerCase())) continue;
+      actionItems.push({ title, description: meetingText(a.description), owner: meetingText(a.owner), due_string: meetingText(a.due_string), projectName: meetingText(a.projectName) });
+    }
+  }
+  minutes.title ||= 'Meeting';
+  log(`📋 Minutes "${minutes.title}" from ${chunks.length} ${chunks.length === 1 ? 'part' : 'parts'}: ${actionItems.length} action ${actionItems.length === 1 ? 'item' : 'items'}`);
+  return { minutes, actionItems, usage };
+}
+
+// The enriched task for an action item; the owner stays in the description in case they can't be assigned
+function actionItemTask(a) {
+  const description = [a.description, a.owner ? `Owner: ${a.owner}` : null].filter(Boolean).join('\n');
+  return { title: a.title, description: description || null, projectName: a.projectName, sectionName: null, labels: [], priority: null, due_string: a.due_string, urls: [], assignee: a.owner, subtasks: [] };
+}
+
+// `usage` carries the tokens of the first pass when the category is what made it a meeting
+async function analyzeMeeting({ transcription, llm, refs, usage = emptyUsage() }) {
+  const { minutes, actionItems, usage: minutesUsage } = await extractMinutes(llm, transcription, { projectsDoc: refs ? buildProjectsDoc(refs) : '' });
+  addUsage(usage, minutesUsage);
+  // Action items go through the same checks as any other task, so an unknown project is dropped
+  const checked = await checkEnriched(JSON.stringify({ category: 'meetings', tasks: actionItems.map(actionItemTask) }), refs);
+  for (const d of checked.dropped) log(`🗑️ Dropped ${d.path}${d.value !== undefined ? ` (${JSON.stringify(d.value)})` : ''}: ${d.reason}`);
+  const tasks = actionItems.length ? applyTaskRules(normalizeTasks(checked.value, transcription), { transcription, category: 'meetings' }) : [];
+  return { enriched: { category: 'meetings', meeting: minutes, tasks }, category: 'meetings', model: `${llm.name}/${llm.model}`, usage, cost: usageCost(llm, usage) };
+}
+
+// Adds a link to the minutes file to each action item's description; already-linked tasks are left alone
+function linkToMinutes(tasks, file, title) {
+  const link = `📋 Minutes: [${title.replace(/[[\]]/g, '')}](${pathToFileURL(file).href})`;
+  for (const t of tasks) if (!String(t.description || '').includes(link)) t.description = [t.description, link].filter(Boolean).join('\n\n');
+}
+
+// The note body for a meeting: minutes first, then the transcript under its own heading
+function minutesMarkdown(capture) {
+  const m = capture.analysis.meeting;
+  const list = (items) => (items.length ? items.map((s) => `- ${s}`).join('\n') : '_None_');
+  const actions = (capture.analysis.tasks || []).map((t, i) => {
+    const posted = capture.posted?.[String(i)];
+    const details = [t.assignee, t.due_string ? `due ${t.due_string}` : null, posted?.merged ? 'merged into an existing task' : null].filter(Boolean).join(' · ');
+    const title = posted?.task.url ? `[${t.title}](${posted.task.url})` : t.title;
+    return `- [ ] ${title}${details ? ` (${details})` : ''}`;
+  });
+  return [
+    `# ${m.title}`,
+    m.summary,
+    `## Attendees\n${list(m.attendees)}`,
+    `## Decisions\n${list(m.decisions)}`,
+    `## Open Questions\n${list(m.questions)}`,
+    `## Action Items\n${actions.length ? actions.join('\n') : '_None_'}`,
+    `${TRANSCRIPT_HEADING}\n${capture.transcription.trim()}`
+  ].filter(Boolean).join('\n\n');
+}
+
+// ---------- Main Flow ----------
+
+const RECORD_URL = 'raycast://extensions/nchudleigh/superwhisper/toggle-record';
+
+// VOICE_NOTE_CAPTURE=recording reads the transcript from SuperWhisper's recording folder and
+// leaves the clipboard alone; the default clipboard source works with any dictation app that copies.
+// Returns { text, recording }, where recording is the SuperWhisper recording folder when one was detected.
+async function captureTranscription() {
+  const source = (process.env.VOICE_NOTE_CAPTURE || 'clipboard').toLowerCase();
+  if (source === 'recording') return captureRecordingTranscription();
+  if (source !== 'clipboard') log(`⚠️ Unknown VOICE_NOTE_CAPTURE '${source}'; using clipboard.`);
+  return captureClipboardTranscription();
+}
+
+async function captureRecordingTranscription() {
+  openUrl(process.env.VOICE_NOTE_RECORD_URL || RECORD_URL);
+  log('Recording started; waiting for SuperWhisper to finish...');
+
+  const stop = await waitForSuperwhisperStop(10 * 60_000);
+  if (!stop) {
+    notify('⚠️ Voice Note Error', 'No SuperWhisper recording detected');
+    throw new Error('No SuperWhisper recording detected');
+  }
+  log('Recording finished; waiting for transcript in recording folder...');
+  const captured = await waitForRecordingTranscript(path.join(stop.base, stop.name), 20_000);
+  if (!captured) {
+    notify('⚠️ Voice Note Error', 'No transcript found in the SuperWhisper recording');
+    throw new Error('Timeout waiting for transcription');
+  }
+  return { text: captured.trim(), recording: path.join(stop.base, stop.name) };
+}
+
+// SuperWhisper writes meta.json into the recording folder once transcription finishes.
+// `result` is the final (mode-processed) text; the others are fallbacks for older versions.
+async function waitForRecordingTranscript(folder, timeoutMs = 20_000) {
+  const metaPath = path.join(folder, 'meta.json');
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      const text = [meta.result, meta.llmResult, meta.rawResult].find((t) => typeof t === 'string' && t.trim());
+      if (text) return text;
+    } catch {}
+    await sleep(250);
+  }
+  return '';
+}
+
+async function captureClipboardTranscription() {
+  const sentinel = `__VOICE_NOTE_WAIT_${Math.random().toString(36).slice(2)}_${Date.now()}__`;
+  const original = readClipboard();
+  writeClipboard(sentinel);
+
+  // Launch SuperWhisper toggle
+  openUrl(process.env.VOICE_NOTE_RECORD_URL || RECORD_URL);
+  log('Recording started; waiting for SuperWhisper to finish...');
+
+  // Wait for SuperWhisper to finish by watching its recordings folder for a new item
+  const stopDetected = await waitForSuperwhisperStop(10 * 60_000); // up to 10 minutes
+
+  // After stop, capture the clipboard change (SuperWhisper copies transcription)
+  log('Recording finished; waiting for clipboard update...');
+  const captured = await waitForClipboardChangeFromSentinel(sentinel, 20_000); // 20s window after stop
+
+  // Restore original clipboard
+  await sleep(1200);
+  writeClipboard(original);
+  log('Restored original clipboard content');
+
+  if (!captured) {
+    notify('⚠️ Voice Note Error', 'No new clipboard content detected');
+    throw new Error('Timeout waiting for transcription');
+  }
+  return { text: captured.trim(), recording: stopDetected ? path.join(stopDetected.base, stopDetected.name) : null };
+}
+
+function listDirNamesSafe(dir) {
+  try { return fs.readdirSync(dir).filter(Boolean); } catch { return []; }
+}
+
+async function waitForSuperwhisperStop(timeoutMs = 600_000) {
+  const base = process.env.SUPERWHISPER_RECORDINGS_DIR || path.join(os.homedir(), 'Documents', 'SuperWhisper', 'recordings');
+  if (!fs.existsSync(base)) {
+    log('ℹ️ SuperWhisper recordings dir not found; skipping stop detection.');
+    return null;
+  }
+  const baseline = new Set(listDirNamesSafe(base));
+  const start = Date.now();
+  const interval = 200;
+  if (baseline.size === 0) log('ℹ️ SuperWhisper recordings dir baseline is empty.');
+  while (Date.now() - start < timeoutMs) {
+    const names = listDirNamesSafe(base);
+    const added = names.find(n => !baseline.has(n));
+    if (added) {
+      // Optional settle: give the OS a moment to flush file writes
+      await sleep(500);
+      log(`Detected new SuperWhisper recording: ${added}`);
+      return { name: added, base };
+    }
+    await sleep(interval);
+  }
+  log('⚠️ Timeout waiting for SuperWhisper stop event; proceeding to clipboard capture anyway.');
+  return null;
+}
+
+async function waitForClipboardChangeFromSentinel(sentinel, timeoutMs = 20_000) {
+  const start = Date.now();
+  const interval = 80;
+  let last = sentinel;
+  while (Date.now() - start < timeoutMs) {
+    const cur = readClipboard();
+    if (cur && cur !== sentinel && cur !== last && cur.length >= 8) {
+      await sleep(200);
+      const cur2 = readClipboard();
+      return (cur2 && cur2.length >= cur.length) ? cur2 : cur;
+    }
+    last = cur;
+    await sleep(interval);
+  }
+  return '';
+}
+
+async function maybeAddToTodoist({ transcription, category, analysis, capture = null, dryRun = false }) {
+  const token = process.env.TODOIST_API_TOKEN;
+  if (!token && !dryRun) { log('ℹ️ Todoist not configured (set TODOIST_API_TOKEN). Skipping.'); return; }
+  const explicitProjectId = process.env.TODOIST_VOICE_PROJECT_ID || null;
+
+  const tasks = analysis?.enriched?.tasks || [];
+  // A dry run without a token still shows the request bodies, just without project/section routing
+  const refs = token ? await getTodoistRefs(token) : { projects: [], labels: [], sections: {} };
+
+  // "Mark the Acme invoice done": act on that task, or fall through to creating one if it can't be pinned down
+  const { intent, action } = analysis?.enriched || {};
+  if (token && intent && intent !== 'create' && action) {
+    const acted = await actOnce(capture, (requestId) => actOnExistingTask({ token, refs, intent, action, requestId, dryRun }));
+    if (acted) return { created: [], acted, summary: summarizeAction(acted), ...(dryRun ? { requests: acted.request ? [acted.request] : [] } : {}) };
+  }
+  const created = [];
+  const requests = [];
+  // Post in spoken order; subtasks follow their parent so parent_id is known.
+  // Keys ("0", "0.1") identify each task within a capture so retries skip what was already posted.
+  for (let i = 0; i < tasks.length; i++) {
+    const item = tasks[i];
+    const parent = await postOnce(capture, String(i), (requestId) =>
+      createTodoistTask({ token, refs, item, transcription, category, explicitProjectId, single: tasks.length === 1, requestId, dryRun }));
+    if (parent.request) requests.push(parent.request);
+    if (parent.reminderRequest) requests.push(parent.reminderRequest);
+    const subtasks = [];
+    for (let j = 0; j < (item.subtasks || []).length; j++) {
+      const res = await postOnce(capture, `${i}.${j}`, (requestId) =>
+        createTodoistTask({ token, refs, item: item.subtasks[j], transcription, category, parentId: parent.task.id, requestId, dryRun }));
+      if (res.request) requests.push(res.request);
+      subtasks.push(res.task);
+    }
+    created.push({ task: parent.task, where: parent.where, title: parent.task.content, subtasks, ...(parent.merged ? { merged: parent.merged } : {}), ...(parent.warnings?.length ? { warnings: parent.warnings } : {}) });
+  }
+  return { created, summary: summarizeCreated(created), ...(dryRun ? { requests } : {}) };
+}
+
+async function actOnce(capture, act) {
+  if (capture?.acted) return capture.acted;
+  const res = await act(capture ? stableRequestId(capture.id, 'action') : crypto.randomUUID());
+  if (capture && res) capture.acted = { type: res.type, task: res.task, where: res.where, change: res.change };
+  return res;
+}
+
+async function postOnce(capture, key, post) {
+  if (capture?.posted?.[key]) return capture.posted[key];
+  const res = await post(capture ? stableRequestId(capture.id, key) : crypto.randomUUID());
+  if (capture) {
+    capture.posted = capture.posted || {};
+    // body and createdLabels are kept for the history, so Undo knows what to remove; warnings so a
+    // retried capture still reports what couldn't be applied
+    capture.posted[key] = {
+      task: { id: res.task.id, content: res.task.content, url: res.task.url },
+      where: res.where,
+      ...(res.merged ? { merged: res.merged } : {}),
+      ...(res.body ? { body: res.body } : {}),
+      ...(res.createdLabels?.length ? { createdLabels: res.createdLabels.map((l) => ({ id: String(l.id), name: l.name })) } : {}),
+      ...(res.warnings?.length ? { warnings: res.warnings } : {})
+    };
+  }
+  return res;
+}
+
+async function createTodoistTask({ token, refs, item, transcription, category, explicitProjectId = null, parentId = null, single = false, requestId = crypto.randomUUID(), dryRun = false }) {
+  const { projectName, sectionName, labels = [], priority, due_string, title, description, urls = [], assignee, duration_minutes, deadline, reminders = [] } = item || {};
+
+  // Subtasks inherit project and section from their parent
+  let projectId = null;
+  if (!parentId && explicitProjectId) projectId = explicitProjectId;
+  else if (!parentId && projectName) {
+    let hit = matchProject(projectName, refs.projects);
+    if (!hit && await refreshOnMiss(token, refs, `Project "${projectName}"`)) hit = matchProject(projectName, refs.projects);
+    // Model names were already matched (and logged) during validation; this catches rule-set names
+    if (!hit || hit.via !== 'exact') logProjectMatch(projectName, hit);
+    projectId = hit ? hit.id : null;
+  }
+
+  const projName = projectId ? (refs.projects.find(p => p.id === projectId)?.name || 'Project') : 'Inbox';
+  if (!parentId) {
+    const merged = await mergeIntoDuplicate({ token, refs, projectId, item, transcription, single, where: projName, requestId, dryRun });
+    if (merged) return merged;
+  }
+
+  // Always include a 'Voice' label plus AI-suggested labels
+  const desiredLabels = Array.from(new Set(['Voice', ...labels].filter(Boolean)));
+  const createdLabels = dryRun ? [] : await ensureLabels(token, desiredLabels, refs).catch(() => []);
+
+  if (projectId && sectionName) await ensureSections(token, refs, projectId).catch(() => {});
+  let sectionId = projectId ? matchSectionId(sectionName, projectId, refs.sections) : undefined;
+  if (projectId && sectionName && !sectionId && await refreshOnMiss(token, refs, `Section "${sectionName}"`)) sectionId = matchSectionId(sectionName, projectId, refs.sections);
+
+  // Parts that can't be applied are reported (summary, notification, JSON) rather than dropped
+  const warnings = [];
+  let assigneeId;
+  if (assignee) {
+    const who = await resolveAssignee(token, refs, projectId, assignee);
+    if (who.id) { assigneeId = who.id; log(`👤 "${assignee}" → ${who.name}`); }
+    else warnings.push(`not assigned to ${assignee}: ${who.reason}`);
+  }
+
+  const fallbackTitle = transcription.split('\n')[0].slice(0, 120);
+  const content = `${title || fallbackTitle}`.trim();
+
+  // Only a lone task carries the full transcription; split tasks keep their own descriptions
+  let desc = description || '';
+  if (!desc && single) desc = transcription;
+  if (urls && urls.length) desc += `${desc ? '\n\n' : ''}Links:\n- ${urls.join('\n- ')}`;
+
+  // If no section suggested, try fuzzy match against existing section names
+  let finalSectionId = sectionId;
+  if (projectId && !finalSectionId) {
+    try { await ensureSections(token, refs, projectId); } catch {}
+    const guessed = guessSectionIdFromContent({ texts: [title, description, single ? transcription : ''], projectId, refs });
+    if (guessed) finalSectionId = guessed;
+  }
+
+  const common = {
+    priority: clampPriority(priority),
+    ...(desc ? { description: desc } : {}),
+    ...(parentId ? { parent_id: parentId } : {}),
+    ...(projectId ? { project_id: projectId } : {}),
+    ...(projectId && finalSectionId ? { section_id: finalSectionId } : {}),
+    // The API takes label names, not ids
+    ...(desiredLabels.length ? { labels: desiredLabels } : {}),
+  };
+
+  // Always use /tasks with due_string for reliability (accepts project/section/labels/description)
+  const url = `${TODOIST_API}/tasks`;
+  const body = {
+    content,
+    ...(due_string ? { due_string } : {}),
+    ...common,
+    ...(assigneeId ? { assignee_id: assigneeId } : {}),
+    ...(duration_minutes ? { duration: duration_minutes, duration_unit: 'minute' } : {}),
+    ...(deadline ? { deadline_date: deadline } : {})
+  };
+
+  const sectName = (projectId && finalSectionId) ? (refs.sections[projectId]?.find(s => s.id === finalSectionId)?.name || '') : '';
+  const where = parentId ? `subtask of ${parentId}` : (sectName ? `${projName} › ${sectName}` : projName);
+
+  if (dryRun) {
+    // Placeholder id so subtasks show which parent their parent_id would point at
+    const task = { id: `<id of "${content}">`, content };
+    const commands = reminderCommands(task.id, reminders, requestId);
+    return {
+      task, where, warnings,
+      request: { method: 'POST', url, headers: { 'Content-Type': 'application/json', 'X-Request-Id': requestId }, body },
+      ...(commands.length ? { reminderRequest: { method: 'POST', url: `${TODOIST_API}/sync`, headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: { commands } } } : {})
+    };
+  }
+
+  try { log(`[Todoist] POST /tasks body: ${JSON.stringify(body).slice(0,300)}${JSON.stringify(body).length>300?'…':''}`); } catch {}
+  const posted = await todoistRequest(token, '/tasks', { method: 'POST', body, requestId });
+  const task = { ...posted, url: posted.url || taskUrl(posted.id) };
+  log(`🧾 Todoist task created: ${task.id} (${where}, ${category})`);
+  if (reminders.length) warnings.push(...await addReminders(token, task.id, reminders, requestId));
+  for (const w of warnings) log(`⚠️ ${content}: ${w}`);
+  return { task, where, body, createdLabels, warnings };
+}
+
+// "Call accountant → Work" for one task; "3 tasks (+2 subtasks, 1 merged): Work ×2, Inbox" for several
+function summarizeCreated(created) {
+  if (!created.length) return '';
+  const subCount = created.reduce((n, c) => n + c.subtasks.length, 0);
+  const mergedCount = created.filter((c) => c.merged).length;
+  const subNote = subCount ? ` (+${subCount} subtask${subCount === 1 ? '' : 's'})` : '';
+  if (created.length === 1) return `${created[0].title}${subNote} → ${created[0].where}${warningNote(created)}`;
+  const notes = [subCount ? `+${subCount} subtask${subCount === 1 ? '' : 's'}` : '', mergedCount ? `${mergedCount} merged` : ''].filter(Boolean);
+  const counts = new Map();
+  for (const c of created) counts.set(c.where, (counts.get(c.where) || 0) + 1);
+  const parts = Array.from(counts.entries()).map(([where, n]) => (n > 1 ? `${where} ×${n}` : where));
+  return `${created.length} tasks${notes.length ? ` (${notes.join(', ')})` : ''}: ${parts.join(', ')}${warningNote(created)}`;
+}
+
+function warningNote(created) {
+  const warnings = created.flatMap((c) => c.warnings || []);
+  return warnings.length ? ` ⚠️ ${warnings.join('; ')}` : '';
+}
+
+// Runs a capture from whatever stage it reached; mutates `capture` so a failure can be queued as-is.
+// Every run, failed or not, adds a line to the stats; a budget warning goes on the end of the summary
+async function processCapture(capture, { dryRun = false } = {}) {
+  aliasCache = undefined;
+  openTasksCache.clear();
+  try {
+    const out = await runStages(capture, { dryRun });
+    const warning = recordCaptureStats(capture, { result: out.result, dryRun });
+    if (warning && out.result) out.result.summary += ` ⚠️ ${warning}`;
+    else if (warning) log(`⚠️ ${warning}`);
+    return out;
+  } catch (e) {
+    recordCaptureStats(capture, { error: e });
+    throw e;
+  }
+}
+
+async function runStages(capture, { dryRun = false } = {}) {
+  const { transcription } = capture;
+  if (capture.stage === 'transcribed') {
+    const started = Date.now();
+    const analysis = await analyzeTranscription({ transcription, meeting: capture.meeting });
+    capture.analysis = analysis.enriched;
+    capture.model = analysis.model;
+    capture.stats = { usage: analysis.usage, cost: analysis.cost, timings: { ...capture.stats?.timings, analysis_ms: Date.now() - started } };
+    capture.stage = 'analyzed';
+  }
+  const category = (capture.analysis?.category || 'misc').toLowerCase();
+  const catCap = category.charAt(0).toUpperCase() + category.slice(1);
+
+  // The note is saved before posting so the transcript survives a Todoist failure
+  const notes = notesConfig();
+  const meeting = capture.analysis?.meeting;
+  // Minutes always go to the archive, even for a transcript passed in with --file or --dir
+  if ((!capture.notePath || (meeting && !isArchiveNote(capture.notePath, notes))) && !dryRun) {
+    try {
+      capture.notePath = writeNote(capture, notes);
+      log(`✅ Saved to: ${path.relative(notes.root, capture.notePath)}`);
+    } catch (e) { log(`⚠️ Failed to save note: ${e.message}`); }
+  }
+  if (meeting && capture.notePath && !dryRun) linkToMinutes(capture.analysis.tasks || [], capture.notePath, meeting.title);
+
+  if (dryRun) {
+    const result = await maybeAddToTodoist({ transcription, category, analysis: { enriched: capture.analysis, category }, dryRun });
+    return { result, catCap };
+  }
+  const posting = Date.now();
+  const result = await maybeAddToTodoist({ transcription, category, analysis: { enriched: capture.analysis, category }, capture });
+  capture.stage = 'posted';
+  if (result) {
+    if (meeting) result.summary = `Minutes "${meeting.title}"${result.created.length ? ` + ${result.summary}` : ', no action items'}`;
+    await maybeAttachRecording(capture, result);
+    capture.stats = { ...capture.stats, timings: { ...capture.stats?.timings, todoist_ms: Date.now() - posting } };
+    // Now the frontmatter can link the note to its tasks
+    try { if (capture.notePath) writeNote(capture, notes); } catch (e) { log(`⚠️ Failed to update note ${capture.notePath}: ${e.message}`); }
+    recordHistory(capture);
+  }
+  return { result, catCap };
+}
+
+async function main({ meeting = false } = {}) {
+  loadEnv();
+
+  const started = Date.now();
+  const { text: transcription, recording } = await captureTranscription();
+  log(`📝 Processing: "${transcription.substring(0, 50)}..."`);
+  const capture = newCapture(transcription);
+  capture.stats = { timings: { capture_ms: Date.now() - started } };
+  if (recording) capture.recording = recording;
+  if (meeting) capture.meeting = true;
 
   try {
-    const result = await maybeAddToTodoist({ transcription, category, analysis });
-    if (result && result.task) {
-      notify('✅ Task Added', `${analysis?.enriched?.title || transcription.slice(0,50)} → ${result.where}`);
+    const { result, catCap } = await processCapture(capture);
+    const merged = (result?.created || []).filter((c) => c.merged);
+    if (capture.analysis?.meeting && result) {
+      notify('📋 Meeting Minutes Saved', result.summary);
+    } else if (result?.acted) {
+      notify(ACTION_TITLES[result.acted.type] || '✅ Task Updated', result.summary);
+    } else if (merged.length === 1 && result.created.length === 1) {
+      notify('🔁 Merged into existing task', `${result.summary}${merged[0].task.url ? `\n${merged[0].task.url}` : ''}`);
+    } else if (result && result.created.length) {
+      notify(result.created.length === 1 ? '✅ Task Added' : '✅ Tasks Added', result.summary);
     } else {
       notify('✅ Voice Note Organized', `Filed to ${catCap}`);
     }
   } catch (e) {
-    log(`❌ Todoist integration failed: ${e.message}`);
-    notify('❌ Voice Note Error', e.message);
+    log(`❌ Voice note failed after stage '${capture.stage}': ${e.message}`);
+    queueOutboxItem(capture, e);
+    notify('❌ Voice Note Error', `${e.message} (saved to outbox for retry)`);
+  }
+
+  // Retry anything left over from earlier runs whose backoff has elapsed
+  const flushed = await flushOutbox({ skipId: capture.id });
+  if (flushed.sent) notify('📤 Voice Outbox', `Delivered ${flushed.sent} queued note(s)`);
+}
+
+async function flushMain() {
+  loadEnv();
+  const { sent, failed, gaveUp } = await flushOutbox({ force: true });
+  const msg = sent || failed || gaveUp
+    ? `Delivered ${sent}, still failing ${failed}${gaveUp ? `, gave up on ${gaveUp}` : ''}`
+    : 'Outbox is empty';
+  console.log(msg);
+  notify(failed || gaveUp ? '⚠️ Voice Outbox' : '📤 Voice Outbox', msg);
+}
+
+// ---------- Headless CLI ----------
+
+const CLI_USAGE = `Usage: voice-note-raycast.js [options]
+
+Without options, records with SuperWhisper and captures the transcript from the clipboard.
+
+Transcript sources (skip capture entirely; may be combined):
+  --text <string>    Use this text as the transcript
+  --file <path>      Read the transcript from a file ("-" for stdin); repeatable
+  --stdin            Read the transcript from standard input
+  --dir <folder>     Process every .txt and .md note in a folder, oldest name first; repeatable
+
+Output:
+  --dry-run          Analyze and print the enriched JSON and Todoist request bodies without posting
+  --json             Print one JSON result per run instead of text
+
+Analysis:
+  --meeting          Treat the transcript as a meeting: minutes go to the notes archive and each
+                     action item becomes a task (the "meetings" category does this by itself)
+
+Capture server:
+  --serve            Accept captures over HTTP (POST /capture, GET /health) until stopped;
+                     needs VOICE_NOTE_SERVER_TOKEN
+  --host <address>   Address to listen on (default 127.0.0.1; 0.0.0.0 for the whole LAN)
+  --port <number>    Port to listen on (default 8765)
+
+Other:
+  --stats            Print captures, tokens, spend, failure rate and routing from the stats file
+                     (this month, by day and by month); with --json as JSON
+  --flush-outbox     Retry all queued captures now
+  --help             Show this help`;
+
+function parseCliArgs(argv) {
+  const cli = { text: null, files: [], dirs: [], stdin: false, dryRun: false, json: false, meeting: false, serve: false, host: null, port: null, stats: false, flushOutbox: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, null];
+    const value = () => {
+      if (inline !== null) return inline;
+      if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+    switch (flag) {
+      case '--text': cli.text = value(); break;
+      case '--file': cli.files.push(value()); break;
+      case '--dir': cli.dirs.push(value()); break;
+      case '--stdin': cli.stdin = true; break;
+      case '--dry-run': cli.dryRun = true; break;
+      case '--json': cli.json = true; break;
+      case '--meeting': cli.meeting = true; break;
+      case '--serve': cli.serve = true; break;
+      case '--host': cli.host = value(); break;
+      case '--port': cli.port = value(); break;
+      case '--stats': cli.stats = true; break;
+      case '--flush-outbox': cli.flushOutbox = true; break;
+      case '-h': case '--help': cli.help = true; break;
+      default: throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  cli.headless = cli.text !== null || cli.files.length > 0 || cli.dirs.length > 0 || cli.stdin;
+  return cli;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Files passed in are already the note, so they become notePath instead of being copied into the archive.
+// Archive notes (.md) are read without their frontmatter.
+async function readCliInputs(cli) {
+  const inputs = [];
+  if (cli.text !== null) inputs.push({ source: '--text', transcription: cli.text });
+  if (cli.stdin || cli.files.includes('-')) inputs.push({ source: 'stdin', transcription: await readStdin() });
+  for (const f of cli.files.filter((f) => f !== '-')) {
+    const fp = path.resolve(f);
+    inputs.push({ source: f, transcription: noteTranscript(fs.readFileSync(fp, 'utf8')), notePath: fp });
+  }
+  for (const d of cli.dirs) {
+    const dir = path.resolve(d);
+    if (!fs.statSync(dir).isDirectory()) throw new Error(`Not a folder: ${d}`);
+    const names = listDirNamesSafe(dir).filter((n) => /\.(txt|md)$/i.test(n)).sort();
+    for (const n of names) {
+      const fp = path.join(dir, n);
+      inputs.push({ source: fp, transcription: noteTranscript(fs.readFileSync(fp, 'utf8')), notePath: fp });
+    }
+  }
+  return inputs;
+}
+
+async function headlessMain(cli) {
+  loadEnv();
+  const inputs = await readCliInputs(cli);
+  if (!inputs.length) throw new Error('No transcripts found in the given sources');
+
+  const results = [];
+  for (const input of inputs) {
+    const transcription = input.transcription.trim();
+    const out = { source: input.source, ok: false };
+    if (!transcription) { results.push({ ...out, error: 'Empty transcript' }); continue; }
+    const capture = newCapture(transcription);
+    if (input.notePath) capture.notePath = input.notePath;
+    if (cli.meeting) capture.meeting = true;
+    log(`📝 Processing (${input.source}): "${transcription.substring(0, 50)}..."`);
+    try {
+      const { result } = await processCapture(capture, { dryRun: cli.dryRun });
+      Object.assign(out, captureOutput(capture, result, { dryRun: cli.dryRun }));
+    } catch (e) {
+      log(`❌ ${input.source} failed after stage '${capture.stage}': ${e.message}`);
+      Object.assign(out, { stage: capture.stage, error: e.message });
+      if (!cli.dryRun) { queueOutboxItem(capture, e); out.queued = capture.id; }
+    }
+    results.push(out);
+    if (!cli.json) printHeadlessResult(out, cli);
+  }
+  if (cli.json) console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2));
+  if (results.some((r) => !r.ok)) process.exitCode = 1;
+}
+
+// The JSON result of one capture, shared by --json and the capture server
+function captureOutput(capture, result, { dryRun = false } = {}) {
+  return {
+    ok: true,
+    category: capture.analysis?.category,
+    enriched: capture.analysis,
+    ...(dryRun ? { requests: result?.requests || [] } : {}),
+    ...(capture.analysis?.meeting && !dryRun ? { minutes: capture.notePath } : {}),
+    ...(result?.acted && !dryRun ? { acted: { type: result.acted.type, id: result.acted.task.id, content: result.acted.task.content, url: result.acted.task.url, change: result.acted.change } } : {}),
+    created: dryRun ? [] : (result?.created || []).map((c) => ({
+      id: c.task.id, content: c.task.content, url: c.task.url, where: c.where, ...(c.merged ? { merged: c.merged } : {}), ...(c.warnings ? { warnings: c.warnings } : {}),
+      subtasks: c.subtasks.map((st) => ({ id: st.id, content: st.content, url: st.url }))
+    })),
+    summary: result?.summary || ''
+  };
+}
+
+function printHeadlessResult(out, cli) {
+  if (!out.ok) {
+    console.error(`❌ ${out.source}: ${out.error}${out.queued ? ` (queued in outbox as ${out.queued})` : ''}`);
+    return;
+  }
+  if (cli.dryRun) {
+    console.log(`# ${out.source} (dry run)`);
+    console.log(JSON.stringify({ enriched: out.enriched, requests: out.requests }, null, 2));
+    return;
+  }
+  const merged = (out.created || []).filter((c) => c.merged);
+  console.log(`✅ ${out.source}: ${out.summary || `Filed to ${out.category}`}${merged.length ? ` (merged into existing: ${merged.map((c) => c.url || c.id).join(', ')})` : ''}`);
+}
+
+// ---------- Capture server ----------
+// `--serve` accepts captures over HTTP from a phone (iOS Shortcuts) or another machine and runs them
+// through the same pipeline as a dictated note. Every request but GET /health needs
+// `Authorization: Bearer $VOICE_NOTE_SERVER_TOKEN`.
+
+const DEFAULT_SERVER_PORT = 8765;
+const DEFAULT_SERVER_MAX_MB = 25;
+const UPLOADS_DIR = path.join(os.homedir(), 'Documents', 'Voice Notes', '.uploads');
+
+// An uploaded recording is only kept until its capture is posted or the outbox gives up on it
+function isUpload(folder) {
+  return !!folder && path.dirname(folder) === UPLOADS_DIR;
+}
+
+function removeUpload(capture) {
+  if (!isUpload(capture.recording)) return;
+  try { fs.rmSync(capture.recording, { recursive: true, force: true }); } catch (e) { log(`⚠️ Failed to remove upload ${capture.recording}: ${e.message}`); }
+}
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) { super(message); this.name = 'HttpError'; this.status = status; this.headers = headers; }
+}
+
+function serverConfig(cli) {
+  const maxMb = parseFloat(process.env.VOICE_NOTE_SERVER_MAX_MB || '');
+  return {
+    token: String(process.env.VOICE_NOTE_SERVER_TOKEN || '').trim(),
+    host: cli.host || String(process.env.VOICE_NOTE_SERVER_HOST || '').trim() || '127.0.0.1',
+    port: parseInt(cli.port || process.env.VOICE_NOTE_SERVER_PORT || '', 10) || DEFAULT_SERVER_PORT,
+    maxBytes: Math.round((maxMb > 0 ? maxMb : DEFAULT_SERVER_MAX_MB) * 1024 * 1024)
+  };
+}
+
+// Compares digests, so neither the token's content nor its length leaks through timing
+function isAuthorized(req, token) {
+  const m = /^Bearer\s+(.+)$/i.exec(String(req.headers.authorization || ''));
+  if (!m) return false;
+  const digest = (s) => crypto.createHash('sha256').update(s).digest();
+  return crypto.timingSafeEqual(digest(m[1].trim()), digest(token));
+}
+
+// The request body, refused as soon as it's known to be over the limit
+async function readBody(req, maxBytes) {
+  const tooLarge = () => new HttpError(413, `Request body is over the ${(maxBytes / 1024 / 1024).toFixed(0)} MB limit`, { Connection: 'close' });
+  if (parseInt(req.headers['content-length'] || '0', 10) > maxBytes) throw tooLarge();
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+const isTrue = (v) => v === true || ['1', 'true', 'yes', 'on'].includes(String(v ?? '').trim().toLowerCase());
+
+/*
+  Reads a capture from JSON ({ text, meeting?, dry_run? }), a form with the same fields, plain text,
+  or multipart/form-data with the same fields plus an optional audio `file`. The audio is saved under .uploads/<capture id>/ so it can be
+  attached to the tasks like a SuperWhisper recording, and removed once the capture is posted; it isn't transcribed, so `text` is
+  always required.
+*/
+async function parseCaptureRequest(req, body) {
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  let fields;
+  let audio = null;
+  if (type === 'application/json') {
+    try { fields = JSON.parse(body.toString('utf8') || '{}'); } catch { throw new HttpError(400, 'Invalid JSON body'); }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) throw new HttpError(400, 'Expected a JSON object');
+  } else if (type === 'application/x-www-form-urlencoded') {
+    fields = Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+  } else if (type === 'multipart/form-data') {
+    let form;
+    try { form = await new Response(body, { headers: { 'content-type': req.headers['content-type'] } }).formData(); } catch { throw new HttpError(400, 'Invalid multipart body'); }
+    fields = { text: form.get('text'), meeting: form.get('meeting'), dry_run: form.get('dry_run') };
+    const file = form.get('file');
+    if (file && typeof file !== 'string' && file.size) {
+      const name = pathSegment(path.basename(file.name || '')) || 'recording';
+      if (!AUDIO_TYPES[path.extname(name).toLowerCase()]) throw new HttpError(415, `Unsupported audio file: ${name} (${Object.keys(AUDIO_TYPES).join(', ')})`);
+      audio = { name, data: Buffer.from(await file.arrayBuffer()) };
+    }
+  } else if (type === 'text/plain' || !type) {
+    fields = { text: body.toString('utf8') };
+  } else {
+    throw new HttpError(415, `Unsupported content type: ${type}`);
+  }
+  const text = typeof fields.text === 'string' ? fields.text.trim() : '';
+  if (!text) throw new HttpError(400, 'Missing transcript: send `text`');
+  return { text, meeting: isTrue(fields.meeting), dryRun: isTrue(fields.dry_run), audio };
+}
+
+async function handleCapture({ text, meeting, dryRun, audio }) {
+  const capture = newCapture(text);
+  if (meeting) capture.meeting = true;
+  // With attachments off the file could never be used, so it isn't kept at all
+  if (audio && !dryRun && audioConfig().mode !== 'off') {
+    const folder = path.join(UPLOADS_DIR, capture.id);
+    ensureDir(folder);
+    fs.writeFileSync(path.join(folder, audio.name), audio.data);
+    capture.recording = folder;
+  }
+  log(`📝 Processing (server${audio ? `, ${audio.name}` : ''}): "${text.substring(0, 50)}..."`);
+  try {
+    const { result } = await processCapture(capture, { dryRun });
+    removeUpload(capture);
+    return { status: dryRun ? 200 : 201, body: { id: capture.id, ...captureOutput(capture, result, { dryRun }) } };
+  } catch (e) {
+    log(`❌ Server capture failed after stage '${capture.stage}': ${e.message}`);
+    const queued = dryRun ? undefined : (queueOutboxItem(capture, e), capture.id);
+    return { status: 502, body: { ok: false, id: capture.id, stage: capture.stage, error: e.message, ...(queued ? { queued } : {}) } };
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(`${JSON.stringify(body, null, 2)}\n`);
+}
+
+async function serveMain(cli) {
+  loadEnv();
+  const config = serverConfig(cli);
+  if (!config.token) throw new Error('Set VOICE_NOTE_SERVER_TOKEN before starting the capture server');
+
+  // One capture at a time, in arrival order: they share the Todoist refs cache and the notes archive
+  let queue = Promise.resolve();
+  const serially = (fn) => {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url || '/', 'http://localhost');
+    try {
+      if (pathname === '/health') {
+        if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'Use GET', { Allow: 'GET, HEAD' });
+        return sendJson(res, 200, { ok: true });
+      }
+      if (pathname !== '/capture') throw new HttpError(404, 'Not found');
+      if (!isAuthorized(req, config.token)) throw new HttpError(401, 'Missing or wrong bearer token', { 'WWW-Authenticate': 'Bearer' });
+      if (req.method !== 'POST') throw new HttpError(405, 'Use POST', { Allow: 'POST' });
+      const input = await parseCaptureRequest(req, await readBody(req, config.maxBytes));
+      const { status, body } = await serially(() => handleCapture(input));
+      sendJson(res, status, body);
+    } catch (e) {
+      if (!(e instanceof HttpError)) log(`❌ Server error on ${req.method} ${pathname}: ${e.message}`);
+      sendJson(res, e.status || 500, { ok: false, error: e.message }, e.headers);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.port, config.host, resolve);
+  });
+  const msg = `🌐 Capture server listening on http://${config.host}:${config.port} (POST /capture, GET /health)`;
+  log(msg);
+  console.log(msg);
+
+  const stop = (signal) => {
+    log(`🌐 Capture server stopping (${signal})`);
+    server.close(() => process.exit(0));
+    server.closeAllConnections?.();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+// ---------- Outbox ----------
+
+const OUTBOX_DIR = path.join(os.homedir(), 'Documents', 'Voice Notes', '.outbox');
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.VOICE_OUTBOX_MAX_ATTEMPTS || '10', 10);
+
+function newCapture(transcription) {
+  return { id: crypto.randomUUID(), createdAt: new Date().toISOString(), stage: 'transcribed', transcription, analysis: null, posted: {}, attempts: 0 };
+}
+
+// Same capture + task key always yields the same UUID, so Todoist can drop a replayed POST
+function stableRequestId(captureId, key) {
+  const h = crypto.createHash('sha1').update(`${captureId}:${key}`).digest('hex');
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20, 32)}`;
+}
+
+function outboxBackoffMs(attempts) {
+  return Math.min(60_000 * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60_000); // 1m, 2m, 4m … capped at 6h
+}
+
+function queueOutboxItem(capture, err) {
+  capture.attempts = (capture.attempts || 0) + 1;
+  capture.lastError = err?.message || String(err);
+  capture.nextAttemptAt = new Date(Date.now() + outboxBackoffMs(capture.attempts)).toISOString();
+  const file = path.join(OUTBOX_DIR, `${capture.id}.json`);
+  try {
+    if (capture.attempts >= OUTBOX_MAX_ATTEMPTS) {
+      const failedDir = path.join(OUTBOX_DIR, 'failed');
+      ensureDir(failedDir);
+      fs.writeFileSync(path.join(failedDir, `${capture.id}.json`), JSON.stringify(capture, null, 2));
+      try { fs.unlinkSync(file); } catch {}
+      removeUpload(capture);
+      log(`🗑️ Outbox gave up on ${capture.id} after ${capture.attempts} attempts: ${capture.lastError}`);
+      return 'gave-up';
+    }
+    ensureDir(OUTBOX_DIR);
+    fs.writeFileSync(file, JSON.stringify(capture, null, 2));
+    log(`📥 Queued ${capture.id} in outbox (stage ${capture.stage}, attempt ${capture.attempts}, next ${capture.nextAttemptAt})`);
+  } catch (e) { log(`⚠️ Failed to write outbox item ${capture.id}: ${e.message}`); }
+  return 'queued';
+}
+
+function readOutboxItems() {
+  return listDirNamesSafe(OUTBOX_DIR)
+    .filter((n) => n.endsWith('.json'))
+    .map((n) => { try { return JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, n), 'utf8')); } catch { return null; } })
+    .filter((item) => item && item.id && item.transcription)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+async function flushOutbox({ force = false, skipId = null } = {}) {
+  const stats = { sent: 0, failed: 0, gaveUp: 0, pending: 0 };
+  for (const item of readOutboxItems()) {
+    if (item.id === skipId) continue;
+    if (!force && item.nextAttemptAt && Date.parse(item.nextAttemptAt) > Date.now()) { stats.pending++; continue; }
+    try {
+      const { result } = await processCapture(item);
+      try { fs.unlinkSync(path.join(OUTBOX_DIR, `${item.id}.json`)); } catch {}
+      removeUpload(item);
+      log(`📤 Outbox delivered ${item.id}${result?.summary ? `: ${result.summary}` : ''}`);
+      stats.sent++;
+    } catch (e) {
+      if (queueOutboxItem(item, e) === 'gave-up') stats.gaveUp++; else stats.failed++;
+    }
+  }
+  return stats;
+}
+
+// ---------- Notes archive ----------
+// Each capture is saved as Markdown with YAML frontmatter, under VOICE_NOTE_NOTES_DIR (e.g. an
+// Obsidian vault) in the subfolder VOICE_NOTE_FOLDER_TEMPLATE. Keep in sync with extension/src/lib/notes.ts
+
+const DEFAULT_NOTES_DIR = path.join(os.homedir(), 'Documents', 'Voice Notes');
+
+function notesConfig() {
+  const dir = String(process.env.VOICE_NOTE_NOTES_DIR || '').trim().replace(/^~(?=$|\/)/, os.homedir());
+  return { root: dir ? path.resolve(dir) : DEFAULT_NOTES_DIR, folderTemplate: String(process.env.VOICE_NOTE_FOLDER_TEMPLATE || '').trim() || '{Category}' };
+}
+
+// Path segment safe on macOS and in Obsidian links
+function pathSegment(s) {
+  return String(s || '').replace(/[\\/:*?"<>|#^[\]]+/g, ' ').replace(/\s+/g, ' ').replace(/^\.+/, '').trim();
+}
+
+// {Category}, {category}, {project}, {YYYY}, {MM}, {DD}; empty and ".." segments are dropped
+function renderFolder(template, { category, project, date }) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const values = {
+    Category: category.charAt(0).toUpperCase() + category.slice(1),
+    category,
+    project: project || 'Inbox',
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate())
+  };
+  return template
+    .split('/')
+    .map((part) => pathSegment(part.replace(/\{(\w+)\}/g, (m, key) => (key in values ? values[key] : m))))
+    .filter((part) => part && part !== '..')
+    .join(path.sep);
+}
+
+// Flat frontmatter: strings are written JSON-quoted (valid YAML) and lists as flow sequences
+function toFrontmatter(data) {
+  const lines = Object.entries(data).map(([k, v]) => `${k}: ${Array.isArray(v) ? `[${v.map((x) => JSON.stringify(x)).join(', ')}]` : JSON.stringify(v)}`);
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+// The transcript of a note: everything after the frontmatter (plain .txt notes are returned as-is).
+// Meeting minutes keep it under their last heading.
+function noteTranscript(text) {
+  const m = /^---\r?\n[\s\S]*?\r?\n---\r?\n?/.exec(text);
+  const body = m ? text.slice(m[0].length) : text;
+  const at = m && /^minutes: true$/m.test(m[0]) ? body.lastIndexOf(`\n${TRANSCRIPT_HEADING}\n`) : -1;
+  return (at >= 0 ? body.slice(at + TRANSCRIPT_HEADING.length + 2) : body).trim();
+}
+
+function isArchiveNote(file, config) {
+  return file.endsWith('.md') && path.resolve(file).startsWith(config.root + path.sep);
+}
+
+// Before posting the note knows what the model suggested; afterwards it carries where the tasks went
+function noteData(capture) {
+  const tasks = capture.analysis?.tasks || [];
+  const meeting = capture.analysis?.meeting;
+  const posted = Object.entries(capture.posted || {}).filter(([key]) => !key.includes('.')).map(([, p]) => p);
+  const targets = capture.acted ? [capture.acted] : posted;
+  const [project, section] = targets.length ? String(targets[0].where).split(' › ') : [tasks[0]?.projectName, tasks[0]?.sectionName];
+  const one = (list) => (list.length === 1 ? list[0] : list);
+  const data = {
+    created: capture.createdAt,
+    category: capture.analysis?.category || 'misc',
+    title: capture.acted?.task.content || meeting?.title || tasks[0]?.title,
+    minutes: meeting ? true : undefined,
+    attendees: meeting?.attendees,
+    labels: Array.from(new Set(tasks.flatMap((t) => t.labels || []))),
+    project,
+    section,
+    due: capture.acted || meeting ? undefined : tasks[0]?.due_string,
+    action: capture.acted?.type,
+    todoist_id: targets.length ? one(targets.map((t) => String(t.task.id))) : undefined,
+    todoist_url: targets.some((t) => t.task.url) ? one(targets.map((t) => t.task.url || '')) : undefined,
+    model: capture.model,
+    recording: isUpload(capture.recording) ? undefined : capture.recording
+  };
+  return Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined && v !== null && v !== '' && !(Array.isArray(v) && !v.length)));
+}
+
+// Writes a new note under the folder template, or updates the archive note the capture already has.
+// Transcript files passed in from elsewhere (--file, --dir) are never rewritten; meeting minutes for
+// one go into a new archive note.
+function writeNote(capture, config) {
+  const meeting = !!capture.analysis?.meeting;
+  let file = capture.notePath;
+  if (file && !isArchiveNote(file, config)) {
+    if (!meeting) return file;
+    file = undefined;
+  }
+  if (!file) {
+    const category = String(capture.analysis?.category || 'misc').toLowerCase();
+    const created = new Date(capture.createdAt);
+    const dir = path.join(config.root, renderFolder(config.folderTemplate, { category, project: capture.analysis?.tasks?.[0]?.projectName, date: created }));
+    ensureDir(dir);
+    // Captures in the same second (the capture server, --dir) each get their own note
+    const stamp = created.toISOString().replace(/[:.]/g, '-').substring(0, 19);
+    file = path.join(dir, `${stamp}.md`);
+    for (let n = 2; fs.existsSync(file); n++) file = path.join(dir, `${stamp}-${n}.md`);
+  }
+  fs.writeFileSync(file, `${toFrontmatter(noteData(capture))}\n${meeting ? minutesMarkdown(capture) : capture.transcription.trim()}\n`);
+  return file;
+}
+
+// ---------- Recording attachment ----------
+// Uploads the SuperWhisper recording as a comment on the created tasks, so a garbled transcript can be
+// checked against what was actually said. Keep in sync with extension/src/lib/audio.ts
+
+const AUDIO_TYPES = {
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.caf': 'audio/x-caf',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.flac': 'audio/flac'
+};
+// "uncertain" attaches below either of these; confidence only counts when SuperWhisper reports one
+const SHORT_TRANSCRIPT_WORDS = 6;
+const LOW_CONFIDENCE = 0.6;
+const DEFAULT_AUDIO_MAX_MB = 10;
+
+function audioConfig() {
+  const mode = String(process.env.VOICE_NOTE_ATTACH_AUDIO || 'off').trim().toLowerCase();
+  const maxMb = parseFloat(process.env.VOICE_NOTE_AUDIO_MAX_MB || '');
+  return {
+    mode: ['always', 'uncertain'].includes(mode) ? mode : 'off',
+    maxMb: maxMb > 0 ? maxMb : DEFAULT_AUDIO_MAX_MB,
+    transcode: process.env.VOICE_NOTE_AUDIO_TRANSCODE === '1'
+  };
+}
+
+// SuperWhisper saves the audio as output.wav; any other audio file in the folder will do
+function findRecordingAudio(folder) {
+  let names = [];
+  try { names = fs.readdirSync(folder).sort(); } catch { return null; }
+  const audio = names.filter((n) => AUDIO_TYPES[path.extname(n).toLowerCase()]);
+  const pick = audio.find((n) => n.toLowerCase().startsWith('output.')) || audio[0];
+  return pick ? path.join(folder, pick) : null;
+}
+
+// 0–1 from meta.json: an explicit `confidence`, or Whisper's per-segment avg_logprob averaged and
+// turned back into a probability. null when the recording doesn't say.
+function recordingConfidence(folder) {
+  let meta;
+  try { meta = JSON.parse(fs.readFileSync(path.join(folder, 'meta.json'), 'utf8')); } catch { return null; }
+  if (typeof meta?.confidence === 'number') return meta.confidence;
+  const logprobs = (Array.isArray(meta?.segments) ? meta.segments : []).map((s) => s?.avg_logprob).filter((v) => typeof v === 'number');
+  return logprobs.length ? Math.exp(logprobs.reduce((a, b) => a + b, 0) / logprobs.length) : null;
+}
+
+// Why the recording should be attached, or null to leave it out
+function attachReason(mode, transcription, folder) {
+  if (mode === 'always') return 'always';
+  if (mode !== 'uncertain') return null;
+  const words = transcription.trim().split(/\s+/).filter(Boolean).length;
+  if (words < SHORT_TRANSCRIPT_WORDS) return `short transcript, ${words} ${words === 1 ? 'word' : 'words'}`;
+  const confidence = recordingConfidence(folder);
+  if (confidence !== null && confidence < LOW_CONFIDENCE) return `low confidence, ${Math.round(confidence * 100)}%`;
+  return null;
+}
+
+// AAC in an .m4a is a fraction of SuperWhisper's WAV (afconvert on macOS, ffmpeg on Linux)
+function transcodeRecording(file) {
+  const out = path.join(os.tmpdir(), `voice-note-${process.pid}-${Date.now()}.m4a`);
+  try {
+    backend().transcodeAudio(file, out);
+    return out;
+  } catch (e) {
+    log(`⚠️ Couldn't transcode ${path.basename(file)}; uploading the original (${e.message})`);
+    try { fs.unlinkSync(out); } catch {}
+    return null;
+  }
+}
+
+/*
+  Uploads the recording once and adds it as a comment on each task. Returns a warning instead of
+  throwing, so a failed attachment never fails a capture whose tasks are already created.
+*/
+async function attachRecording({ token, captureId, folder, taskIds, reason, maxMb, transcode }) {
+  const original = findRecordingAudio(folder);
+  if (!original) return 'recording not attached: no audio file in the recording folder';
+  const converted = transcode ? transcodeRecording(original) : null;
+  const file = converted || original;
+  try {
+    const mb = fs.statSync(file).size / 1024 / 1024;
+    if (mb > maxMb) return `recording not attached: ${mb.toFixed(1)} MB is over the ${maxMb} MB limit`;
+    const name = path.basename(file);
+    const attachment = await todoistUpload(token, { name, type: AUDIO_TYPES[path.extname(name).toLowerCase()], data: fs.readFileSync(file) });
+    const content = `🎙️ Original recording${reason === 'always' ? '' : ` (${reason})`}`;
+    for (const id of taskIds) {
+      await todoistRequest(token, '/comments', { method: 'POST', body: { task_id: id, content, attachment }, requestId: stableRequestId(captureId, `audio.${id}`) });
+    }
+    log(`🎙️ Attached ${name} (${mb.toFixed(1)} MB) to ${taskIds.length} ${taskIds.length === 1 ? 'task' : 'tasks'}`);
+    return null;
+  } catch (e) {
+    log(`⚠️ Failed to attach the recording: ${e.message}`);
+    return `recording not attached: ${e.status ? `Todoist error ${e.status}` : e.message}`;
+  } finally {
+    if (converted) try { fs.unlinkSync(converted); } catch {}
+  }
+}
+
+// Only tasks this capture created get the recording; not merges or actions on existing tasks
+async function maybeAttachRecording(capture, result) {
+  if (!capture.recording || capture.audioAttached || result.acted) return;
+  const config = audioConfig();
+  const reason = attachReason(config.mode, capture.transcription, capture.recording);
+  const taskIds = result.created.filter((c) => !c.merged).map((c) => String(c.task.id));
+  if (!reason || !taskIds.length) return;
+  const warning = await attachRecording({
+    token: process.env.TODOIST_API_TOKEN,
+    captureId: capture.id,
+    folder: capture.recording,
+    taskIds,
+    reason,
+    maxMb: config.maxMb,
+    transcode: config.transcode
+  });
+  if (warning) result.summary += ` ⚠️ ${warning}`;
+  else capture.audioAttached = true;
+}
+
+// ---------- History ----------
+// One entry per capture that reached Todoist, browsed (and undone or reprocessed) by the extension's
+// "Voice Task History" command. Keep in sync with extension/src/lib/history.ts
+
+const HISTORY_DIR = path.join(os.homedir(), 'Documents', 'Voice Notes', '.history');
+
+function recordHistory(capture) {
+  const entry = {
+    id: capture.id,
+    createdAt: capture.createdAt,
+    source: 'script',
+    ...(capture.notePath ? { transcriptPath: capture.notePath } : {}),
+    transcription: capture.transcription,
+    enriched: capture.analysis,
+    tasks: Object.entries(capture.posted || {}).map(([key, { task, ...rest }]) => ({ key, id: String(task.id), content: task.content, ...(task.url ? { url: task.url } : {}), ...rest })),
+    ...(capture.acted ? { acted: capture.acted } : {})
+  };
+  try {
+    ensureDir(HISTORY_DIR);
+    fs.writeFileSync(path.join(HISTORY_DIR, `${entry.id}.json`), JSON.stringify(entry, null, 2));
+  } catch (e) { log(`⚠️ Failed to write history entry ${entry.id}: ${e.message}`); }
+}
+
+// ---------- Stats ----------
+// One line per processed capture in .stats.jsonl: tokens, cost, time per stage and how it ended. The
+// extension's "Voice Stats" command reads the same file. Keep in sync with extension/src/lib/stats.ts
+
+const STATS_FILE = path.join(os.homedir(), 'Documents', 'Voice Notes', '.stats.jsonl');
+// USD per million input / output tokens, most specific first
+const MODEL_PRICES = [
+  [/claude-3-5-haiku/, 0.8, 4],
+  [/claude-3-haiku/, 0.25, 1.25],
+  [/claude-(haiku-4|4-haiku)/, 1, 5],
+  [/claude-(opus-4-5|4-5-opus)/, 5, 25],
+  [/claude-.*opus/, 15, 75],
+  [/claude-.*sonnet/, 3, 15],
+  [/gpt-4o-mini/, 0.15, 0.6],
+  [/gpt-4o/, 2.5, 10],
+  [/gpt-4\.1-nano/, 0.1, 0.4],
+  [/gpt-4\.1-mini/, 0.4, 1.6],
+  [/gpt-4\.1/, 2, 8]
+];
+// Warn once when the month's spend passes this share of VOICE_NOTE_MONTHLY_BUDGET, and on every capture over it
+const BUDGET_WARN_RATIO = 0.8;
+
+function emptyUsage() {
+  return { input_tokens: 0, output_tokens: 0 };
+}
+
+function addUsage(total, usage) {
+  total.input_tokens += usage?.input_tokens || 0;
+  total.output_tokens += usage?.output_tokens || 0;
+  return total;
+}
+
+// "input,output" in USD per million tokens, e.g. "0.8,4"
+function parsePrice(v) {
+  const [input, output] = String(v || '').split(',').map((s) => parseFloat(s));
+  return input >= 0 && output >= 0 ? [input, output] : null;
+}
+
+/*
+  The user's price for `model` from VOICE_NOTE_MODEL_PRICE: "0.8,4" for whatever model is configured,
+  or per model, "claude-3-5-haiku=1,5; llama3=0,0" where an entry applies to every model whose name
+  contains it. The first matching entry wins.
+*/
+function priceOverride(model) {
+  for (const entry of String(process.env.VOICE_NOTE_MODEL_PRICE || '').split(';').map((s) => s.trim()).filter(Boolean)) {
+    const eq = entry.indexOf('=');
+    if (eq < 0 || String(model).toLowerCase().includes(entry.slice(0, eq).trim().toLowerCase())) {
+      const price = parsePrice(eq < 0 ? entry : entry.slice(eq + 1));
+      if (price) return price;
+    }
+  }
+  return null;
+}
+
+// The user's price wins, else the price list, else null (unknown). Not the host: a local proxy to a
+// paid API costs the same, and a free local model needs VOICE_NOTE_MODEL_PRICE=0,0
+function usageCost(llm, usage) {
+  const listed = MODEL_PRICES.find(([re]) => re.test(llm.model));
+  const price = priceOverride(llm.model) || (listed ? [listed[1], listed[2]] : null);
+  return price ? (usage.input_tokens * price[0] + usage.output_tokens * price[1]) / 1_000_000 : null;
+}
+
+function monthlyBudget() {
+  const n = parseFloat(String(process.env.VOICE_NOTE_MONTHLY_BUDGET || '').replace(/^\$/, ''));
+  return n > 0 ? n : null;
+}
+
+// Oldest first; unreadable lines are skipped
+function readStats() {
+  let lines = [];
+  try { lines = fs.readFileSync(STATS_FILE, 'utf8').split('\n').filter(Boolean); } catch {}
+  return lines.map((l) => { try { return JSON.parse(l); } catch { return null; } }).filter((e) => e && e.at && e.outcome);
+}
+
+// Local calendar day and month, so "today" matches the user's clock
+const dayKey = (d) => d.toLocaleDateString('en-CA');
+const monthKey = (d) => dayKey(d).slice(0, 7);
+
+function monthEntries(entries, now = new Date()) {
+  const month = monthKey(now);
+  return entries.filter((e) => monthKey(new Date(e.at)) === month);
+}
+
+// The month's known spend, and how many captures it leaves out because their model had no price
+function monthSpend(entries, now = new Date()) {
+  const { cost, unpriced } = statsTotals(monthEntries(entries, now));
+  return { cost, unpriced };
+}
+
+function budgetWarning(spentBefore, spentAfter, budget, unpriced = 0) {
+  if (!budget || spentAfter <= spentBefore) return null;
+  const spend = `$${spentAfter.toFixed(2)} of the $${budget} monthly budget${unpriced ? ` (+ ${unpriced} ${unpriced === 1 ? 'capture' : 'captures'} of unknown cost)` : ''}`;
+  if (spentAfter >= budget) return `over budget: ${spend}`;
+  if (spentBefore < budget * BUDGET_WARN_RATIO && spentAfter >= budget * BUDGET_WARN_RATIO) return `${Math.round((spentAfter / budget) * 100)}% used: ${spend}`;
+  return null;
+}
+
+// A model without a price can't count toward the budget; say so once a month per model rather than treat it as free
+function unpricedWarning(model, earlier) {
+  if (earlier.some((e) => e.model === model && e.usage && typeof e.cost !== 'number')) return null;
+  return `no price for ${model}, so it isn't counted toward the budget; set VOICE_NOTE_MODEL_PRICE`;
+}
+
+/*
+  Appends this run of the capture to the stats file. The analysis' tokens and timings are only counted
+  by the first run that reports them, so a retry from the outbox doesn't bill them twice. Returns a
+  warning when the month's spend just passed 80% of the budget, or is over it.
+*/
+function recordCaptureStats(capture, { result, error, dryRun = false } = {}) {
+  const pending = capture.stats;
+  delete capture.stats;
+  const budget = monthlyBudget();
+  const cost = pending?.usage ? pending.cost ?? null : null;
+  const earlier = budget && pending?.usage ? monthEntries(readStats()) : [];
+  const top = Object.entries(capture.posted || {}).filter(([key]) => !key.includes('.')).map(([, p]) => p);
+  const outcome = error ? 'failed' : dryRun ? 'dry-run' : result?.acted ? 'acted' : !result?.created.length ? 'noted' : result.created.every((c) => c.merged) ? 'merged' : 'created';
+  const entry = {
+    at: new Date().toISOString(),
+    id: capture.id,
+    source: 'script',
+    ...(pending?.usage ? { model: capture.model, usage: pending.usage, cost } : {}),
+    timings: pending?.timings || {},
+    outcome,
+    ...(capture.analysis?.category ? { category: capture.analysis.category } : {}),
+    ...(result && !dryRun ? { projects: (capture.acted ? [capture.acted] : top).map((t) => String(t.where).split(' › ')[0]) } : {}),
+    ...(error ? { stage: capture.stage, error: error.message || String(error) } : {})
+  };
+  try {
+    ensureDir(path.dirname(STATS_FILE));
+    fs.appendFileSync(STATS_FILE, `${JSON.stringify(entry)}\n`, 'utf8');
+  } catch (e) { log(`⚠️ Failed to write stats for ${capture.id}: ${e.message}`); }
+  if (!budget || !pending?.usage) return null;
+  if (cost === null) return unpricedWarning(capture.model, earlier);
+  const spent = monthSpend(earlier);
+  return budgetWarning(spent.cost, spent.cost + cost, budget, spent.unpriced);
+}
+
+function statsTotals(entries) {
+  // A capture retried from the outbox has one entry per run, so `runs` can be more than `captures`
+  const t = { captures: new Set(entries.map((e) => e.id)).size, runs: 0, failed: 0, input_tokens: 0, output_tokens: 0, cost: 0, unpriced: 0 };
+  for (const e of entries) {
+    t.runs++;
+    if (e.outcome === 'failed') t.failed++;
+    t.input_tokens += e.usage?.input_tokens || 0;
+    t.output_tokens += e.usage?.output_tokens || 0;
+    if (typeof e.cost === 'number') t.cost += e.cost;
+    else if (e.usage && e.model) t.unpriced++;
+  }
+  return t;
+}
+
+function statsAverage(values) {
+  const v = values.filter((x) => typeof x === 'number');
+  return v.length ? Math.round(v.reduce((a, b) => a + b, 0) / v.length) : undefined;
+}
+
+function summarizeStats(entries) {
+  const models = new Map();
+  const projects = new Map();
+  const byOutcome = {};
+  for (const e of entries) {
+    if (e.model && e.usage) models.set(e.model, [...(models.get(e.model) || []), e]);
+    for (const p of e.projects || []) projects.set(p, [...(projects.get(p) || []), e.id]);
+    byOutcome[e.outcome] = (byOutcome[e.outcome] || 0) + 1;
+  }
+  const byCount = (map) => [...map].sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]));
+  const t = statsTotals(entries);
+  return {
+    ...t,
+    failureRate: t.runs ? t.failed / t.runs : 0,
+    avgMs: {
+      capture_ms: statsAverage(entries.map((e) => e.timings?.capture_ms)),
+      analysis_ms: statsAverage(entries.map((e) => e.timings?.analysis_ms)),
+      todoist_ms: statsAverage(entries.map((e) => e.timings?.todoist_ms))
+    },
+    byModel: byCount(models).map(([model, list]) => ({ model, ...statsTotals(list) })),
+    byProject: byCount(projects).map(([project, ids]) => ({ project, tasks: ids.length })),
+    byOutcome
+  };
+}
+
+function statsBy(entries, key) {
+  const groups = new Map();
+  for (const e of entries) {
+    const k = key(new Date(e.at));
+    groups.set(k, [...(groups.get(k) || []), e]);
+  }
+  return [...groups].sort((a, b) => b[0].localeCompare(a[0])).map(([period, list]) => ({ period, ...statsTotals(list) }));
+}
+
+function formatCost(usd) {
+  return usd > 0 && usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
+
+// --stats: this month's summary, the last two weeks by day and every month, as text or --json
+function statsMain(cli) {
+  loadEnv();
+  const entries = readStats();
+  const now = new Date();
+  const month = summarizeStats(entries.filter((e) => monthKey(new Date(e.at)) === monthKey(now)));
+  const days = statsBy(entries, dayKey).slice(0, 14);
+  const months = statsBy(entries, monthKey);
+  const budget = monthlyBudget();
+  if (cli.json) {
+    const spent = monthSpend(entries, now);
+    console.log(JSON.stringify({ month, budget: budget ? { limit: budget, spent: spent.cost, unpriced: spent.unpriced } : null, days, months }, null, 2));
+    return;
   }
+  if (!entries.length) { console.log(`No stats yet (${STATS_FILE})`); return; }
+  const spend = (t) => `${formatCost(t.cost)}${t.unpriced ? ` + ${t.unpriced} unpriced` : ''}`;
+  const secs = (ms) => (ms === undefined ? '–' : `${(ms / 1000).toFixed(1)}s`);
+  const lines = [
+    `This month: ${month.captures} captures (${Object.entries(month.byOutcome).map(([k, n]) => `${n} ${k}`).join(', ') || 'none'})`,
+    `  failure rate ${Math.round(month.failureRate * 100)}% of ${month.runs} runs, ${month.input_tokens} in / ${month.output_tokens} out tokens, ${spend(month)}${budget ? ` of $${budget} budget` : ''}`,
+    `  average capture wait ${secs(month.avgMs.capture_ms)}, analysis ${secs(month.avgMs.analysis_ms)}, Todoist ${secs(month.avgMs.todoist_ms)}`,
+    ...(month.byModel.length ? ['', 'By model (this month):', ...month.byModel.map((m) => `  ${m.model}: ${m.captures} captures, ${m.input_tokens} in / ${m.output_tokens} out, ${spend(m)}`)] : []),
+    ...(month.byProject.length ? ['', 'By project (this month):', ...month.byProject.map((p) => `  ${p.project}: ${p.tasks} ${p.tasks === 1 ? 'task' : 'tasks'}`)] : []),
+    '', 'Daily:', ...days.map((d) => `  ${d.period}  ${String(d.captures).padStart(4)} captures  ${spend(d)}${d.failed ? `  (${d.failed} failed)` : ''}`),
+    '', 'Monthly:', ...months.map((m) => `  ${m.period}     ${String(m.captures).padStart(4)} captures  ${spend(m)}${m.failed ? `  (${m.failed} failed)` : ''}`)
+  ];
+  console.log(lines.join('\n'));
 }
 
 // Ensure fetch exists (Node 18+); if not, fail gracefully
@@ -499,7 +2855,20 @@ if (typeof fetch !== 'function') {
   process.exit(1);
 }
 
-main().catch((e) => { log(`❌ Uncaught Error: ${e.message}`); notify('❌ Voice Note Error', e.message); });
+let cli;
+try { cli = parseCliArgs(process.argv.slice(2)); }
+catch (e) { console.error(`${e.message}\n\n${CLI_USAGE}`); process.exit(2); }
+
+if (cli.help) console.log(CLI_USAGE);
+else if (cli.stats) statsMain(cli);
+else if (cli.serve) {
+  serveMain(cli).catch((e) => { log(`❌ Capture server: ${e.message}`); console.error(`❌ ${e.message}`); process.exitCode = 1; });
+} else if (cli.headless) {
+  headlessMain(cli).catch((e) => { log(`❌ Uncaught Error: ${e.message}`); console.error(`❌ ${e.message}`); process.exitCode = 1; });
+} else {
+  const entry = cli.flushOutbox ? flushMain : () => main({ meeting: cli.meeting });
+  entry().catch((e) => { log(`❌ Uncaught Error: ${e.message}`); notify('❌ Voice Note Error', e.message); });
+}
 
 // --- Fuzzy helpers ---
 function normalize(s) { return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim(); }
@@ -511,15 +2880,11 @@ function containsWord(hay, needle) {
   return H.includes(N);
 }
 
-function guessSectionIdFromContent({ transcription, analysis, projectId, refs }) {
+function guessSectionIdFromContent({ texts, projectId, refs }) {
   try {
     const sections = refs.sections[projectId] || [];
     if (!sections.length) return undefined;
-    const candidates = [
-      analysis?.enriched?.title,
-      analysis?.enriched?.description,
-      transcription
-    ].filter(Boolean);
+    const candidates = (texts || []).filter(Boolean);
     // Score sections by presence in any candidate text
     let best = { id: undefined, score: 0 };
     for (const sec of sections) {
@@ -0,0 +1,286 @@
+// Runs the script's capture server (--serve) against fake Todoist and model APIs
+// (fixtures/fake-apis.js) with the null platform backend, so nothing touches the real accounts,
+// the clipboard or the user's notes.
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TOOLS = path.dirname(fileURLToPath(import.meta.url));
+const TOKEN = 'test-token';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts a server in its own HOME and resolves once it is listening
+async function startServer(env = {}) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-note-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['--import', './fixtures/fake-apis.js', 'voice-note-raycast.js', '--serve', '--port', String(port)], {
+    cwd: TOOLS,
+    env: {
+      PATH: process.env.PATH,
+      HOME: home,
+      VOICE_NOTE_BACKEND: 'null',
+      VOICE_NOTE_SERVER_TOKEN: TOKEN,
+      TODOIST_API_TOKEN: 'todoist-token',
+      ANTHROPIC_API_KEY: 'anthropic-key',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const server = { url: `http://127.0.0.1:${port}`, home, child, stderr: '' };
+  child.stderr.on('data', (d) => { server.stderr += d; });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${server.stderr}`)), 10_000);
+    child.stdout.on('data', (d) => { if (String(d).includes('listening')) { clearTimeout(timer); resolve(); } });
+    child.once('exit', (code) => { clearTimeout(timer); reject(new Error(`server exited with ${code}:\n${server.stderr}`)); });
+  });
+  return server;
+}
+
+async function stopServer(server) {
+  if (server.child.exitCode === null) {
+    const exited = new Promise((resolve) => server.child.once('exit', resolve));
+    server.child.kill('SIGTERM');
+    await exited;
+  }
+  fs.rmSync(server.home, { recursive: true, force: true });
+}
+
+function capture(server, body, { token = TOKEN, method = 'POST', type = 'application/json' } = {}) {
+  return fetch(`${server.url}/capture`, {
+    method,
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(body !== undefined ? { 'Content-Type': type } : {}) },
+    ...(body !== undefined ? { body: typeof body === 'string' ? body : JSON.stringify(body) } : {})
+  });
+}
+
+function readStats(server) {
+  const file = path.join(server.home, 'Documents', 'Voice Notes', '.stats.jsonl');
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+}
+
+describe('capture server', () => {
+  let server;
+  before(async () => { server = await startServer({ VOICE_NOTE_SERVER_MAX_MB: '0.01' }); });
+  after(() => stopServer(server));
+
+  it('answers /health without a token', async () => {
+    const res = await fetch(`${server.url}/health`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { ok: true });
+    assert.equal((await fetch(`${server.url}/health`, { method: 'POST' })).status, 405);
+  });
+
+  it('rejects a missing or wrong token with 401', async () => {
+    const missing = await capture(server, { text: 'hello' }, { token: null });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await capture(server, { text: 'hello' }, { token: 'nope' })).status, 401);
+  });
+
+  it('only accepts POST on /capture and 404s elsewhere', async () => {
+    const res = await capture(server, undefined, { method: 'GET' });
+    assert.equal(res.status, 405);
+    assert.equal(res.headers.get('allow'), 'POST');
+    assert.equal((await fetch(`${server.url}/nope`)).status, 404);
+  });
+
+  it('rejects a body over the size limit with 413', async () => {
+    const res = await capture(server, { text: 'x'.repeat(20_000) });
+    assert.equal(res.status, 413);
+  });
+
+  it('rejects bad or empty input with 400 and unknown types with 415', async () => {
+    assert.equal((await capture(server, '{not json')).status, 400);
+    assert.equal((await capture(server, ['a list'])).status, 400);
+    const empty = await capture(server, { text: '   ' });
+    assert.equal(empty.status, 400);
+    assert.match((await empty.json()).error, /Missing transcript/);
+    assert.equal((await capture(server, '<text/>', { type: 'application/xml' })).status, 415);
+  });
+
+  it('creates the task and answers 201', async () => {
+    const res = await capture(server, { text: 'Remind me to renew the domain for work' });
+    assert.equal(res.status, 201);
+    const body = await res.json();
+    assert.equal(body.ok, true);
+    assert.equal(body.category, 'tasks');
+    assert.deepEqual(body.created.map((c) => c.content), ['Renew the domain']);
+  });
+
+  it('accepts plain text and form bodies', async () => {
+    const dry = await capture(server, 'text=Renew+the+domain&dry_run=1', { type: 'application/x-www-form-urlencoded' });
+    assert.equal(dry.status, 200);
+    assert.deepEqual((await dry.json()).created, []);
+    assert.equal((await capture(server, 'Renew the domain', { type: 'text/plain' })).status, 201);
+  });
+});
+
+describe('duplicates across captures', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => stopServer(server));
+
+  it('sees the task an earlier capture created', async () => {
+    const first = await (await capture(server, { text: 'Renew the domain for work' })).json();
+    assert.equal(first.created[0].merged, undefined);
+    const second = await (await capture(server, { text: 'Oh and renew the domain, for work' })).json();
+    assert.equal(second.created[0].merged, 'comment');
+    assert.equal(second.created[0].id, first.created[0].id);
+  });
+});
+
+describe('voice commands on existing tasks', () => {
+  let server;
+  before(async () => {
+    const complete = (action) => ({ category: 'tasks', intent: 'complete', action, tasks: [{ title: 'Domain renewal' }] });
+    server = await startServer({
+      VOICE_NOTE_DUPLICATES: 'off',
+      FAKE_MODEL_REPLIES: JSON.stringify([
+        { category: 'tasks', tasks: [{ title: 'Renew the domain', projectName: 'Work' }] },
+        complete({ target: 'domain renewal' }),
+        complete({ target: 'domain renewal', projectName: 'Work' })
+      ])
+    });
+  });
+  after(() => stopServer(server));
+
+  it('never lists every task in the account when the search finds nothing', async () => {
+    await capture(server, { text: 'Renew the domain for work' });
+    const listed = () => server.stderr.match(/FETCH GET \/api\/v1\/tasks\?[^\n]*/g) || [];
+
+    await capture(server, { text: 'I did the domain renewal' });
+    assert.deepEqual(listed(), []);
+
+    await capture(server, { text: 'I did the domain renewal for work' });
+    assert.equal(listed().length, 1);
+    assert.match(listed()[0], /project_id=p1/);
+  });
+});
+
+describe('result validation', () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      VOICE_NOTE_DUPLICATES: 'off',
+      FAKE_MODEL_REPLIES: JSON.stringify([
+        { category: 'tasks', tasks: [{ title: 'Book flights', projectName: 'Holidays', priority: 9 }] },
+        { category: 'tasks', tasks: [{ title: 'Book flights', projectName: 'Personal', priority: 2 }] }
+      ])
+    });
+  });
+  after(() => stopServer(server));
+
+  it('sends invalid model output back once for repair', async () => {
+    const res = await capture(server, { text: 'Book flights for the holidays, fairly important' });
+    assert.equal(res.status, 201);
+    const { enriched } = await res.json();
+    assert.deepEqual([enriched.tasks[0].projectName, enriched.tasks[0].priority], ['Personal', 2]);
+    assert.equal(server.stderr.match(/FETCH POST \/v1\/messages/g).length, 2);
+  });
+});
+
+describe('uploaded audio', () => {
+  const upload = (server) => {
+    const form = new FormData();
+    form.set('text', 'Renew the domain for work');
+    form.set('file', new Blob([Buffer.alloc(1024)], { type: 'audio/mp4' }), 'memo.m4a');
+    return fetch(`${server.url}/capture`, { method: 'POST', headers: { Authorization: `Bearer ${TOKEN}` }, body: form });
+  };
+  const uploads = (server) => path.join(server.home, 'Documents', 'Voice Notes', '.uploads');
+
+  it('is attached, then deleted once the capture is posted', async () => {
+    const server = await startServer({ VOICE_NOTE_DUPLICATES: 'off', VOICE_NOTE_ATTACH_AUDIO: 'always' });
+    try {
+      assert.equal((await upload(server)).status, 201);
+      assert.match(server.stderr, /FETCH POST \/api\/v1\/uploads/);
+      assert.deepEqual(fs.readdirSync(uploads(server)), []);
+    } finally {
+      await stopServer(server);
+    }
+  });
+
+  it('is never saved when attachments are off', async () => {
+    const server = await startServer({ VOICE_NOTE_DUPLICATES: 'off' });
+    try {
+      assert.equal((await upload(server)).status, 201);
+      assert.equal(fs.existsSync(uploads(server)), false);
+    } finally {
+      await stopServer(server);
+    }
+  });
+});
+
+describe('long recaps', () => {
+  let server;
+  before(async () => {
+    server = await startServer({
+      VOICE_NOTE_DUPLICATES: 'off',
+      FAKE_MODEL_REPLIES: JSON.stringify([
+        '{"tasks": [{"title": "Send the deck to Acme"}, {"title": "Book the venue"}, {"title": "Draft the',
+        {
+          title: 'Launch sync',
+          summary: 'Went through the launch plan.',
+          attendees: ['Sam'],
+          decisions: ['Launch on the 3rd'],
+          open_questions: [],
+          action_items: [{ title: 'Send the deck to Acme', description: null, owner: 'Sam', due_string: null, projectName: 'Work' }]
+        }
+      ])
+    });
+  });
+  after(() => stopServer(server));
+
+  it('takes a first pass cut off at the token limit as a meeting', async () => {
+    const text = Array.from({ length: 80 }, (_, i) => `Item ${i}: we agreed someone sends the deck to Acme.`).join(' ');
+    const res = await capture(server, { text });
+    assert.equal(res.status, 201);
+    const { category, enriched } = await res.json();
+    assert.equal(category, 'meetings');
+    assert.equal(enriched.meeting.title, 'Launch sync');
+    assert.deepEqual(enriched.tasks.map((t) => t.title), ['Send the deck to Acme']);
+    // The first pass and one minutes pass; no repair of the cut-off reply
+    assert.equal(server.stderr.match(/FETCH POST \/v1\/messages/g).length, 2);
+  });
+});
+
+describe('usage stats', () => {
+  let server;
+  before(async () => {
+    server = await startServer({ VOICE_NOTE_DUPLICATES: 'off', VOICE_NOTE_MODEL: 'mistral-large', VOICE_NOTE_MONTHLY_BUDGET: '5' });
+  });
+  after(() => stopServer(server));
+
+  it('prices a model from VOICE_NOTE_MODEL_PRICE', async () => {
+    const priced = await startServer({ VOICE_NOTE_MODEL: 'mistral-large', VOICE_NOTE_MODEL_PRICE: 'claude=3,15; mistral=2,6' });
+    try {
+      await capture(priced, { text: 'Renew the domain for work' });
+      const [entry] = readStats(priced);
+      assert.deepEqual(entry.usage, { input_tokens: 100, output_tokens: 50 });
+      assert.equal(entry.cost, (100 * 2 + 50 * 6) / 1_000_000);
+    } finally {
+      await stopServer(priced);
+    }
+  });
+
+  it('records an unknown cost, not $0, and says once that it is left out of the budget', async () => {
+    const first = await (await capture(server, { text: 'Renew the domain for work' })).json();
+    assert.match(first.summary, /no price for anthropic\/mistral-large, so it isn't counted toward the budget/);
+    const second = await (await capture(server, { text: 'Renew the domain for work' })).json();
+    assert.doesNotMatch(second.summary, /no price/);
+    assert.deepEqual(readStats(server).map((e) => e.cost), [null, null]);
+  });
+});